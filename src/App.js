@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   Select,
   Radio,
@@ -16,26 +16,66 @@ import {
   Tag,
   Space,
   Alert,
-  Spin
+  Spin,
+  Switch,
+  Upload,
+  Input,
+  Slider
 } from 'antd';
 import {
   PlayCircleOutlined,
-  QuestionCircleOutlined
+  QuestionCircleOutlined,
+  UploadOutlined,
+  DeleteOutlined
 } from '@ant-design/icons';
 import NetworkMap from './components/NetworkMap';
+import Plot from './components/Plot';
 import {
   buildGraph,
   applyFailure,
   computeMetrics,
   generateCandidates,
   greedyRecommendation,
-  generateODSample
+  DEFAULT_GENERALIZED_WEIGHTS,
+  DEFAULT_DISCONNECTION_PENALTY,
+  DEFAULT_DEGRADATION,
+  LINK_UNIT_COSTS,
+  elementsInArea,
+  metroFailureElements,
+  stationLines,
+  computeParetoPaths,
+  computeKShortestPaths,
+  analyzeNetworkStructure
 } from './utils/graphAlgorithms';
+import { FARE_PROFILES } from './utils/fareEngine';
+import { generateGravityODPairs, sampleODPairs, SAMPLING_STRATEGIES, parseODMatrixCSV } from './utils/demandModel';
+import { runPercolationExperiment, ATTACK_STRATEGIES, DEFAULT_PERCOLATION_OPTIONS } from './utils/percolation';
+import { simulateCascade, cascadeGraphAt, DEFAULT_CASCADE_OPTIONS } from './utils/cascade';
+import { runMonteCarlo, DEFAULT_FAILURE_PROBABILITIES, DEFAULT_MONTE_CARLO_OPTIONS } from './utils/monteCarlo';
+import { runContingencyAnalysis, runN2Analysis, DEFAULT_CONTINGENCY_OPTIONS } from './utils/contingency';
+import { compareRestorationPlans, staggeredRepairEvents, DEFAULT_TIMELINE_OPTIONS } from './utils/timeline';
+import { optimizeRepairSequence, DEFAULT_REPAIR_OPTIONS } from './utils/repairSequencing';
+import { compareLinkOptimizers, OPTIMIZER_METHODS, DEFAULT_OPTIMIZER_OPTIONS } from './utils/linkOptimizers';
+import { robustRecommendation, scenarioWeights, ROBUST_CRITERIA, DEFAULT_ROBUST_OPTIONS } from './utils/robustRecommendation';
 import './App.css';
 
 const { Option } = Select;
 const { TabPane } = Tabs;
 
+// Most nodes that can fail at once in a node failure scenario
+const MAX_FAILED_NODES = 10;
+
+// Curve colors per attack strategy in the robustness charts
+const ATTACK_COLORS = {
+  random: '#1890ff',
+  degree: '#fa8c16',
+  betweenness: '#cf1322',
+  recalculatedBetweenness: '#722ed1'
+};
+
+// Curve colors of the restoration plans in the timeline chart, in order
+const PLAN_COLORS = ['#1890ff', '#fa8c16', '#52c41a', '#722ed1', '#eb2f96', '#13c2c2'];
+
 // Load network data
 const loadNetworkData = async () => {
   try {
@@ -98,18 +138,132 @@ function App() {
   const [failureType, setFailureType] = useState('none');
   const [selectedEdges, setSelectedEdges] = useState([]);
   const [selectedLayers, setSelectedLayers] = useState([]);
+  const [degradation, setDegradation] = useState({
+    scope: 'layer',
+    targets: [],
+    modes: [],
+    radiusKm: 2,
+    ...DEFAULT_DEGRADATION,
+    timeFactor: 2.0
+  });
+  const [selectedRegions, setSelectedRegions] = useState([]);
+  const [selectedLines, setSelectedLines] = useState([]);
+  const [lineSection, setLineSection] = useState({ line: 'Red', from: null, to: null });
+  const [failureArea, setFailureArea] = useState({
+    shape: 'circle',
+    center: null,
+    radiusKm: 2,
+    points: [],
+    action: 'remove'
+  });
   const [objective, setObjective] = useState('time');
+  const [generalizedWeights, setGeneralizedWeights] = useState(DEFAULT_GENERALIZED_WEIGHTS);
   const [timeOfDay, setTimeOfDay] = useState('afternoon');
+  const [fareProfile, setFareProfile] = useState('token');
   const [budget, setBudget] = useState(2);
   const [customBudget, setCustomBudget] = useState(2);
+  const [budgetMode, setBudgetMode] = useState('links');
+  const [costBudget, setCostBudget] = useState(50); // ₹ crore
+  const [linkUnitCosts, setLinkUnitCosts] = useState(
+    Object.fromEntries(Object.entries(LINK_UNIT_COSTS).map(([kind, cost]) => [kind, cost / 1e7])) // ₹ crore per km
+  );
+  const [alternativeRoutes, setAlternativeRoutes] = useState(3);
+  const [congestion, setCongestion] = useState(false);
+  const [demandModel, setDemandModel] = useState('uniform');
+  const [odSeed, setOdSeed] = useState(42);
+  const [sampleStrategy, setSampleStrategy] = useState('region');
+  const [sampleSize, setSampleSize] = useState(40);
+  const [odSets, setOdSets] = useState({});
+  const [activeOdSet, setActiveOdSet] = useState(null);
+  const [odSetName, setOdSetName] = useState('');
+  const [tripsPerPair, setTripsPerPair] = useState(1000);
+  const [disconnectionPenalty, setDisconnectionPenalty] = useState({
+    mode: DEFAULT_DISCONNECTION_PENALTY.mode,
+    timeCap: DEFAULT_DISCONNECTION_PENALTY.timeCap,
+    multiple: DEFAULT_DISCONNECTION_PENALTY.multiple
+  });
   
   // Results states
   const [baselineMetrics, setBaselineMetrics] = useState(null);
   const [scenarioMetrics, setScenarioMetrics] = useState(null);
   const [recommendedLinks, setRecommendedLinks] = useState([]);
+  const [recommendationBudget, setRecommendationBudget] = useState(null);
   const [finalMetrics, setFinalMetrics] = useState(null);
   const [progress, setProgress] = useState({ message: '', percent: 0 });
   const [topAffectedPairs, setTopAffectedPairs] = useState([]);
+  const [paretoAlternatives, setParetoAlternatives] = useState(null);
+  const [kShortestRoutes, setKShortestRoutes] = useState(null);
+  const [fareProfileImpact, setFareProfileImpact] = useState([]);
+  const [networkStructure, setNetworkStructure] = useState(null);
+  const [analyzingStructure, setAnalyzingStructure] = useState(false);
+  const [criticalTopN, setCriticalTopN] = useState(3);
+  const [percolation, setPercolation] = useState(null);
+  const [runningPercolation, setRunningPercolation] = useState(false);
+  const [percolationProgress, setPercolationProgress] = useState(null);
+  const [percolationStrategies, setPercolationStrategies] = useState(Object.keys(ATTACK_STRATEGIES));
+  const [percolationOptions, setPercolationOptions] = useState({
+    stepSize: DEFAULT_PERCOLATION_OPTIONS.stepSize,
+    maxFraction: DEFAULT_PERCOLATION_OPTIONS.maxFraction,
+    randomRuns: DEFAULT_PERCOLATION_OPTIONS.randomRuns
+  });
+  const [percolationCurve, setPercolationCurve] = useState('gcc');
+  const [cascade, setCascade] = useState(null);
+  const [monteCarlo, setMonteCarlo] = useState(null);
+  const [runningMonteCarlo, setRunningMonteCarlo] = useState(false);
+  const [monteCarloProgress, setMonteCarloProgress] = useState(null);
+  const [mcProbabilities, setMcProbabilities] = useState({
+    layers: { ...DEFAULT_FAILURE_PROBABILITIES.layers },
+    types: {},
+    links: { ...DEFAULT_FAILURE_PROBABILITIES.links }
+  });
+  const [mcElementNodes, setMcElementNodes] = useState([]);
+  const [mcElementProbability, setMcElementProbability] = useState(0.1);
+  const [mcElementLinks, setMcElementLinks] = useState([]);
+  const [mcElementLinkProbability, setMcElementLinkProbability] = useState(0.1);
+  const [mcRuns, setMcRuns] = useState(DEFAULT_MONTE_CARLO_OPTIONS.runs);
+  const [mcSeed, setMcSeed] = useState(DEFAULT_MONTE_CARLO_OPTIONS.seed);
+  const [contingency, setContingency] = useState(null);
+  const [runningContingency, setRunningContingency] = useState(false);
+  const [contingencyN2, setContingencyN2] = useState(null);
+  const [runningN2, setRunningN2] = useState(false);
+  const [n2TopK, setN2TopK] = useState(DEFAULT_CONTINGENCY_OPTIONS.topK);
+  const [contingencyProgress, setContingencyProgress] = useState(null);
+  const [timelineEvents, setTimelineEvents] = useState([]);
+  const [timelinePlans, setTimelinePlans] = useState([]);
+  const [timelinePlanName, setTimelinePlanName] = useState('');
+  const [timelineSchedule, setTimelineSchedule] = useState({ start: 0, firstRepair: 6, interval: 0 });
+  const [timelineOptions, setTimelineOptions] = useState({
+    horizon: DEFAULT_TIMELINE_OPTIONS.horizon,
+    stepSize: DEFAULT_TIMELINE_OPTIONS.stepSize
+  });
+  const [timelineResult, setTimelineResult] = useState(null);
+  const [runningTimeline, setRunningTimeline] = useState(false);
+  const [robustScenarios, setRobustScenarios] = useState([]);
+  const [robustScenarioName, setRobustScenarioName] = useState('');
+  const [robustCriterion, setRobustCriterion] = useState(DEFAULT_ROBUST_OPTIONS.criterion);
+  const [robustResult, setRobustResult] = useState(null);
+  const [runningRobust, setRunningRobust] = useState(false);
+  const [robustProgress, setRobustProgress] = useState(null);
+  const [optimizerComparison, setOptimizerComparison] = useState(null);
+  const [runningOptimizers, setRunningOptimizers] = useState(false);
+  const [optimizerProgress, setOptimizerProgress] = useState(null);
+  const [optimizerMethods, setOptimizerMethods] = useState(DEFAULT_OPTIMIZER_OPTIONS.methods);
+  const [optimizerSeed, setOptimizerSeed] = useState(DEFAULT_OPTIMIZER_OPTIONS.seed);
+  const [exhaustiveLimit, setExhaustiveLimit] = useState(DEFAULT_OPTIMIZER_OPTIONS.exhaustiveLimit);
+  const [repairPlan, setRepairPlan] = useState(null);
+  const [runningRepair, setRunningRepair] = useState(false);
+  const [repairProgress, setRepairProgress] = useState(null);
+  const [repairOptions, setRepairOptions] = useState({
+    crews: DEFAULT_REPAIR_OPTIONS.crews,
+    stepHours: DEFAULT_REPAIR_OPTIONS.stepHours,
+    method: DEFAULT_REPAIR_OPTIONS.method
+  });
+  const [cascadeStep, setCascadeStep] = useState(0);
+  const [runningCascade, setRunningCascade] = useState(false);
+  const [cascadeOptions, setCascadeOptions] = useState({
+    tolerance: DEFAULT_CASCADE_OPTIONS.tolerance,
+    element: DEFAULT_CASCADE_OPTIONS.element
+  });
   
   // Graph states
   const [originalGraph, setOriginalGraph] = useState(null);
@@ -140,19 +294,12 @@ function App() {
     return node.name.replace('Bus near', direction);
   };
   
-  // OD pairs
-  const odPairsRef = useRef([]);
-  
   // Load data on mount
   useEffect(() => {
     loadNetworkData().then(data => {
       if (data) {
         setNodes(data.nodes);
         setEdges(data.edges);
-        
-        // Generate default OD sample
-        odPairsRef.current = generateODSample(data.nodes, 40);
-        
         setLoading(false);
         message.success('Network data loaded successfully!');
       } else {
@@ -211,13 +358,515 @@ function App() {
     }
   }, [timeOfDay]);
   
+  // Parse an uploaded OD matrix and keep it as a named OD set
+  const handleODUpload = (file) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const parsed = parseODMatrixCSV(e.target.result, nodes);
+      const baseName = odSetName.trim() || file.name.replace(/\.csv$/i, '');
+      let name = baseName;
+      for (let n = 2; odSets[name]; n++) {
+        name = `${baseName} (${n})`;
+      }
+      
+      if (parsed.pairs.length === 0) {
+        message.error(`No valid OD pairs in ${file.name} (${parsed.unmatched.length} rows rejected)`);
+        return;
+      }
+      
+      setOdSets(prev => ({ ...prev, [name]: { ...parsed, fileName: file.name } }));
+      setActiveOdSet(name);
+      setDemandModel('custom');
+      setOdSetName('');
+      message.success(`Loaded OD set "${name}": ${parsed.pairs.length} pairs, ${Math.round(parsed.totalTrips)} trips`);
+    };
+    reader.readAsText(file);
+    return false; // Parse locally instead of uploading
+  };
+  
+  const removeODSet = (name) => {
+    setOdSets(prev => {
+      const next = { ...prev };
+      delete next[name];
+      return next;
+    });
+    if (activeOdSet === name) {
+      setActiveOdSet(null);
+      if (demandModel === 'custom') setDemandModel('uniform');
+    }
+  };
+  
+  // Structural analysis of the intact network at the current time of day
+  const analyzeStructure = () => {
+    setAnalyzingStructure(true);
+    // Let the spinner render before the (synchronous) computation
+    setTimeout(() => {
+      try {
+        const graph = buildGraph(nodes, edges, 'time', getTimeOfDayMultiplier());
+        setNetworkStructure({ ...analyzeNetworkStructure(graph), timeOfDay: getTimeOfDayMultiplier().label });
+      } catch (error) {
+        console.error('Error analyzing network structure:', error);
+        message.error('Structural analysis failed: ' + error.message);
+      } finally {
+        setAnalyzingStructure(false);
+      }
+    }, 50);
+  };
+  
+  // Push the most critical stations/hubs into the node failure selection
+  const failTopCritical = () => {
+    const top = networkStructure.ranking.slice(0, criticalTopN).map(r => r.node);
+    setFailureType('node');
+    setFailureHubs(top);
+    message.success(`Selected the ${top.length} most critical node(s) for failure`);
+  };
+  
+  // Area failure as drawn on the map: a circle once its centre is placed, a polygon from 3 corners
+  const selectedArea = useMemo(() => {
+    if (failureArea.shape === 'circle') {
+      return failureArea.center ? { center: failureArea.center, radiusKm: failureArea.radiusKm } : null;
+    }
+    return failureArea.points.length >= 3 ? { points: failureArea.points } : null;
+  }, [failureArea]);
+  
+  // Targets of the selected failure type
+  const getFailureTargets = useCallback(() => {
+    if (failureType === 'node') return failureHubs;
+    if (failureType === 'edge') return selectedEdges;
+    if (failureType === 'layer') return selectedLayers;
+    if (failureType === 'degrade') {
+      if (degradation.targets.length === 0) return [];
+      // Area degradations are circles around the chosen nodes
+      const targets = degradation.scope === 'area'
+        ? nodes
+          .filter(n => degradation.targets.includes(n.node_id))
+          .map(n => ({ center: { lat: n.lat, lon: n.lon }, radiusKm: degradation.radiusKm }))
+        : degradation.targets;
+      return [{ ...degradation, targets }];
+    }
+    if (failureType === 'area') {
+      if (!selectedArea) return [];
+      const { timeFactor, costFactor, capacityFactor, modes } = degradation;
+      return [failureArea.action === 'degrade'
+        ? { area: selectedArea, action: 'degrade', timeFactor, costFactor, capacityFactor, modes }
+        : { area: selectedArea, action: 'remove' }];
+    }
+    if (failureType === 'region') return selectedRegions;
+    if (failureType === 'line') return selectedLines;
+    if (failureType === 'section') return lineSection.from && lineSection.to ? [lineSection] : [];
+    return [];
+  }, [failureType, failureHubs, selectedEdges, selectedLayers, degradation, nodes, selectedArea, failureArea.action, selectedRegions, selectedLines, lineSection]);
+  
+  // Intact network for previewing what an area or metro line failure hits
+  const failurePreviewGraph = useMemo(
+    () => (['area', 'line', 'section'].includes(failureType) && nodes.length > 0 ? buildGraph(nodes, edges) : null),
+    [failureType, nodes, edges]
+  );
+  
+  // Stations and links a metro line or section failure closes
+  const metroPreview = useMemo(() => {
+    if (!failurePreviewGraph || !['line', 'section'].includes(failureType)) return null;
+    const targets = getFailureTargets();
+    return targets.length > 0 ? metroFailureElements(failurePreviewGraph, failureType, targets) : null;
+  }, [failurePreviewGraph, failureType, getFailureTargets]);
+  
+  // Metro lines and regions present in the data
+  const metroLines = useMemo(() => [...new Set(nodes.flatMap(stationLines))].sort(), [nodes]);
+  const regions = useMemo(() => [...new Set(nodes.map(n => n.region).filter(Boolean))].sort(), [nodes]);
+  const nodeName = id => nodes.find(n => n.node_id === id)?.name || id;
+  
+  // Nodes and links inside the drawn area, by layer and mode
+  const areaPreview = useMemo(() => {
+    if (failureType !== 'area' || !failurePreviewGraph || !selectedArea) return null;
+    const inside = elementsInArea(failurePreviewGraph, [selectedArea]);
+    const byLayer = {};
+    inside.nodes.forEach(node => {
+      const layer = failurePreviewGraph.getNodeAttribute(node, 'layer');
+      byLayer[layer] = (byLayer[layer] || 0) + 1;
+    });
+    const byMode = {};
+    const degrading = failureArea.action === 'degrade';
+    const links = inside.edges
+      .filter(edge => !degrading || degradation.modes.length === 0 || degradation.modes.includes(failurePreviewGraph.getEdgeAttribute(edge, 'mode')))
+      .map(edge => {
+        const mode = failurePreviewGraph.getEdgeAttribute(edge, 'mode');
+        byMode[mode] = (byMode[mode] || 0) + 1;
+        return {
+          edge,
+          source: failurePreviewGraph.source(edge),
+          target: failurePreviewGraph.target(edge),
+          current: degrading,
+          label: degrading ? 'Degraded' : 'Removed with the area'
+        };
+      });
+    return { nodes: degrading ? [] : inside.nodes, links, byLayer, byMode };
+  }, [failureType, failurePreviewGraph, selectedArea, failureArea.action, degradation.modes]);
+  
+  // Click on the drawing map: place the circle centre or add a polygon corner
+  const placeAreaPoint = useCallback(point => {
+    setFailureArea(prev => (prev.shape === 'circle'
+      ? { ...prev, center: point }
+      : { ...prev, points: [...prev.points, point] }));
+  }, []);
+  
+  // OD pairs (with trips) of the last scenario run, for the network experiments
+  const lastRunODPairs = () => (baselineMetrics
+    ? baselineMetrics.results.map(({ source, target, sourceName, targetName, trips }) => ({ source, target, sourceName, targetName, trips }))
+    : null);
+  
+  // Overload cascade triggered by the selected failure, on the intact network
+  const runCascade = () => {
+    if (failureType === 'none' || getFailureTargets().length === 0) {
+      message.warning('Select a failure to trigger the cascade');
+      return;
+    }
+    setRunningCascade(true);
+    setTimeout(() => {
+      try {
+        const graph = buildGraph(nodes, edges, 'time', getTimeOfDayMultiplier());
+        const odPairs = lastRunODPairs() || [];
+        const result = simulateCascade(graph, failureType, getFailureTargets(), { ...cascadeOptions, odPairs });
+        setCascade({ ...result, graph });
+        setCascadeStep(result.steps.length - 1);
+      } catch (error) {
+        console.error('Error simulating cascade:', error);
+        message.error('Cascade simulation failed: ' + error.message);
+      } finally {
+        setRunningCascade(false);
+      }
+    }, 50);
+  };
+  
+  // Monte Carlo failure scenarios on the intact network
+  const runMonteCarloScenarios = () => {
+    setRunningMonteCarlo(true);
+    setMonteCarloProgress(null);
+    setTimeout(async () => {
+      try {
+        const graph = buildGraph(nodes, edges, 'time', getTimeOfDayMultiplier());
+        const odPairs = lastRunODPairs() || sampleODPairs(nodes, { sampleSize, seed: odSeed, strategy: sampleStrategy }).pairs;
+        const elements = {};
+        mcElementNodes.forEach(node => { elements[node] = mcElementProbability; });
+        mcElementLinks.forEach(link => { elements[link] = mcElementLinkProbability; });
+        const result = await runMonteCarlo(graph, odPairs, { ...mcProbabilities, elements }, {
+          runs: mcRuns,
+          seed: mcSeed,
+          metricsOptions: { disconnection: disconnectionPenalty }
+        }, setMonteCarloProgress);
+        setMonteCarlo({ ...result, timeOfDay: getTimeOfDayMultiplier().label, odPairs: odPairs.length });
+      } catch (error) {
+        console.error('Error running Monte Carlo scenarios:', error);
+        message.error('Monte Carlo run failed: ' + error.message);
+      } finally {
+        setRunningMonteCarlo(false);
+        setMonteCarloProgress(null);
+      }
+    }, 50);
+  };
+  
+  // N-1 contingency ranking on the intact network
+  const runContingency = () => {
+    setRunningContingency(true);
+    setContingencyN2(null);
+    setContingencyProgress(null);
+    setTimeout(async () => {
+      try {
+        const graph = buildGraph(nodes, edges, 'time', getTimeOfDayMultiplier());
+        const odPairs = lastRunODPairs() || sampleODPairs(nodes, { sampleSize, seed: odSeed, strategy: sampleStrategy }).pairs;
+        const metricsOptions = { disconnection: disconnectionPenalty };
+        const result = await runContingencyAnalysis(graph, odPairs, { metricsOptions }, ({ index, total }) => {
+          setContingencyProgress({ pass: 'N-1', done: index + 1, total, unit: 'elements' });
+        });
+        // Graph and OD pairs are kept so the N-2 pass evaluates the same network and demand
+        setContingency({ ...result, graph, odPairs, metricsOptions, timeOfDay: getTimeOfDayMultiplier().label });
+      } catch (error) {
+        console.error('Error running contingency analysis:', error);
+        message.error('Contingency analysis failed: ' + error.message);
+      } finally {
+        setRunningContingency(false);
+        setContingencyProgress(null);
+      }
+    }, 50);
+  };
+  
+  // N-2 pass over the top N-1 contingencies
+  const runContingencyN2 = () => {
+    setRunningN2(true);
+    setContingencyProgress(null);
+    setTimeout(async () => {
+      try {
+        const { graph, odPairs, rows, metricsOptions } = contingency;
+        setContingencyN2(await runN2Analysis(graph, odPairs, rows, { topK: n2TopK, metricsOptions }, ({ index, total }) => {
+          setContingencyProgress({ pass: 'N-2', done: index + 1, total, unit: 'pairs' });
+        }));
+      } catch (error) {
+        console.error('Error running N-2 analysis:', error);
+        message.error('N-2 analysis failed: ' + error.message);
+      } finally {
+        setRunningN2(false);
+        setContingencyProgress(null);
+      }
+    }, 50);
+  };
+  
+  // Push contingency nodes into the node failure selection
+  const failContingencyNodes = nodeIds => {
+    setFailureType('node');
+    const selected = nodeIds.slice(0, MAX_FAILED_NODES);
+    setFailureHubs(selected);
+    if (selected.length < nodeIds.length) {
+      message.warning(`Selected the first ${selected.length} of ${nodeIds.length} node(s) for failure (at most ${MAX_FAILED_NODES})`);
+    } else {
+      message.success(`Selected ${selected.length} node(s) for failure`);
+    }
+  };
+  
+  // Short label of one failure target, for timeline events
+  const failureTargetLabel = (type, target) => {
+    if (type === 'node') return nodeName(target);
+    if (type === 'section') return `${target.line} ${nodeName(target.from)} – ${nodeName(target.to)}`;
+    if (type === 'degrade') return `${target.scope} ${target.scope === 'area' ? `${target.targets.length} circle(s)` : target.targets.join(', ')} ×${target.timeFactor}`;
+    if (type === 'area') return `${target.action} ${target.area.center ? `${target.area.radiusKm} km circle` : 'polygon'}`;
+    return String(target);
+  };
+  
+  // Add the selected failure to the timeline, one event per target so repairs can be staggered
+  const addTimelineEvents = () => {
+    const targets = getFailureTargets();
+    if (failureType === 'none' || targets.length === 0) {
+      message.warning('Select a failure to add to the timeline');
+      return;
+    }
+    const added = staggeredRepairEvents(failureType, targets, timelineSchedule, target => `${failureType}: ${failureTargetLabel(failureType, target)}`);
+    setTimelineEvents(prev => [...prev, ...added.map((event, i) => ({ ...event, key: `${Date.now()}-${i}` }))]);
+  };
+  
+  const updateTimelineEvent = (key, changes) => {
+    setTimelineEvents(prev => prev.map(event => (event.key === key ? { ...event, ...changes } : event)));
+  };
+  
+  // Keep the current events as a named restoration plan
+  const saveTimelinePlan = () => {
+    const name = timelinePlanName.trim() || `Plan ${timelinePlans.length + 1}`;
+    setTimelinePlans(prev => [...prev.filter(plan => plan.name !== name), { name, events: timelineEvents }]);
+    setTimelinePlanName('');
+    message.success(`Saved restoration plan "${name}"`);
+  };
+  
+  // Evaluate the saved plans (or the current events) on the intact network
+  const runTimelinePlans = () => {
+    const plans = timelinePlans.length > 0 ? timelinePlans : [{ name: 'Current', events: timelineEvents }];
+    setRunningTimeline(true);
+    setTimeout(() => {
+      try {
+        const graph = buildGraph(nodes, edges, 'time', getTimeOfDayMultiplier());
+        const odPairs = lastRunODPairs() || sampleODPairs(nodes, { sampleSize, seed: odSeed, strategy: sampleStrategy }).pairs;
+        const results = compareRestorationPlans(graph, odPairs, plans, {
+          ...timelineOptions,
+          metricsOptions: { disconnection: disconnectionPenalty }
+        });
+        setTimelineResult({ plans: results, timeOfDay: getTimeOfDayMultiplier().label, odPairs: odPairs.length });
+      } catch (error) {
+        console.error('Error evaluating timeline:', error);
+        message.error('Timeline evaluation failed: ' + error.message);
+      } finally {
+        setRunningTimeline(false);
+      }
+    }, 50);
+  };
+  
+  // Add the selected failure to the scenario set of the robust recommender
+  const addRobustScenario = () => {
+    const targets = getFailureTargets();
+    if (failureType === 'none' || targets.length === 0) {
+      message.warning('Select a failure to add as a scenario');
+      return;
+    }
+    const label = `${failureType}: ${targets.map(target => failureTargetLabel(failureType, target)).join(', ')}`;
+    const name = robustScenarioName.trim() || (label.length > 40 ? `${label.slice(0, 40)}…` : label);
+    setRobustScenarios(prev => [...prev, { key: `${Date.now()}`, name, failureType, targets, probability: null }]);
+    setRobustScenarioName('');
+  };
+  
+  // One link portfolio for the whole scenario set
+  const runRobustRecommendation = () => {
+    if (!recommending) {
+      message.warning('Set a budget above 0 to get robust recommendations');
+      return;
+    }
+    setRunningRobust(true);
+    setRobustProgress(null);
+    setTimeout(async () => {
+      try {
+        const todMultiplier = getTimeOfDayMultiplier();
+        const graph = buildScenarioGraph(todMultiplier);
+        const odPairs = lastRunODPairs() || sampleODPairs(nodes, { sampleSize, seed: odSeed, strategy: sampleStrategy }).pairs;
+        const result = await robustRecommendation(graph, nodes, robustScenarios, odPairs, recommendationLimit, {
+          criterion: robustCriterion,
+          objective,
+          timeOfDayCoefficients: todMultiplier,
+          metricsOptions: { disconnection: disconnectionPenalty }
+        }, setRobustProgress);
+        if (result.selectedLinks.length === 0) {
+          message.info('No candidate link lowers the degradation across these scenarios');
+        }
+        setRobustResult({ ...result, objective, odPairs: odPairs.length });
+      } catch (error) {
+        console.error('Error computing robust recommendations:', error);
+        message.error('Robust recommendation failed: ' + error.message);
+      } finally {
+        setRunningRobust(false);
+        setRobustProgress(null);
+      }
+    }, 50);
+  };
+  
+  // Greedy vs exhaustive / metaheuristic link selection on the same candidates and budget;
+  // the optimizers yield between portfolio evaluations, so progress is shown as they go
+  const runOptimizerComparison = () => {
+    if (!recommending) {
+      message.warning('Set a budget above 0 to compare optimizers');
+      return;
+    }
+    setRunningOptimizers(true);
+    setOptimizerProgress(null);
+    setTimeout(async () => {
+      try {
+        const todMultiplier = getTimeOfDayMultiplier();
+        const graph = buildScenarioGraph(todMultiplier);
+        const failed = applyFailure(graph, failureType, getFailureTargets());
+        const odPairs = lastRunODPairs() || sampleODPairs(nodes, { sampleSize, seed: odSeed, strategy: sampleStrategy }).pairs;
+        // Baseline, failed scenario and candidates exactly as runScenario derives them
+        const congestionOptions = congestion ? { tripsPerPair } : null;
+        const baseline = computeMetrics(graph, odPairs, objective, { congestion: congestionOptions, disconnection: disconnectionPenalty });
+        const metricsOptions = { disconnection: { ...disconnectionPenalty, baseline } };
+        const scenario = computeMetrics(failed, odPairs, objective, { ...metricsOptions, congestion: congestionOptions });
+        const candidates = generateCandidates(nodes, graph, failed, scenario.results);
+        const comparison = await compareLinkOptimizers(failed, candidates, odPairs, recommendationLimit, {
+          methods: optimizerMethods,
+          objective,
+          seed: optimizerSeed,
+          exhaustiveLimit,
+          timeOfDayCoefficients: todMultiplier,
+          metricsOptions
+        }, setOptimizerProgress);
+        setOptimizerComparison({
+          ...comparison,
+          candidates: candidates.length,
+          budget: budgetMode === 'cost' ? formatRupees(recommendationLimit.amount) : `${recommendationLimit} link(s)`,
+          objective,
+          odPairs: odPairs.length
+        });
+      } catch (error) {
+        console.error('Error comparing optimizers:', error);
+        message.error('Optimizer comparison failed: ' + error.message);
+      } finally {
+        setRunningOptimizers(false);
+        setOptimizerProgress(null);
+      }
+    }, 50);
+  };
+  
+  // Repair order of the elements the selected failure takes down
+  const runRepairSequencing = () => {
+    if (failureType === 'none' || getFailureTargets().length === 0) {
+      message.warning('Select a failure to plan its repairs');
+      return;
+    }
+    setRunningRepair(true);
+    setRepairProgress(null);
+    setTimeout(async () => {
+      try {
+        const graph = buildGraph(nodes, edges, 'time', getTimeOfDayMultiplier());
+        const failed = applyFailure(graph, failureType, getFailureTargets());
+        const odPairs = lastRunODPairs() || sampleODPairs(nodes, { sampleSize, seed: odSeed, strategy: sampleStrategy }).pairs;
+        const result = await optimizeRepairSequence(graph, failed, odPairs, {
+          ...repairOptions,
+          metricsOptions: { disconnection: disconnectionPenalty }
+        }, setRepairProgress);
+        if (result.elements.length === 0) {
+          message.info('The selected failure takes nothing down');
+        }
+        setRepairPlan({ ...result, timeOfDay: getTimeOfDayMultiplier().label, odPairs: odPairs.length });
+      } catch (error) {
+        console.error('Error sequencing repairs:', error);
+        message.error('Repair sequencing failed: ' + error.message);
+      } finally {
+        setRunningRepair(false);
+        setRepairProgress(null);
+      }
+    }, 50);
+  };
+  
+  // Network and failed elements at the cascade step shown on the map
+  const cascadeView = useMemo(() => {
+    if (!cascade) return null;
+    const shown = cascade.steps.slice(0, cascadeStep + 1);
+    const current = shown[shown.length - 1];
+    return {
+      graph: cascadeGraphAt(cascade.graph, cascade, cascadeStep),
+      failedNodes: shown.slice(0, -1).flatMap(s => s.failedNodes),
+      cascadeNodes: current.failedNodes,
+      failedLinks: shown.flatMap(s => s.failedEdges.map(link => ({ ...link, current: s === current })))
+    };
+  }, [cascade, cascadeStep]);
+  
+  // Percolation experiment on the intact network, with the OD pairs of the last run
+  // (or a fresh sample with the current OD Sampling settings)
+  const runPercolation = () => {
+    setRunningPercolation(true);
+    setPercolationProgress(null);
+    setTimeout(async () => {
+      try {
+        const graph = buildGraph(nodes, edges, 'time', getTimeOfDayMultiplier());
+        const odPairs = lastRunODPairs() || sampleODPairs(nodes, { sampleSize, seed: odSeed, strategy: sampleStrategy }).pairs;
+        const experiment = await runPercolationExperiment(graph, odPairs, percolationStrategies, {
+          ...percolationOptions,
+          seed: odSeed
+        }, setPercolationProgress);
+        setPercolation({ ...experiment, timeOfDay: getTimeOfDayMultiplier().label, odPairs: odPairs.length });
+      } catch (error) {
+        console.error('Error running percolation experiment:', error);
+        message.error('Percolation experiment failed: ' + error.message);
+      } finally {
+        setRunningPercolation(false);
+        setPercolationProgress(null);
+      }
+    }, 50);
+  };
+  
   // Run scenario
+  // Network as the main run builds it: objective, time of day, generalized weights,
+  // fare profile and Metro preference for a single OD pair
+  const buildScenarioGraph = useCallback((todMultiplier) => {
+    const routeContext = (source && destination && source !== 'All' && destination !== 'All') 
+      ? { source, target: destination }
+      : null;
+    return buildGraph(nodes, edges, objective, todMultiplier, routeContext, generalizedWeights, fareProfile);
+  }, [nodes, edges, source, destination, objective, generalizedWeights, fareProfile]);
+  
+  // Link count, or a ₹ construction budget with per-kind unit costs (₹ per km)
+  const recommending = budgetMode === 'cost' ? costBudget > 0 : budget > 0;
+  const recommendationLimit = useMemo(() => (
+    budgetMode === 'cost'
+      ? {
+          amount: costBudget * 1e7,
+          unitCosts: Object.fromEntries(Object.entries(linkUnitCosts).map(([kind, cost]) => [kind, cost * 1e7]))
+        }
+      : budget
+  ), [budgetMode, costBudget, linkUnitCosts, budget]);
+  
   const runScenario = useCallback(async () => {
     if (nodes.length === 0 || edges.length === 0) {
       message.error('Network data not loaded');
       return;
     }
     
+    if (demandModel === 'custom' && !odSets[activeOdSet]) {
+      message.error('Upload and select an OD set first');
+      return;
+    }
+    
     setRunning(true);
     setProgress({ message: 'Building network graph...', percent: 10 });
     
@@ -226,17 +875,27 @@ function App() {
       const todMultiplier = getTimeOfDayMultiplier();
       console.log('Time of Day Coefficients:', todMultiplier);
       
-      // Prepare route context for Metro preference
-      const routeContext = (source && destination && source !== 'All' && destination !== 'All') 
-        ? { source, target: destination }
-        : null;
-      
-      const graph = buildGraph(nodes, edges, objective, todMultiplier, routeContext);
+      const graph = buildScenarioGraph(todMultiplier);
       setOriginalGraph(graph);
       
-      // Determine OD pairs
-      let odPairs = odPairsRef.current;
+      // Determine OD pairs: seeded (optionally stratified) sample, or the busiest
+      // gravity-model pairs with baseline travel times on this graph as impedance.
+      // The sampling settings are recorded with every result so runs can be reproduced.
+      let odPairs;
+      let sampling;
+      if (demandModel === 'gravity') {
+        odPairs = generateGravityODPairs(nodes, graph, sampleSize);
+        sampling = { demand: 'gravity', strategy: 'top-demand', seed: null, sampleSize };
+      } else if (demandModel === 'custom') {
+        odPairs = odSets[activeOdSet].pairs;
+        sampling = { demand: 'custom', strategy: `OD set "${activeOdSet}"`, seed: null, sampleSize: odPairs.length };
+      } else {
+        const sample = sampleODPairs(nodes, { sampleSize, seed: odSeed, strategy: sampleStrategy });
+        odPairs = sample.pairs;
+        sampling = { demand: 'uniform', strategy: sample.strategy, seed: sample.seed, sampleSize, strata: sample.strata };
+      }
       if (source && destination && source !== 'All' && destination !== 'All') {
+        sampling = { demand: 'single', strategy: 'selected pair', seed: null, sampleSize: 1 };
         odPairs = [{
           source,
           target: destination,
@@ -249,8 +908,13 @@ function App() {
       setProgress({ message: 'Computing baseline metrics...', percent: 20 });
       await new Promise(resolve => setTimeout(resolve, 100));
       
-      const baseline = computeMetrics(graph, odPairs, objective);
-      setBaselineMetrics(baseline);
+      const congestionOptions = congestion ? { tripsPerPair } : null;
+      const baseline = computeMetrics(graph, odPairs, objective, {
+        alternatives: alternativeRoutes,
+        congestion: congestionOptions,
+        disconnection: disconnectionPenalty
+      });
+      setBaselineMetrics({ ...baseline, sampling });
       
       // Apply failure
       setProgress({ message: 'Applying failure scenario...', percent: 35 });
@@ -261,16 +925,7 @@ function App() {
         // No failure - use original graph
         failed = graph;
       } else {
-        let failureTargets = [];
-        if (failureType === 'node') {
-          failureTargets = failureHubs;
-        } else if (failureType === 'edge') {
-          failureTargets = selectedEdges;
-        } else if (failureType === 'layer') {
-          failureTargets = selectedLayers;
-        }
-        
-        failed = applyFailure(graph, failureType, failureTargets);
+        failed = applyFailure(graph, failureType, getFailureTargets());
       }
       setFailedGraph(failed);
       
@@ -278,8 +933,14 @@ function App() {
       setProgress({ message: 'Computing scenario metrics...', percent: 50 });
       await new Promise(resolve => setTimeout(resolve, 100));
       
-      const scenario = computeMetrics(failed, odPairs, objective);
-      setScenarioMetrics(scenario);
+      // Stranded pairs are penalized relative to their baseline journeys
+      const disconnection = { ...disconnectionPenalty, baseline };
+      const scenario = computeMetrics(failed, odPairs, objective, {
+        alternatives: alternativeRoutes,
+        congestion: congestionOptions,
+        disconnection
+      });
+      setScenarioMetrics({ ...scenario, sampling });
       
       // Find top affected pairs
       const affected = [];
@@ -303,8 +964,51 @@ function App() {
       affected.sort((a, b) => b.delta - a.delta);
       setTopAffectedPairs(affected.slice(0, 10));
       
-      // Run greedy recommendation if budget > 0
-      if (budget > 0) {
+      // Same disruption seen by each rider fare profile (pass holders vs cash riders)
+      setProgress({ message: 'Comparing fare profiles...', percent: 52 });
+      await new Promise(resolve => setTimeout(resolve, 100));
+      
+      // Every row with the options of the main run, each against its own profile's baseline
+      setFareProfileImpact(Object.entries(FARE_PROFILES).map(([key, profile]) => {
+        const profileOptions = { fareProfile: key, alternatives: alternativeRoutes, congestion: congestionOptions };
+        const before = key === fareProfile
+          ? baseline
+          : computeMetrics(graph, odPairs, objective, { ...profileOptions, disconnection: disconnectionPenalty });
+        const after = key === fareProfile
+          ? scenario
+          : computeMetrics(failed, odPairs, objective, { ...profileOptions, disconnection: { ...disconnectionPenalty, baseline: before } });
+        return {
+          key,
+          label: profile.label,
+          costBefore: before.avgCost,
+          costAfter: after.avgCost,
+          timeBefore: before.avgTime,
+          timeAfter: after.avgTime
+        };
+      }));
+      
+      // Pareto front of time / cost / transfers for a single OD pair
+      if (odPairs.length === 1) {
+        setProgress({ message: 'Computing Pareto alternatives...', percent: 55 });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        
+        setParetoAlternatives({
+          before: computeParetoPaths(graph, odPairs[0].source, odPairs[0].target),
+          after: computeParetoPaths(failed, odPairs[0].source, odPairs[0].target)
+        });
+        
+        setKShortestRoutes(alternativeRoutes > 0 ? {
+          k: alternativeRoutes,
+          before: computeKShortestPaths(graph, odPairs[0].source, odPairs[0].target, alternativeRoutes),
+          after: computeKShortestPaths(failed, odPairs[0].source, odPairs[0].target, alternativeRoutes)
+        } : null);
+      } else {
+        setParetoAlternatives(null);
+        setKShortestRoutes(null);
+      }
+      
+      // Run greedy recommendation if there is a budget
+      if (recommending) {
         setProgress({ message: 'Generating candidate links...', percent: 60 });
         await new Promise(resolve => setTimeout(resolve, 100));
         
@@ -316,16 +1020,17 @@ function App() {
           failed,
           candidates,
           odPairs,
-          budget,
+          recommendationLimit,
           objective,
           (prog) => {
             const percent = 70 + ((prog.candidateIndex / prog.totalCandidates) * 20);
             setProgress({
-              message: `Evaluating candidate ${prog.candidateIndex + 1}/${prog.totalCandidates} (iteration ${prog.iteration + 1}/${prog.budget})`,
+              message: `Evaluating candidate ${prog.candidateIndex + 1}/${prog.totalCandidates} (iteration ${prog.iteration + 1}${prog.budget ? `/${prog.budget}` : ''})`,
               percent: Math.round(percent)
             });
           },
-          todMultiplier  // Pass time-of-day coefficients
+          todMultiplier,  // Pass time-of-day coefficients
+          { disconnection }
         );
         
         console.log('Recommendation result:', recommendation);
@@ -333,12 +1038,14 @@ function App() {
         console.log('Number of links:', recommendation.selectedLinks?.length);
         
         setRecommendedLinks(recommendation.selectedLinks || []);
+        setRecommendationBudget({ ...recommendation.budget, totalCost: recommendation.totalCost });
         setFixedGraph(recommendation.finalGraph);
-        setFinalMetrics(recommendation.finalMetrics);
+        setFinalMetrics({ ...recommendation.finalMetrics, sampling });
         
         setProgress({ message: 'Complete!', percent: 100 });
       } else {
         setRecommendedLinks([]);
+        setRecommendationBudget(null);
         setFixedGraph(null);
         setFinalMetrics(null);
         setProgress({ message: 'Complete (no recommendations requested)', percent: 100 });
@@ -355,7 +1062,7 @@ function App() {
     } finally {
       setRunning(false);
     }
-  }, [nodes, edges, source, destination, failureHubs, failureType, selectedEdges, selectedLayers, objective, timeOfDay, budget]);
+  }, [nodes, edges, source, destination, failureHubs, failureType, getFailureTargets, objective, generalizedWeights, timeOfDay, fareProfile, recommending, recommendationLimit, buildScenarioGraph, alternativeRoutes, congestion, tripsPerPair, demandModel, odSeed, sampleStrategy, sampleSize, odSets, activeOdSet, disconnectionPenalty]);
   
   const edgeOptions = edges
     .slice(0, 100) // Limit for performance
@@ -364,17 +1071,131 @@ function App() {
       label: `${e.from_id} → ${e.to_id}`
     }));
   
+  // ₹ amounts in crore (1 cr = ₹10^7) or lakh
+  const formatRupees = value => (
+    value >= 1e7 ? `₹${(value / 1e7).toFixed(2)} cr` : `₹${(value / 1e5).toFixed(1)} lakh`
+  );
+  
   // Calculate deltas
   const calculateDelta = (before, after) => {
     if (!before || !after || before === 0) return 0;
     return ((after - before) / before) * 100;
   };
   
+  // Time / fare / capacity multipliers of the degradation (Degrade and Area failures)
+  const renderDegradationFactors = () => (
+    <Row gutter={4}>
+      {[['timeFactor', 'Time'], ['costFactor', 'Fare'], ['capacityFactor', 'Cap.']].map(([key, label]) => (
+        <Col span={8} key={key}>
+          <InputNumber
+            min={key === 'capacityFactor' ? 0.05 : 0.1}
+            max={10}
+            step={0.1}
+            value={degradation[key]}
+            onChange={val => setDegradation(prev => ({ ...prev, [key]: val || DEFAULT_DEGRADATION[key] }))}
+            addonBefore={`${label} ×`}
+            size="small"
+            style={{ width: '100%' }}
+          />
+        </Col>
+      ))}
+    </Row>
+  );
+  
+  // Modes a degradation is limited to (none selected = all)
+  const renderDegradationModes = () => (
+    <Select
+      mode="multiple"
+      style={{ width: '100%' }}
+      placeholder="All modes"
+      value={degradation.modes}
+      onChange={val => setDegradation(prev => ({ ...prev, modes: val }))}
+      size="small"
+    >
+      {['metro', 'mmts', 'bus', 'auto', 'transfer'].map(mode => (
+        <Option key={mode} value={mode}>{mode}</Option>
+      ))}
+    </Select>
+  );
+  
+  // Pareto search that hit its bag cap or result limit: the front shown may be incomplete
+  const renderParetoCapWarning = (front) => {
+    if (front.droppedLabels === 0 && front.totalJourneys <= front.journeys.length) return null;
+    
+    const notes = [];
+    if (front.droppedLabels > 0) {
+      notes.push(`${front.droppedLabels} partial journey(s) were dropped at the per-stop label cap, so some trade-offs may be missing.`);
+    }
+    if (front.totalJourneys > front.journeys.length) {
+      notes.push(`Showing the ${front.journeys.length} fastest of ${front.totalJourneys} journeys found.`);
+    }
+    return <Alert message={notes.join(' ')} type="warning" showIcon style={{ marginBottom: 8 }} />;
+  };
+  
+  // Journey alternatives table (Pareto or k-shortest): tag the best journey on each criterion
+  const renderJourneyTable = (journeys) => {
+    if (!journeys || journeys.length === 0) {
+      return <Alert message="No journeys found" type="warning" showIcon />;
+    }
+    
+    const minTime = Math.min(...journeys.map(j => j.time));
+    const minCost = Math.min(...journeys.map(j => j.cost));
+    const minTransfers = Math.min(...journeys.map(j => j.transfers));
+    
+    return (
+      <Table
+        dataSource={journeys.map((j, idx) => ({ ...j, key: idx }))}
+        columns={[
+          ...(journeys[0].rank ? [{ title: '#', dataIndex: 'rank', key: 'rank', width: 40 }] : []),
+          {
+            title: 'Time',
+            dataIndex: 'time',
+            key: 'time',
+            width: 70,
+            render: val => `${val.toFixed(1)}m`,
+            sorter: (a, b) => a.time - b.time
+          },
+          {
+            title: 'Cost',
+            dataIndex: 'cost',
+            key: 'cost',
+            width: 70,
+            render: val => `₹${val.toFixed(0)}`,
+            sorter: (a, b) => a.cost - b.cost
+          },
+          {
+            title: 'Transfers',
+            dataIndex: 'transfers',
+            key: 'transfers',
+            width: 75,
+            sorter: (a, b) => a.transfers - b.transfers
+          },
+          {
+            title: 'Modes',
+            key: 'modes',
+            render: (_, j) => (
+              <>
+                <span style={{ fontSize: 11 }}>{j.modeSequence.join(' → ')}</span>
+                <div>
+                  {j.time === minTime && <Tag color="blue">Fastest</Tag>}
+                  {j.cost === minCost && <Tag color="gold">Cheapest</Tag>}
+                  {j.transfers === minTransfers && <Tag color="purple">Fewest transfers</Tag>}
+                </div>
+              </>
+            )
+          }
+        ]}
+        size="small"
+        pagination={false}
+      />
+    );
+  };
+  
   // Generate summary
   const generateSummary = () => {
     if (!baselineMetrics || !scenarioMetrics) return '';
     
-    const timeDelta = calculateDelta(baselineMetrics.avgTime, scenarioMetrics.avgTime);
+    const timeDelta = calculateDelta(baselineMetrics.avgPenalizedTime, scenarioMetrics.avgPenalizedTime);
     const disconnectedChange = scenarioMetrics.disconnected - baselineMetrics.disconnected;
     const todInfo = getTimeOfDayMultiplier();
     
@@ -394,18 +1215,45 @@ function App() {
         summary += `removing ${failureHubs.length} node(s) `;
       } else if (failureType === 'layer' && selectedLayers.length > 0) {
         summary += `removing ${selectedLayers.join(', ')} layer(s) `;
+      } else if (failureType === 'region' && selectedRegions.length > 0) {
+        summary += `removing region(s) ${selectedRegions.join(', ')} `;
+      } else if (failureType === 'line' && selectedLines.length > 0) {
+        summary += `closing the ${selectedLines.join(' and ')} metro line(s) `;
+      } else if (failureType === 'section' && lineSection.from && lineSection.to) {
+        summary += `closing the ${lineSection.line} line between ${nodeName(lineSection.from)} and ${nodeName(lineSection.to)} `;
+      } else if (failureType === 'area' && selectedArea) {
+        summary += `${failureArea.action === 'degrade' ? 'degrading' : 'removing'} everything inside a ${selectedArea.center ? `${selectedArea.radiusKm} km circle` : `${selectedArea.points.length}-corner polygon`} `;
+      } else if (failureType === 'degrade' && degradation.targets.length > 0) {
+        summary += `degrading ${degradation.scope === 'area' ? `${degradation.radiusKm} km around ${degradation.targets.length} node(s)` : degradation.targets.join(', ')} `;
+        summary += `(time ×${degradation.timeFactor}, fare ×${degradation.costFactor}, capacity ×${degradation.capacityFactor}) `;
       }
       
       summary += `resulted in ${timeDelta.toFixed(1)}% ${timeDelta > 0 ? 'increase' : 'decrease'} in average travel time`;
       
       if (disconnectedChange > 0) {
-        summary += ` and ${disconnectedChange} additional disconnected OD pairs`;
+        summary += ` (stranded trips counted at the disconnection penalty) and ${disconnectedChange} additional disconnected OD pairs`;
+      }
+      
+      if (scenarioMetrics.accessibilityLoss !== null && scenarioMetrics.accessibilityLoss > 0) {
+        summary += `; accessibility fell by ${(scenarioMetrics.accessibilityLoss * 100).toFixed(1)}%`;
+      }
+      
+      if (scenarioMetrics.delay && scenarioMetrics.delay.max > 0) {
+        summary += `; the worst-hit trip (${scenarioMetrics.delay.maxPair}) lost ${scenarioMetrics.delay.max.toFixed(1)} min, delay Gini ${scenarioMetrics.delay.gini.toFixed(2)}`;
+      }
+      
+      if (scenarioMetrics.avgAlternatives !== null && baselineMetrics.avgAlternatives !== null) {
+        summary += `; viable alternative routes per pair went from ${baselineMetrics.avgAlternatives.toFixed(1)} to ${scenarioMetrics.avgAlternatives.toFixed(1)}`;
       }
     }
     
-    if (finalMetrics && budget > 0) {
-      const fixDelta = calculateDelta(scenarioMetrics.avgTime, finalMetrics.avgTime);
+    if (finalMetrics && recommending) {
+      const fixDelta = calculateDelta(scenarioMetrics.avgPenalizedTime, finalMetrics.avgPenalizedTime);
       summary += `. Greedy recommender added ${recommendedLinks.length} link(s), improving average time by ${Math.abs(fixDelta).toFixed(1)}%`;
+      if (recommendationBudget) {
+        summary += ` for ${formatRupees(recommendationBudget.totalCost)} of construction`;
+        if (recommendationBudget.mode === 'cost') summary += ` (budget ${formatRupees(recommendationBudget.amount)})`;
+      }
     }
     
     summary += '.';
@@ -514,6 +1362,11 @@ function App() {
                   <Radio.Button value="node">Node Down</Radio.Button>
                   <Radio.Button value="edge">Edge Down</Radio.Button>
                   <Radio.Button value="layer">Layer Down</Radio.Button>
+                  <Radio.Button value="degrade">Degrade</Radio.Button>
+                  <Radio.Button value="area">Area</Radio.Button>
+                  <Radio.Button value="region">Region</Radio.Button>
+                  <Radio.Button value="line">Metro Line</Radio.Button>
+                  <Radio.Button value="section">Line Section</Radio.Button>
                 </Radio.Group>
               </div>
               
@@ -524,9 +1377,9 @@ function App() {
                   <Select
                     mode="multiple"
                     style={{ width: '100%' }}
-                    placeholder="Select up to 3 nodes"
+                    placeholder={`Select up to ${MAX_FAILED_NODES} nodes`}
                     value={failureHubs}
-                    onChange={val => setFailureHubs(val.slice(0, 3))}
+                    onChange={val => setFailureHubs(val.slice(0, MAX_FAILED_NODES))}
                     maxTagCount={2}
                   >
                     {nodes.filter(n => n.name).map(n => (
@@ -576,36 +1429,460 @@ function App() {
                 </div>
               )}
               
-              {/* Objective */}
+              {failureType === 'region' && (
+                <div>
+                  <label>Select Regions</label>
+                  <Select
+                    mode="multiple"
+                    style={{ width: '100%' }}
+                    placeholder="Regions to remove"
+                    value={selectedRegions}
+                    onChange={setSelectedRegions}
+                  >
+                    {regions.map(region => (
+                      <Option key={region} value={region}>
+                        {region} ({nodes.filter(n => n.region === region).length} nodes)
+                      </Option>
+                    ))}
+                  </Select>
+                </div>
+              )}
+              
+              {failureType === 'line' && (
+                <div>
+                  <label>Select Metro Lines</label>
+                  <Select
+                    mode="multiple"
+                    style={{ width: '100%' }}
+                    placeholder="Lines to close"
+                    value={selectedLines}
+                    onChange={setSelectedLines}
+                  >
+                    {metroLines.map(line => (
+                      <Option key={line} value={line}>{line} Line</Option>
+                    ))}
+                  </Select>
+                </div>
+              )}
+              
+              {failureType === 'section' && (
+                <div>
+                  <label>Line Section</label>
+                  <Select
+                    style={{ width: '100%', marginBottom: 4 }}
+                    value={lineSection.line}
+                    onChange={line => setLineSection({ line, from: null, to: null })}
+                  >
+                    {metroLines.map(line => (
+                      <Option key={line} value={line}>{line} Line</Option>
+                    ))}
+                  </Select>
+                  <Row gutter={4}>
+                    {['from', 'to'].map(end => (
+                      <Col span={12} key={end}>
+                        <Select
+                          style={{ width: '100%' }}
+                          placeholder={end === 'from' ? 'From station' : 'To station'}
+                          value={lineSection[end]}
+                          onChange={val => setLineSection(prev => ({ ...prev, [end]: val }))}
+                          showSearch
+                          optionFilterProp="children"
+                        >
+                          {nodes.filter(n => stationLines(n).includes(lineSection.line)).map(n => (
+                            <Option key={n.node_id} value={n.node_id}>{n.name}</Option>
+                          ))}
+                        </Select>
+                      </Col>
+                    ))}
+                  </Row>
+                </div>
+              )}
+              
+              {metroPreview && (
+                <div style={{ fontSize: '11px', color: '#666' }}>
+                  Closes {metroPreview.nodes.length} station(s) and {metroPreview.edges.length} link(s)
+                  {metroPreview.interchanges.length > 0 && (
+                    <>
+                      ; interchanges kept open:{' '}
+                      {metroPreview.interchanges.map(i => `${nodeName(i.node)} (${i.openLines.join(', ')})`).join(', ')}
+                    </>
+                  )}
+                  {failureType === 'section' && metroPreview.edges.length === 0 && (
+                    <span style={{ color: '#cf1322' }}> — the stations are not on one stretch of the {lineSection.line} line</span>
+                  )}
+                </div>
+              )}
+              
+              {failureType === 'degrade' && (
+                <div>
+                  <label>
+                    Degrade{' '}
+                    <Tooltip title="Keeps every station and link but multiplies link time, fare and capacity, e.g. waterlogging that halves bus speeds (time ×2) or metro at reduced frequency (capacity ×0.5). Capacity only matters with congestion enabled.">
+                      <QuestionCircleOutlined />
+                    </Tooltip>
+                  </label>
+                  <Radio.Group
+                    value={degradation.scope}
+                    onChange={e => setDegradation(prev => ({ ...prev, scope: e.target.value, targets: [] }))}
+                    size="small"
+                    style={{ width: '100%', marginBottom: 4 }}
+                  >
+                    <Radio.Button value="layer">Layers</Radio.Button>
+                    <Radio.Button value="region">Regions</Radio.Button>
+                    <Radio.Button value="edge">Edges</Radio.Button>
+                    <Radio.Button value="area">Area</Radio.Button>
+                  </Radio.Group>
+                  <Select
+                    mode="multiple"
+                    style={{ width: '100%', marginBottom: 4 }}
+                    placeholder={{
+                      layer: 'Layers to degrade',
+                      region: 'Regions to degrade',
+                      edge: 'Edges to degrade',
+                      area: 'Centre node(s) of the area'
+                    }[degradation.scope]}
+                    value={degradation.targets}
+                    onChange={val => setDegradation(prev => ({ ...prev, targets: val }))}
+                    maxTagCount={2}
+                    showSearch
+                    optionFilterProp="children"
+                  >
+                    {degradation.scope === 'layer' && ['metro', 'mmts', 'bus', 'auto'].map(layer => (
+                      <Option key={layer} value={layer}>{layer}</Option>
+                    ))}
+                    {degradation.scope === 'region' && regions.map(region => (
+                      <Option key={region} value={region}>{region}</Option>
+                    ))}
+                    {degradation.scope === 'edge' && edgeOptions.map(e => (
+                      <Option key={e.value} value={e.value}>{e.label}</Option>
+                    ))}
+                    {degradation.scope === 'area' && nodes.filter(n => n.name).map(n => (
+                      <Option key={n.node_id} value={n.node_id}>{n.name} ({n.layer})</Option>
+                    ))}
+                  </Select>
+                  {(degradation.scope === 'region' || degradation.scope === 'area') && (
+                    <Row gutter={4} style={{ marginBottom: 4 }}>
+                      <Col span={degradation.scope === 'area' ? 14 : 24}>
+                        {renderDegradationModes()}
+                      </Col>
+                      {degradation.scope === 'area' && (
+                        <Col span={10}>
+                          <InputNumber
+                            min={0.1}
+                            max={20}
+                            step={0.5}
+                            value={degradation.radiusKm}
+                            onChange={val => setDegradation(prev => ({ ...prev, radiusKm: val || 1 }))}
+                            addonAfter="km"
+                            size="small"
+                            style={{ width: '100%' }}
+                          />
+                        </Col>
+                      )}
+                    </Row>
+                  )}
+                  {renderDegradationFactors()}
+                </div>
+              )}
+              
+              {failureType === 'area' && (
+                <div>
+                  <label>
+                    Failure Area{' '}
+                    <Tooltip title="Click the map to place the circle's centre, or the polygon's corners. Every node inside and every link entering the area is removed, or the links are degraded.">
+                      <QuestionCircleOutlined />
+                    </Tooltip>
+                  </label>
+                  <Row gutter={4} style={{ marginBottom: 4 }}>
+                    <Col span={12}>
+                      <Radio.Group
+                        value={failureArea.shape}
+                        onChange={e => setFailureArea(prev => ({ ...prev, shape: e.target.value }))}
+                        size="small"
+                      >
+                        <Radio.Button value="circle">Circle</Radio.Button>
+                        <Radio.Button value="polygon">Polygon</Radio.Button>
+                      </Radio.Group>
+                    </Col>
+                    <Col span={12}>
+                      <Radio.Group
+                        value={failureArea.action}
+                        onChange={e => setFailureArea(prev => ({ ...prev, action: e.target.value }))}
+                        size="small"
+                      >
+                        <Radio.Button value="remove">Remove</Radio.Button>
+                        <Radio.Button value="degrade">Degrade</Radio.Button>
+                      </Radio.Group>
+                    </Col>
+                  </Row>
+                  {failureArea.shape === 'circle' ? (
+                    <Row gutter={4} align="middle">
+                      <Col span={14}>
+                        <Slider
+                          min={0.5}
+                          max={10}
+                          step={0.5}
+                          value={failureArea.radiusKm}
+                          onChange={val => setFailureArea(prev => ({ ...prev, radiusKm: val }))}
+                        />
+                      </Col>
+                      <Col span={10}>
+                        <InputNumber
+                          min={0.1}
+                          max={20}
+                          step={0.5}
+                          value={failureArea.radiusKm}
+                          onChange={val => setFailureArea(prev => ({ ...prev, radiusKm: val || 1 }))}
+                          addonAfter="km"
+                          size="small"
+                          style={{ width: '100%' }}
+                        />
+                      </Col>
+                    </Row>
+                  ) : (
+                    <Space style={{ marginBottom: 4 }}>
+                      <span style={{ fontSize: '12px' }}>{failureArea.points.length} corner(s)</span>
+                      <Button
+                        size="small"
+                        disabled={failureArea.points.length === 0}
+                        onClick={() => setFailureArea(prev => ({ ...prev, points: prev.points.slice(0, -1) }))}
+                      >
+                        Undo
+                      </Button>
+                      <Button
+                        size="small"
+                        disabled={failureArea.points.length === 0}
+                        onClick={() => setFailureArea(prev => ({ ...prev, points: [] }))}
+                      >
+                        Clear
+                      </Button>
+                    </Space>
+                  )}
+                  {failureArea.action === 'degrade' && (
+                    <div style={{ marginBottom: 4 }}>
+                      <div style={{ marginBottom: 4 }}>{renderDegradationModes()}</div>
+                      {renderDegradationFactors()}
+                    </div>
+                  )}
+                  <NetworkMap
+                    nodes={nodes}
+                    graph={null}
+                    failedNodes={areaPreview ? areaPreview.nodes : []}
+                    failedLinks={areaPreview ? areaPreview.links : []}
+                    areas={failureArea.shape === 'circle'
+                      ? (selectedArea ? [selectedArea] : [])
+                      : [{ points: failureArea.points }]}
+                    onMapClick={placeAreaPoint}
+                    height={260}
+                  />
+                  {areaPreview ? (
+                    <div style={{ fontSize: '11px', color: '#666', marginTop: 4 }}>
+                      {failureArea.action === 'degrade' ? 'Degrades' : 'Removes'}{' '}
+                      {failureArea.action === 'remove' && (
+                        <>
+                          {areaPreview.nodes.length} node(s)
+                          {areaPreview.nodes.length > 0 && ` (${Object.entries(areaPreview.byLayer).map(([layer, n]) => `${layer} ${n}`).join(', ')})`}
+                          {' and '}
+                        </>
+                      )}
+                      {areaPreview.links.length} link(s)
+                      {areaPreview.links.length > 0 && ` (${Object.entries(areaPreview.byMode).map(([mode, n]) => `${mode} ${n}`).join(', ')})`}
+                    </div>
+                  ) : (
+                    <div style={{ fontSize: '11px', color: '#999', marginTop: 4 }}>
+                      {failureArea.shape === 'circle' ? 'Click the map to place the centre' : 'Click the map to add at least 3 corners'}
+                    </div>
+                  )}
+                </div>
+              )}
+              
+              {/* OD Demand */}
               <div>
                 <label>
-                  Objective{' '}
-                  <Tooltip title="Fastest Time uses travel time weights. Least Cost uses monetary cost. Fewest Transfers prioritizes routes with fewer mode changes.">
+                  OD Demand{' '}
+                  <Tooltip title="Uniform: a seeded sample of station/hub pairs (see OD Sampling), each counted once. Gravity: the busiest pairs of a gravity model that uses each node's density factor (Df) for trip production and attraction, hub factor (Hf) for extra pull, and baseline travel time as impedance. Gravity averages are weighted by trips.">
                     <QuestionCircleOutlined />
                   </Tooltip>
                 </label>
                 <Radio.Group
-                  value={objective}
-                  onChange={e => setObjective(e.target.value)}
+                  value={demandModel}
+                  onChange={e => setDemandModel(e.target.value)}
                   style={{ width: '100%' }}
                 >
-                  <Radio.Button value="time">Fastest Time</Radio.Button>
-                  <Radio.Button value="cost">Least Cost</Radio.Button>
-                  <Radio.Button value="transfers">Fewest Transfers</Radio.Button>
+                  <Radio.Button value="uniform">Uniform Sample</Radio.Button>
+                  <Radio.Button value="gravity">Gravity Model</Radio.Button>
+                  <Radio.Button value="custom" disabled={Object.keys(odSets).length === 0}>Uploaded</Radio.Button>
                 </Radio.Group>
               </div>
               
-              {/* Time of Day */}
+              {/* OD Matrix Upload */}
               <div>
                 <label>
-                  Time of Day{' '}
-                  <Tooltip title="Simulates real-time traffic patterns in Hyderabad. Morning/Evening peaks have heavy traffic (+45-65% time, +25-35% cost). Night has light traffic (-15% time) but surge pricing (+40% cost). Afternoon has moderate conditions.">
+                  OD Matrix (CSV){' '}
+                  <Tooltip title="CSV with columns source,target,trips. Source and target may be node IDs (e.g. MYP_Metro) or station names. Rows that do not match a loaded node or have invalid trips are listed below. Each upload is kept as a named OD set; results are trip-weighted.">
                     <QuestionCircleOutlined />
                   </Tooltip>
                 </label>
-                <Select
-                  style={{ width: '100%' }}
-                  value={timeOfDay}
+                <Space.Compact style={{ width: '100%' }}>
+                  <Input
+                    placeholder="Set name (optional)"
+                    value={odSetName}
+                    onChange={e => setOdSetName(e.target.value)}
+                  />
+                  <Upload accept=".csv,text/csv" showUploadList={false} beforeUpload={handleODUpload}>
+                    <Button icon={<UploadOutlined />}>Upload</Button>
+                  </Upload>
+                </Space.Compact>
+                {Object.keys(odSets).length > 0 && (
+                  <Space.Compact style={{ width: '100%', marginTop: 8 }}>
+                    <Select
+                      style={{ width: '100%' }}
+                      value={activeOdSet}
+                      onChange={name => {
+                        setActiveOdSet(name);
+                        setDemandModel('custom');
+                      }}
+                    >
+                      {Object.entries(odSets).map(([name, set]) => (
+                        <Option key={name} value={name}>
+                          {name} ({set.pairs.length} pairs, {Math.round(set.totalTrips)} trips)
+                        </Option>
+                      ))}
+                    </Select>
+                    <Tooltip title="Remove this OD set">
+                      <Button icon={<DeleteOutlined />} onClick={() => removeODSet(activeOdSet)} disabled={!activeOdSet} />
+                    </Tooltip>
+                  </Space.Compact>
+                )}
+                {odSets[activeOdSet] && (odSets[activeOdSet].unmatched.length > 0 || odSets[activeOdSet].ambiguous.length > 0) && (
+                  <Alert
+                    type="warning"
+                    showIcon
+                    style={{ marginTop: 8, fontSize: 11 }}
+                    message={`${odSets[activeOdSet].unmatched.length} of ${odSets[activeOdSet].rows} rows unmatched` +
+                      (odSets[activeOdSet].ambiguous.length > 0 ? `, ${odSets[activeOdSet].ambiguous.length} ambiguous names resolved` : '')}
+                    description={
+                      <div style={{ maxHeight: 120, overflowY: 'auto' }}>
+                        {odSets[activeOdSet].unmatched.slice(0, 20).map(u => (
+                          <div key={`u${u.line}`}>Line {u.line}: {u.reason}</div>
+                        ))}
+                        {odSets[activeOdSet].unmatched.length > 20 && (
+                          <div>…and {odSets[activeOdSet].unmatched.length - 20} more</div>
+                        )}
+                        {odSets[activeOdSet].ambiguous.slice(0, 10).map(a => (
+                          <div key={`a${a.line}${a.value}`}>Line {a.line}: "{a.value}" → {a.nodeId}</div>
+                        ))}
+                      </div>
+                    }
+                  />
+                )}
+              </div>
+              
+              {/* OD Sampling */}
+              <div>
+                <label>
+                  OD Sampling{' '}
+                  <Tooltip title="The same seed, strategy and sample size always give the same OD pairs, so colleagues can reproduce each other's numbers. Stratified strategies draw origins from every region (R1–R7) and/or layer so none is left out. The gravity model ignores the seed and takes the busiest pairs.">
+                    <QuestionCircleOutlined />
+                  </Tooltip>
+                </label>
+                <Select
+                  style={{ width: '100%' }}
+                  value={sampleStrategy}
+                  onChange={setSampleStrategy}
+                  disabled={demandModel !== 'uniform'}
+                >
+                  {Object.entries(SAMPLING_STRATEGIES).map(([key, strategy]) => (
+                    <Option key={key} value={key}>{strategy.label}</Option>
+                  ))}
+                </Select>
+                <Space style={{ marginTop: 8 }}>
+                  <InputNumber
+                    min={0}
+                    value={odSeed}
+                    onChange={val => setOdSeed(val ?? 0)}
+                    addonBefore="Seed"
+                    disabled={demandModel !== 'uniform'}
+                  />
+                  <InputNumber
+                    min={5}
+                    max={200}
+                    value={sampleSize}
+                    onChange={val => setSampleSize(val || 40)}
+                    addonBefore="Pairs"
+                  />
+                </Space>
+              </div>
+              
+              {/* Objective */}
+              <div>
+                <label>
+                  Objective{' '}
+                  <Tooltip title="Fastest Time uses travel time weights. Least Cost minimizes the journey fare (one fare per continuous metro, MMTS, bus or auto leg). Fewest Transfers finds the route with the fewest boardings after the first (mode changes and metro line changes such as Red to Blue at Ameerpet), then the fastest among those. Generalized combines in-vehicle time, fare, transfers and walking into one cost in equivalent minutes.">
+                    <QuestionCircleOutlined />
+                  </Tooltip>
+                </label>
+                <Radio.Group
+                  value={objective}
+                  onChange={e => setObjective(e.target.value)}
+                  style={{ width: '100%' }}
+                >
+                  <Radio.Button value="time">Fastest Time</Radio.Button>
+                  <Radio.Button value="cost">Least Cost</Radio.Button>
+                  <Radio.Button value="transfers">Fewest Transfers</Radio.Button>
+                  <Radio.Button value="generalized">Generalized</Radio.Button>
+                </Radio.Group>
+              </div>
+              
+              {/* Generalized cost weights */}
+              {objective === 'generalized' && (
+                <div>
+                  <label>
+                    Generalized Cost Weights{' '}
+                    <Tooltip title="Generalized cost (min) = in-vehicle time + walk weight × walking time + fare ÷ value of time + transfer penalty × transfers">
+                      <QuestionCircleOutlined />
+                    </Tooltip>
+                  </label>
+                  <InputNumber
+                    addonBefore="Value of time"
+                    addonAfter="₹/min"
+                    min={0.1}
+                    step={0.5}
+                    value={generalizedWeights.valueOfTime}
+                    onChange={val => setGeneralizedWeights(w => ({ ...w, valueOfTime: val || DEFAULT_GENERALIZED_WEIGHTS.valueOfTime }))}
+                    style={{ width: '100%' }}
+                  />
+                  <InputNumber
+                    addonBefore="Transfer"
+                    addonAfter="min"
+                    min={0}
+                    value={generalizedWeights.transferPenalty}
+                    onChange={val => setGeneralizedWeights(w => ({ ...w, transferPenalty: val ?? 0 }))}
+                    style={{ width: '100%', marginTop: 4 }}
+                  />
+                  <InputNumber
+                    addonBefore="Walk weight"
+                    addonAfter="×"
+                    min={1}
+                    step={0.5}
+                    value={generalizedWeights.walkWeight}
+                    onChange={val => setGeneralizedWeights(w => ({ ...w, walkWeight: val || 1 }))}
+                    style={{ width: '100%', marginTop: 4 }}
+                  />
+                </div>
+              )}
+              
+              {/* Time of Day */}
+              <div>
+                <label>
+                  Time of Day{' '}
+                  <Tooltip title="Simulates real-time traffic patterns in Hyderabad. Morning/Evening peaks have heavy traffic (+45-65% time, +25-35% cost). Night has light traffic (-15% time) but surge pricing (+40% cost). Afternoon has moderate conditions.">
+                    <QuestionCircleOutlined />
+                  </Tooltip>
+                </label>
+                <Select
+                  style={{ width: '100%' }}
+                  value={timeOfDay}
                   onChange={setTimeOfDay}
                 >
                   <Option value="morning">🌅 Morning Peak (7-10 AM)</Option>
@@ -615,48 +1892,192 @@ function App() {
                 </Select>
               </div>
               
-              {/* Budget */}
+              {/* Fare Profile */}
               <div>
                 <label>
-                  Budget (New Links){' '}
-                  <Tooltip title="Maximum number of new links the system will automatically add to the failed network. The recommender runs automatically after you run the scenario if Budget > 0.">
+                  Fare Profile{' '}
+                  <Tooltip title="What the rider pays. Token: cash fares. Smart Card: 10% off metro. Student Pass: 10% off metro and free buses. Bus Pass: free buses. Daily Cap: smart card fares capped at ₹120 a day (₹60 per journey of a return trip). Pass prices are already paid and not charged per journey.">
                     <QuestionCircleOutlined />
                   </Tooltip>
                 </label>
                 <Select
                   style={{ width: '100%' }}
-                  value={budget === customBudget && customBudget > 10 ? 'custom' : budget}
-                  onChange={val => {
-                    if (val === 'custom') {
-                      setBudget(customBudget);
-                    } else {
-                      setBudget(parseInt(val));
-                      setCustomBudget(parseInt(val));
-                    }
-                  }}
+                  value={fareProfile}
+                  onChange={setFareProfile}
                 >
-                  <Option value={0}>0 (No recommendations)</Option>
-                  <Option value={1}>1</Option>
-                  <Option value={2}>2 (default)</Option>
-                  <Option value={3}>3</Option>
-                  <Option value={5}>5</Option>
-                  <Option value={10}>10</Option>
-                  <Option value="custom">Custom</Option>
+                  {Object.entries(FARE_PROFILES).map(([key, profile]) => (
+                    <Option key={key} value={key}>{profile.label}</Option>
+                  ))}
                 </Select>
-                {budget === customBudget && customBudget > 10 && (
+              </div>
+              
+              {/* Alternative Routes */}
+              <div>
+                <label>
+                  Alternative Routes (k){' '}
+                  <Tooltip title="Number of k-shortest loopless routes (Yen's algorithm) evaluated per OD pair. Alternatives within 50% of the best time count as viable, so you can see how much route redundancy survives a failure. Set 0 to skip.">
+                    <QuestionCircleOutlined />
+                  </Tooltip>
+                </label>
+                <InputNumber
+                  min={0}
+                  max={5}
+                  value={alternativeRoutes}
+                  onChange={val => setAlternativeRoutes(val || 0)}
+                  style={{ width: '100%' }}
+                />
+              </div>
+              
+              {/* Congestion */}
+              <div>
+                <label>
+                  Congestion (Traffic Assignment){' '}
+                  <Tooltip title="Loads the OD demand onto the network with a user-equilibrium (Frank–Wolfe) assignment. Link times grow with volume/capacity (BPR function, capacity scaled by the time of day), so riders rerouted by a failure congest the alternate bus and auto links. Adds congested times and colors the maps by V/C.">
+                    <QuestionCircleOutlined />
+                  </Tooltip>
+                </label>
+                <div>
+                  <Switch checked={congestion} onChange={setCongestion} />
+                </div>
+                {congestion && (
                   <InputNumber
-                    min={1}
-                    max={20}
-                    value={customBudget}
-                    onChange={val => {
-                      setCustomBudget(val);
-                      setBudget(val);
-                    }}
+                    min={10}
+                    max={20000}
+                    step={100}
+                    value={tripsPerPair}
+                    onChange={val => setTripsPerPair(val || 1000)}
+                    addonBefore="Trips/OD pair"
+                    addonAfter="per hour"
                     style={{ width: '100%', marginTop: 8 }}
                   />
                 )}
               </div>
               
+              {/* Disconnection Penalty */}
+              <div>
+                <label>
+                  Disconnection Penalty{' '}
+                  <Tooltip title="How an OD pair with no route after the failure counts in averages, charts and the recommender objective. Fixed Cap: every stranded trip counts as this many minutes (fares and transfers use fixed caps too). × Baseline: a multiple of the pair's own baseline time and fare.">
+                    <QuestionCircleOutlined />
+                  </Tooltip>
+                </label>
+                <Space.Compact style={{ width: '100%' }}>
+                  <Select
+                    style={{ width: '50%' }}
+                    value={disconnectionPenalty.mode}
+                    onChange={mode => setDisconnectionPenalty(prev => ({ ...prev, mode }))}
+                  >
+                    <Option value="cap">Fixed Cap</Option>
+                    <Option value="multiple">× Baseline</Option>
+                  </Select>
+                  {disconnectionPenalty.mode === 'cap' ? (
+                    <InputNumber
+                      style={{ width: '50%' }}
+                      min={10}
+                      max={600}
+                      value={disconnectionPenalty.timeCap}
+                      onChange={val => setDisconnectionPenalty(prev => ({ ...prev, timeCap: val || DEFAULT_DISCONNECTION_PENALTY.timeCap }))}
+                      addonAfter="min"
+                    />
+                  ) : (
+                    <InputNumber
+                      style={{ width: '50%' }}
+                      min={1}
+                      max={10}
+                      step={0.5}
+                      value={disconnectionPenalty.multiple}
+                      onChange={val => setDisconnectionPenalty(prev => ({ ...prev, multiple: val || DEFAULT_DISCONNECTION_PENALTY.multiple }))}
+                      addonAfter="×"
+                    />
+                  )}
+                </Space.Compact>
+              </div>
+              
+              {/* Budget */}
+              <div>
+                <label>
+                  Budget{' '}
+                  <Tooltip title="Maximum number of new links (Links), or the construction money (₹) the recommender may spend on the failed network. With a ₹ budget it picks the links with the most improvement per rupee that still fit. The recommender runs automatically after you run the scenario if the budget is above 0.">
+                    <QuestionCircleOutlined />
+                  </Tooltip>
+                </label>
+                <Radio.Group
+                  value={budgetMode}
+                  onChange={e => setBudgetMode(e.target.value)}
+                  size="small"
+                  style={{ display: 'block', marginBottom: 8 }}
+                >
+                  <Radio.Button value="links">Links</Radio.Button>
+                  <Radio.Button value="cost">₹ Cost</Radio.Button>
+                </Radio.Group>
+                {budgetMode === 'cost' ? (
+                  <Space direction="vertical" style={{ width: '100%' }} size={4}>
+                    <InputNumber
+                      min={0}
+                      max={5000}
+                      step={10}
+                      value={costBudget}
+                      onChange={val => setCostBudget(val ?? 0)}
+                      addonBefore="₹"
+                      addonAfter="crore"
+                      style={{ width: '100%' }}
+                    />
+                    {[['busLane', 'Bus lane'], ['walkway', 'Walkway'], ['feeder', 'Feeder']].map(([kind, label]) => (
+                      <InputNumber
+                        key={kind}
+                        min={0}
+                        max={1000}
+                        step={0.5}
+                        value={linkUnitCosts[kind]}
+                        onChange={val => setLinkUnitCosts(prev => ({ ...prev, [kind]: val ?? LINK_UNIT_COSTS[kind] / 1e7 }))}
+                        addonBefore={label}
+                        addonAfter="₹ cr/km"
+                        size="small"
+                        style={{ width: '100%' }}
+                      />
+                    ))}
+                    <div style={{ fontSize: '11px', color: '#999' }}>
+                      Express hub links are bus lanes, metro ↔ MMTS transfers walkways, OD-driven links feeders
+                    </div>
+                  </Space>
+                ) : (
+                  <>
+                    <Select
+                      style={{ width: '100%' }}
+                      value={budget === customBudget && customBudget > 10 ? 'custom' : budget}
+                      onChange={val => {
+                        if (val === 'custom') {
+                          setBudget(customBudget);
+                        } else {
+                          setBudget(parseInt(val));
+                          setCustomBudget(parseInt(val));
+                        }
+                      }}
+                    >
+                      <Option value={0}>0 (No recommendations)</Option>
+                      <Option value={1}>1</Option>
+                      <Option value={2}>2 (default)</Option>
+                      <Option value={3}>3</Option>
+                      <Option value={5}>5</Option>
+                      <Option value={10}>10</Option>
+                      <Option value="custom">Custom</Option>
+                    </Select>
+                    {budget === customBudget && customBudget > 10 && (
+                      <InputNumber
+                        min={1}
+                        max={20}
+                        value={customBudget}
+                        onChange={val => {
+                          setCustomBudget(val);
+                          setBudget(val);
+                        }}
+                        style={{ width: '100%', marginTop: 8 }}
+                      />
+                    )}
+                  </>
+                )}
+              </div>
+              
               {/* Run Button */}
               <Button
                 type="primary"
@@ -692,6 +2113,13 @@ function App() {
                 <Tag color="blue" style={{ marginLeft: 8 }}>
                   {getTimeOfDayMultiplier().label}
                 </Tag>
+                {baselineMetrics?.sampling && (
+                  <Tag color="purple">
+                    {baselineMetrics.sampling.seed !== null ? `Seed ${baselineMetrics.sampling.seed} · ` : ''}
+                    {SAMPLING_STRATEGIES[baselineMetrics.sampling.strategy]?.label || baselineMetrics.sampling.strategy}
+                    {` · ${baselineMetrics.sampling.sampleSize} pairs`}
+                  </Tag>
+                )}
               </span>
             } 
             className="results-card"
@@ -715,10 +2143,44 @@ function App() {
                         title="Avg Transfers"
                         value={baselineMetrics.avgTransfers.toFixed(2)}
                       />
+                      <Statistic
+                        title="Avg Generalized Cost"
+                        value={baselineMetrics.avgGeneralized.toFixed(2)}
+                        suffix="min"
+                      />
                       <Statistic
                         title="Disconnected"
                         value={baselineMetrics.disconnected}
                       />
+                      <Statistic
+                        title="Penalized Avg Time"
+                        value={baselineMetrics.avgPenalizedTime.toFixed(2)}
+                        suffix="min"
+                      />
+                      <Statistic
+                        title="Median / P90 / P95 Time"
+                        value={`${baselineMetrics.timePercentiles.median.toFixed(1)} / ${baselineMetrics.timePercentiles.p90.toFixed(1)} / ${baselineMetrics.timePercentiles.p95.toFixed(1)}`}
+                        suffix="min"
+                      />
+                      {baselineMetrics.avgAlternatives !== null && (
+                        <Statistic
+                          title="Viable Alternatives"
+                          value={baselineMetrics.avgAlternatives.toFixed(2)}
+                        />
+                      )}
+                      {baselineMetrics.assignment && (
+                        <>
+                          <Statistic
+                            title="Avg Congested Time"
+                            value={baselineMetrics.avgCongestedTime.toFixed(2)}
+                            suffix="min"
+                          />
+                          <Statistic
+                            title="Max V/C"
+                            value={baselineMetrics.assignment.maxVC.toFixed(2)}
+                          />
+                        </>
+                      )}
                     </Card>
                   </Col>
                   
@@ -741,6 +2203,14 @@ function App() {
                         title="Avg Transfers"
                         value={scenarioMetrics.avgTransfers.toFixed(2)}
                       />
+                      <Statistic
+                        title="Avg Generalized Cost"
+                        value={scenarioMetrics.avgGeneralized.toFixed(2)}
+                        suffix="min"
+                        valueStyle={{
+                          color: scenarioMetrics.avgGeneralized > baselineMetrics.avgGeneralized ? '#cf1322' : '#3f8600'
+                        }}
+                      />
                       <Statistic
                         title="Disconnected"
                         value={scenarioMetrics.disconnected}
@@ -748,6 +2218,50 @@ function App() {
                           color: scenarioMetrics.disconnected > baselineMetrics.disconnected ? '#cf1322' : '#3f8600'
                         }}
                       />
+                      <Statistic
+                        title="Penalized Avg Time"
+                        value={scenarioMetrics.avgPenalizedTime.toFixed(2)}
+                        suffix="min"
+                        valueStyle={{
+                          color: scenarioMetrics.avgPenalizedTime > baselineMetrics.avgPenalizedTime ? '#cf1322' : '#3f8600'
+                        }}
+                      />
+                      <Statistic
+                        title="Median / P90 / P95 Time"
+                        value={`${scenarioMetrics.timePercentiles.median.toFixed(1)} / ${scenarioMetrics.timePercentiles.p90.toFixed(1)} / ${scenarioMetrics.timePercentiles.p95.toFixed(1)}`}
+                        suffix="min"
+                        valueStyle={{
+                          color: scenarioMetrics.timePercentiles.p90 > baselineMetrics.timePercentiles.p90 ? '#cf1322' : '#3f8600'
+                        }}
+                      />
+                      {scenarioMetrics.avgAlternatives !== null && (
+                        <Statistic
+                          title="Viable Alternatives"
+                          value={scenarioMetrics.avgAlternatives.toFixed(2)}
+                          valueStyle={{
+                            color: scenarioMetrics.avgAlternatives < baselineMetrics.avgAlternatives ? '#cf1322' : '#3f8600'
+                          }}
+                        />
+                      )}
+                      {scenarioMetrics.assignment && baselineMetrics.assignment && (
+                        <>
+                          <Statistic
+                            title="Avg Congested Time"
+                            value={scenarioMetrics.avgCongestedTime.toFixed(2)}
+                            suffix="min"
+                            valueStyle={{
+                              color: scenarioMetrics.avgCongestedTime > baselineMetrics.avgCongestedTime ? '#cf1322' : '#3f8600'
+                            }}
+                          />
+                          <Statistic
+                            title="Max V/C"
+                            value={scenarioMetrics.assignment.maxVC.toFixed(2)}
+                            valueStyle={{
+                              color: scenarioMetrics.assignment.maxVC > 1 ? '#cf1322' : '#3f8600'
+                            }}
+                          />
+                        </>
+                      )}
                     </Card>
                   </Col>
                   
@@ -774,15 +2288,84 @@ function App() {
                         suffix="%"
                         prefix={scenarioMetrics.avgTransfers > baselineMetrics.avgTransfers ? '+' : ''}
                       />
+                      <Statistic
+                        title="Generalized Change"
+                        value={calculateDelta(baselineMetrics.avgGeneralized, scenarioMetrics.avgGeneralized).toFixed(1)}
+                        suffix="%"
+                        prefix={scenarioMetrics.avgGeneralized > baselineMetrics.avgGeneralized ? '+' : ''}
+                      />
                       <Statistic
                         title="New Disconnected"
                         value={scenarioMetrics.disconnected - baselineMetrics.disconnected}
                       />
+                      <Statistic
+                        title={
+                          <span>
+                            Accessibility Loss{' '}
+                            <Tooltip title="Drop in trip-weighted accessibility, exp(-0.05 × travel time), where stranded pairs have zero accessibility.">
+                              <QuestionCircleOutlined />
+                            </Tooltip>
+                          </span>
+                        }
+                        value={(scenarioMetrics.accessibilityLoss * 100).toFixed(1)}
+                        suffix="%"
+                        valueStyle={{
+                          color: scenarioMetrics.accessibilityLoss > 0 ? '#cf1322' : '#3f8600'
+                        }}
+                      />
+                      {scenarioMetrics.delay && (
+                        <>
+                          <Statistic
+                            title="Max Delay"
+                            value={scenarioMetrics.delay.max.toFixed(1)}
+                            suffix="min"
+                            prefix={scenarioMetrics.delay.max > 0 ? '+' : ''}
+                          />
+                          <Statistic
+                            title="Median / P90 / P95 Delay"
+                            value={`${scenarioMetrics.delay.median.toFixed(1)} / ${scenarioMetrics.delay.p90.toFixed(1)} / ${scenarioMetrics.delay.p95.toFixed(1)}`}
+                            suffix="min"
+                          />
+                          <Statistic
+                            title={
+                              <span>
+                                Delay Gini / Theil{' '}
+                                <Tooltip title="Inequality of the per-trip travel-time increase. Gini: 0 = shared equally, 1 = borne by one trip. Theil: 0 = shared equally, larger = more concentrated.">
+                                  <QuestionCircleOutlined />
+                                </Tooltip>
+                              </span>
+                            }
+                            value={`${scenarioMetrics.delay.gini.toFixed(2)} / ${scenarioMetrics.delay.theil.toFixed(2)}`}
+                          />
+                        </>
+                      )}
+                      {scenarioMetrics.singleRoutePairs !== null && (
+                        <Statistic
+                          title="Single-Route Pairs"
+                          value={scenarioMetrics.singleRoutePairs - baselineMetrics.singleRoutePairs}
+                          prefix={scenarioMetrics.singleRoutePairs > baselineMetrics.singleRoutePairs ? '+' : ''}
+                        />
+                      )}
+                      {scenarioMetrics.assignment && baselineMetrics.assignment && (
+                        <>
+                          <Statistic
+                            title="Congested Time Change"
+                            value={calculateDelta(baselineMetrics.avgCongestedTime, scenarioMetrics.avgCongestedTime).toFixed(1)}
+                            suffix="%"
+                            prefix={scenarioMetrics.avgCongestedTime > baselineMetrics.avgCongestedTime ? '+' : ''}
+                          />
+                          <Statistic
+                            title="Links Over Capacity"
+                            value={scenarioMetrics.assignment.overCapacityLinks - baselineMetrics.assignment.overCapacityLinks}
+                            prefix={scenarioMetrics.assignment.overCapacityLinks > baselineMetrics.assignment.overCapacityLinks ? '+' : ''}
+                          />
+                        </>
+                      )}
                     </Card>
                   </Col>
                 </Row>
                 
-                {finalMetrics && budget > 0 && (
+                {finalMetrics && recommending && (
                   <Card
                     size="small"
                     title={`After Recommendations (${recommendedLinks.length} links added)`}
@@ -816,6 +2399,15 @@ function App() {
                         />
                       </Col>
                     </Row>
+                    {recommendationBudget && (
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: 8 }}>
+                        💰 Construction spend: <strong>{formatRupees(recommendationBudget.totalCost)}</strong>
+                        {recommendationBudget.mode === 'cost' && <> of {formatRupees(recommendationBudget.amount)} budget</>}
+                        {recommendationBudget.totalCost > 0 && (
+                          <> · {((scenarioMetrics.avgPenalizedTime - finalMetrics.avgPenalizedTime) / (recommendationBudget.totalCost / 1e7)).toFixed(3)} min saved per ₹ cr</>
+                        )}
+                      </div>
+                    )}
                   </Card>
                 )}
                 
@@ -838,6 +2430,11 @@ function App() {
                             <strong>Total:</strong> {baselineMetrics.results[0].time?.toFixed(2)} min | 
                             ₹{baselineMetrics.results[0].cost?.toFixed(2)} | 
                             {baselineMetrics.results[0].transfers} transfer(s)
+                            {baselineMetrics.results[0].fareLegs?.length > 0 && (
+                              <div style={{ marginTop: '4px', fontSize: '12px', color: '#666' }}>
+                                🎫 Fare: {baselineMetrics.results[0].fareLegs.map(leg => `${leg.mode} ₹${leg.fare.toFixed(0)}`).join(' + ')}
+                              </div>
+                            )}
                           </div>
                           
                           {baselineMetrics.results[0].pathSegments && baselineMetrics.results[0].pathSegments.length > 0 ? (
@@ -857,7 +2454,7 @@ function App() {
                                     {idx + 1}. {segment.from} → {segment.to}
                                   </div>
                                   <div style={{ color: '#666', marginTop: '4px' }}>
-                                    <Tag color="blue">{segment.mode}</Tag>
+                                    <Tag color="blue">{segment.mode}{segment.line ? ` ${segment.line}` : ''}</Tag>
                                     <span style={{ marginLeft: '8px' }}>
                                       ⏱️ {segment.time?.toFixed(1)} min
                                     </span>
@@ -897,6 +2494,11 @@ function App() {
                             <strong>Total:</strong> {scenarioMetrics.results[0].time?.toFixed(2)} min | 
                             ₹{scenarioMetrics.results[0].cost?.toFixed(2)} | 
                             {scenarioMetrics.results[0].transfers} transfer(s)
+                            {scenarioMetrics.results[0].fareLegs?.length > 0 && (
+                              <div style={{ marginTop: '4px', fontSize: '12px', color: '#666' }}>
+                                🎫 Fare: {scenarioMetrics.results[0].fareLegs.map(leg => `${leg.mode} ₹${leg.fare.toFixed(0)}`).join(' + ')}
+                              </div>
+                            )}
                             {scenarioMetrics.results[0].time !== baselineMetrics.results[0].time && (
                               <div style={{ 
                                 marginTop: '4px',
@@ -929,7 +2531,7 @@ function App() {
                                   </div>
                                   <div style={{ color: '#666', marginTop: '4px' }}>
                                     <Tag color={segment.mode === 'metro' ? 'blue' : segment.mode === 'bus' ? 'orange' : 'green'}>
-                                      {segment.mode}
+                                      {segment.mode}{segment.line ? ` ${segment.line}` : ''}
                                     </Tag>
                                     <span style={{ marginLeft: '8px' }}>
                                       ⏱️ {segment.time?.toFixed(1)} min
@@ -955,6 +2557,116 @@ function App() {
                   </Card>
                 )}
                 
+                {/* Disruption impact per rider fare profile */}
+                {fareProfileImpact.length > 0 && (
+                  <Card
+                    title={
+                      <span>
+                        🎫 Impact by Fare Profile{' '}
+                        <Tooltip title="Average fare and travel time before and after the failure for each rider fare profile. With the Least Cost or Generalized objective, pass holders may also take different routes.">
+                          <QuestionCircleOutlined />
+                        </Tooltip>
+                      </span>
+                    }
+                    size="small"
+                    style={{ marginTop: 16 }}
+                  >
+                    <Table
+                      dataSource={fareProfileImpact}
+                      rowKey="key"
+                      columns={[
+                        {
+                          title: 'Profile',
+                          dataIndex: 'label',
+                          key: 'label',
+                          render: (val, row) => row.key === fareProfile ? <strong>{val}</strong> : val
+                        },
+                        { title: 'Fare Before', dataIndex: 'costBefore', key: 'costBefore', render: val => `₹${val.toFixed(1)}` },
+                        { title: 'Fare After', dataIndex: 'costAfter', key: 'costAfter', render: val => `₹${val.toFixed(1)}` },
+                        {
+                          title: 'Fare Δ',
+                          key: 'costDelta',
+                          render: (_, row) => {
+                            const delta = row.costAfter - row.costBefore;
+                            return (
+                              <span style={{ color: delta > 0 ? '#cf1322' : '#3f8600' }}>
+                                {delta >= 0 ? '+' : '-'}₹{Math.abs(delta).toFixed(1)}
+                              </span>
+                            );
+                          }
+                        },
+                        {
+                          title: 'Time Δ',
+                          key: 'timeDelta',
+                          render: (_, row) => {
+                            const delta = row.timeAfter - row.timeBefore;
+                            return `${delta >= 0 ? '+' : ''}${delta.toFixed(1)} min`;
+                          }
+                        }
+                      ]}
+                      size="small"
+                      pagination={false}
+                    />
+                  </Card>
+                )}
+                
+                {/* Pareto-optimal alternatives for a single OD pair */}
+                {paretoAlternatives && (
+                  <Card
+                    title={
+                      <span>
+                        🧭 Pareto Alternatives (approximate front){' '}
+                        <Tooltip title="Journeys that are not beaten on time, cost and transfers at once. Each row is a different trade-off, e.g. a slightly slower but much cheaper route. Journeys within 0.5 min and ₹1 of another count as the same trade-off, and the search keeps a bounded number of partial journeys per stop, so a trade-off can occasionally be missed.">
+                          <QuestionCircleOutlined />
+                        </Tooltip>
+                      </span>
+                    }
+                    size="small"
+                    style={{ marginTop: 16 }}
+                  >
+                    <Row gutter={16}>
+                      <Col span={12}>
+                        <div style={{ fontWeight: 'bold', marginBottom: 8, color: '#1890ff' }}>
+                          Before Failure ({paretoAlternatives.before.journeys.length})
+                        </div>
+                        {renderParetoCapWarning(paretoAlternatives.before)}
+                        {renderJourneyTable(paretoAlternatives.before.journeys)}
+                      </Col>
+                      <Col span={12}>
+                        <div style={{ fontWeight: 'bold', marginBottom: 8, color: '#cf1322' }}>
+                          After Failure ({paretoAlternatives.after.journeys.length})
+                        </div>
+                        {renderParetoCapWarning(paretoAlternatives.after)}
+                        {renderJourneyTable(paretoAlternatives.after.journeys)}
+                      </Col>
+                    </Row>
+                  </Card>
+                )}
+                
+                {/* K-shortest alternative routes for a single OD pair */}
+                {kShortestRoutes && (
+                  <Card
+                    title={`🔀 Top-${kShortestRoutes.k} Alternative Routes`}
+                    size="small"
+                    style={{ marginTop: 16 }}
+                  >
+                    <Row gutter={16}>
+                      <Col span={12}>
+                        <div style={{ fontWeight: 'bold', marginBottom: 8, color: '#1890ff' }}>
+                          Before Failure ({kShortestRoutes.before.length})
+                        </div>
+                        {renderJourneyTable(kShortestRoutes.before)}
+                      </Col>
+                      <Col span={12}>
+                        <div style={{ fontWeight: 'bold', marginBottom: 8, color: '#cf1322' }}>
+                          After Failure ({kShortestRoutes.after.length})
+                        </div>
+                        {renderJourneyTable(kShortestRoutes.after)}
+                      </Col>
+                    </Row>
+                  </Card>
+                )}
+                
                 {/* Comprehensive Network Analysis - Simplified */}
                 {baselineMetrics && scenarioMetrics && (
                   <Card title="📊 Network Analysis" size="small" style={{ marginTop: 8 }}>
@@ -962,18 +2674,25 @@ function App() {
                     <Row gutter={8}>
                       {/* Travel Time Progression */}
                       <Col span={12}>
-                        <Card size="small" title="⏱️ Travel Time Progression" headStyle={{ background: '#e6f7ff', fontSize: '12px' }}>
+                        <Card size="small" title={
+                          <span>
+                            ⏱️ Travel Time Progression{' '}
+                            <Tooltip title="Trip-weighted average over all OD pairs; disconnected pairs count at the disconnection penalty, so stranding trips never looks like an improvement.">
+                              <QuestionCircleOutlined />
+                            </Tooltip>
+                          </span>
+                        } headStyle={{ background: '#e6f7ff', fontSize: '12px' }}>
                           <div style={{ height: 280, display: 'flex', alignItems: 'flex-end', justifyContent: 'space-around', padding: '0 15px' }}>
                             {[
-                              { label: 'Baseline', value: baselineMetrics.avgTime, color: '#1890ff' },
-                              { label: 'After Failure', value: scenarioMetrics.avgTime, color: '#ff4d4f' },
-                              ...(finalMetrics && budget > 0 ? [{ 
+                              { label: 'Baseline', value: baselineMetrics.avgPenalizedTime, color: '#1890ff' },
+                              { label: 'After Failure', value: scenarioMetrics.avgPenalizedTime, color: '#ff4d4f' },
+                              ...(finalMetrics && recommending ? [{ 
                                 label: 'After Fix', 
-                                value: finalMetrics.avgTime, 
+                                value: finalMetrics.avgPenalizedTime, 
                                 color: '#52c41a'
                               }] : [])
                             ].map((item, idx) => {
-                              const maxVal = Math.max(baselineMetrics.avgTime, scenarioMetrics.avgTime, finalMetrics?.avgTime || 0);
+                              const maxVal = Math.max(baselineMetrics.avgPenalizedTime, scenarioMetrics.avgPenalizedTime, finalMetrics?.avgPenalizedTime || 0);
                               const heightPercent = (item.value / maxVal) * 75;
                               return (
                                 <div key={idx} style={{ flex: 1, margin: '0 8px', textAlign: 'center' }}>
@@ -999,14 +2718,14 @@ function App() {
                                         top: -24,
                                         fontSize: '13px',
                                         fontWeight: 'bold',
-                                        color: item.value > baselineMetrics.avgTime ? '#ff4d4f' : '#52c41a',
+                                        color: item.value > baselineMetrics.avgPenalizedTime ? '#ff4d4f' : '#52c41a',
                                         background: 'white',
                                         padding: '1px 6px',
                                         borderRadius: '3px',
                                         boxShadow: '0 2px 6px rgba(0,0,0,0.1)'
                                       }}>
-                                        {item.value > baselineMetrics.avgTime ? '▲' : '▼'}
-                                        {Math.abs(((item.value - baselineMetrics.avgTime) / baselineMetrics.avgTime * 100)).toFixed(1)}%
+                                        {item.value > baselineMetrics.avgPenalizedTime ? '▲' : '▼'}
+                                        {Math.abs(((item.value - baselineMetrics.avgPenalizedTime) / baselineMetrics.avgPenalizedTime * 100)).toFixed(1)}%
                                       </div>
                                     )}
                                   </div>
@@ -1027,7 +2746,7 @@ function App() {
                             {[
                               { label: 'Baseline', value: baselineMetrics.avgCost, color: '#1890ff' },
                               { label: 'After Failure', value: scenarioMetrics.avgCost, color: '#fa8c16' },
-                              ...(finalMetrics && budget > 0 ? [{ 
+                              ...(finalMetrics && recommending ? [{ 
                                 label: 'After Fix', 
                                 value: finalMetrics.avgCost, 
                                 color: '#52c41a'
@@ -1095,15 +2814,15 @@ function App() {
                               },
                               { 
                                 label: 'After Failure', 
-                                value: (baselineMetrics.avgTime / scenarioMetrics.avgTime) * 100, 
+                                value: (baselineMetrics.avgPenalizedTime / scenarioMetrics.avgPenalizedTime) * 100, 
                                 color: '#ff4d4f',
-                                desc: `${((1 - baselineMetrics.avgTime / scenarioMetrics.avgTime) * 100).toFixed(1)}% loss`
+                                desc: `${((1 - baselineMetrics.avgPenalizedTime / scenarioMetrics.avgPenalizedTime) * 100).toFixed(1)}% loss`
                               },
-                              ...(finalMetrics && budget > 0 ? [{ 
+                              ...(finalMetrics && recommending ? [{ 
                                 label: 'After Recovery', 
-                                value: (baselineMetrics.avgTime / finalMetrics.avgTime) * 100, 
+                                value: (baselineMetrics.avgPenalizedTime / finalMetrics.avgPenalizedTime) * 100, 
                                 color: '#52c41a',
-                                desc: `${((baselineMetrics.avgTime / finalMetrics.avgTime - baselineMetrics.avgTime / scenarioMetrics.avgTime) * 100).toFixed(1)}% gain`
+                                desc: `${((baselineMetrics.avgPenalizedTime / finalMetrics.avgPenalizedTime - baselineMetrics.avgPenalizedTime / scenarioMetrics.avgPenalizedTime) * 100).toFixed(1)}% gain`
                               }] : [])
                             ].map((item, idx) => {
                               const maxVal = 100;
@@ -1147,27 +2866,27 @@ function App() {
                             {[
                               { 
                                 label: 'Baseline', 
-                                value: (1 / baselineMetrics.avgTime * 60), 
+                                value: (1 / baselineMetrics.avgPenalizedTime * 60), 
                                 color: '#1890ff',
                                 desc: 'Optimal speed'
                               },
                               { 
                                 label: 'After Failure', 
-                                value: (1 / scenarioMetrics.avgTime * 60), 
+                                value: (1 / scenarioMetrics.avgPenalizedTime * 60), 
                                 color: '#fa8c16',
-                                desc: `-${((1 / baselineMetrics.avgTime - 1 / scenarioMetrics.avgTime) * 60).toFixed(2)} routes/hr`
+                                desc: `-${((1 / baselineMetrics.avgPenalizedTime - 1 / scenarioMetrics.avgPenalizedTime) * 60).toFixed(2)} routes/hr`
                               },
-                              ...(finalMetrics && budget > 0 ? [{ 
+                              ...(finalMetrics && recommending ? [{ 
                                 label: 'After Recovery', 
-                                value: (1 / finalMetrics.avgTime * 60), 
+                                value: (1 / finalMetrics.avgPenalizedTime * 60), 
                                 color: '#52c41a',
-                                desc: `+${((1 / finalMetrics.avgTime - 1 / scenarioMetrics.avgTime) * 60).toFixed(2)} routes/hr`
+                                desc: `+${((1 / finalMetrics.avgPenalizedTime - 1 / scenarioMetrics.avgPenalizedTime) * 60).toFixed(2)} routes/hr`
                               }] : [])
                             ].map((item, idx) => {
                               const maxVal = Math.max(
-                                (1 / baselineMetrics.avgTime * 60), 
-                                (1 / scenarioMetrics.avgTime * 60), 
-                                finalMetrics ? (1 / finalMetrics.avgTime * 60) : 0
+                                (1 / baselineMetrics.avgPenalizedTime * 60), 
+                                (1 / scenarioMetrics.avgPenalizedTime * 60), 
+                                finalMetrics ? (1 / finalMetrics.avgPenalizedTime * 60) : 0
                               );
                               const heightPercent = (item.value / maxVal) * 70;
                               return (
@@ -1210,16 +2929,16 @@ function App() {
                         <Card size="small" style={{ background: '#fff1f0', textAlign: 'center', height: '130px' }}>
                           <div style={{ fontSize: '10px', color: '#666', marginBottom: 6 }}>Efficiency Loss</div>
                           <div style={{ fontSize: '32px', fontWeight: 'bold', color: '#cf1322' }}>
-                            {((baselineMetrics.avgTime / scenarioMetrics.avgTime - 1) * -100).toFixed(1)}%
+                            {((baselineMetrics.avgPenalizedTime / scenarioMetrics.avgPenalizedTime - 1) * -100).toFixed(1)}%
                           </div>
                           <Progress 
-                            percent={Math.min(Math.abs((baselineMetrics.avgTime / scenarioMetrics.avgTime - 1) * 100), 100)}
+                            percent={Math.min(Math.abs((baselineMetrics.avgPenalizedTime / scenarioMetrics.avgPenalizedTime - 1) * 100), 100)}
                             strokeColor="#cf1322"
                             showInfo={false}
                             style={{ marginTop: 6 }}
                           />
                           <div style={{ fontSize: '10px', color: '#999', marginTop: 4 }}>
-                            {((baselineMetrics.avgTime / scenarioMetrics.avgTime) * 100).toFixed(1)}% efficient
+                            {((baselineMetrics.avgPenalizedTime / scenarioMetrics.avgPenalizedTime) * 100).toFixed(1)}% efficient
                           </div>
                         </Card>
                       </Col>
@@ -1229,13 +2948,13 @@ function App() {
                         <Card size="small" style={{ background: '#f0f5ff', textAlign: 'center', height: '130px' }}>
                           <div style={{ fontSize: '10px', color: '#666', marginBottom: 6 }}>Throughput Loss</div>
                           <div style={{ fontSize: '32px', fontWeight: 'bold', color: '#ff4d4f' }}>
-                            {((1 / baselineMetrics.avgTime - 1 / scenarioMetrics.avgTime) * 60).toFixed(2)}
+                            {((1 / baselineMetrics.avgPenalizedTime - 1 / scenarioMetrics.avgPenalizedTime) * 60).toFixed(2)}
                           </div>
                           <div style={{ fontSize: '10px', color: '#999', marginTop: 4 }}>
                             fewer routes/hour
                           </div>
                           <div style={{ fontSize: '9px', color: '#666', marginTop: 8, padding: '4px', background: '#fff', borderRadius: '3px' }}>
-                            {(1 / baselineMetrics.avgTime * 60).toFixed(2)} → {(1 / scenarioMetrics.avgTime * 60).toFixed(2)} routes/hr
+                            {(1 / baselineMetrics.avgPenalizedTime * 60).toFixed(2)} → {(1 / scenarioMetrics.avgPenalizedTime * 60).toFixed(2)} routes/hr
                           </div>
                         </Card>
                       </Col>
@@ -1279,25 +2998,157 @@ function App() {
                       </Col>
                     </Row>
 
-                    {/* Recovery Metrics (if recommendations exist) */}
-                    {finalMetrics && budget > 0 && recommendedLinks.length > 0 && (
+                    {/* Distribution & Equity Cards */}
+                    {scenarioMetrics.delay && (
                       <Row gutter={8} style={{ marginTop: 8 }}>
-                        <Col span={12}>
-                          <Card size="small" style={{ background: 'linear-gradient(135deg, #e6f7ff 0%, #f6ffed 100%)', border: '1px solid #52c41a' }}>
-                            <Row gutter={8}>
-                              <Col span={8}>
-                                <div style={{ textAlign: 'center' }}>
-                                  <div style={{ fontSize: '10px', color: '#666' }}>Recovery Rate</div>
-                                  <div style={{ fontSize: '28px', fontWeight: 'bold', color: '#52c41a' }}>
-                                    {((scenarioMetrics.avgTime - finalMetrics.avgTime) / (scenarioMetrics.avgTime - baselineMetrics.avgTime) * 100).toFixed(1)}%
-                                  </div>
+                        {/* Travel Time Percentiles */}
+                        <Col span={6}>
+                          <Card size="small" style={{ background: '#f0f5ff', textAlign: 'center', height: '130px' }}>
+                            <div style={{ fontSize: '10px', color: '#666', marginBottom: 6 }}>P90 Travel Time</div>
+                            <div style={{ fontSize: '32px', fontWeight: 'bold', color: scenarioMetrics.timePercentiles.p90 > baselineMetrics.timePercentiles.p90 ? '#cf1322' : '#1890ff' }}>
+                              {scenarioMetrics.timePercentiles.p90.toFixed(1)}
+                            </div>
+                            <div style={{ fontSize: '10px', color: '#999', marginTop: 4 }}>
+                              min (vs {baselineMetrics.timePercentiles.p90.toFixed(1)} baseline)
+                            </div>
+                            <div style={{ fontSize: '9px', color: '#666', marginTop: 8, padding: '4px', background: '#fff', borderRadius: '3px' }}>
+                              Median {scenarioMetrics.timePercentiles.median.toFixed(1)} · P95 {scenarioMetrics.timePercentiles.p95.toFixed(1)}
+                            </div>
+                          </Card>
+                        </Col>
+                        
+                        {/* Maximum Delay */}
+                        <Col span={6}>
+                          <Card size="small" style={{ background: '#fff1f0', textAlign: 'center', height: '130px' }}>
+                            <div style={{ fontSize: '10px', color: '#666', marginBottom: 6 }}>Maximum Delay</div>
+                            <div style={{ fontSize: '32px', fontWeight: 'bold', color: scenarioMetrics.delay.max > 0 ? '#cf1322' : '#52c41a' }}>
+                              {scenarioMetrics.delay.max >= 0 ? '+' : ''}{scenarioMetrics.delay.max.toFixed(1)}
+                            </div>
+                            <div style={{ fontSize: '10px', color: '#999', marginTop: 4 }}>
+                              min · P90 delay {scenarioMetrics.delay.p90.toFixed(1)}
+                            </div>
+                            <div style={{ fontSize: '9px', color: '#666', marginTop: 8, padding: '4px', background: '#fff', borderRadius: '3px', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                              {scenarioMetrics.delay.maxPair}
+                            </div>
+                          </Card>
+                        </Col>
+                        
+                        {/* Delay Inequality */}
+                        <Col span={6}>
+                          <Card size="small" style={{ background: '#fff7e6', textAlign: 'center', height: '130px' }}>
+                            <div style={{ fontSize: '10px', color: '#666', marginBottom: 6 }}>
+                              Delay Inequality (Gini){' '}
+                              <Tooltip title="How unevenly the travel-time increase falls on trips: 0 = every trip is delayed equally, 1 = one trip bears all the delay. Stranded trips count at the penalty time; trips that got faster count as zero.">
+                                <QuestionCircleOutlined />
+                              </Tooltip>
+                            </div>
+                            <div style={{ fontSize: '32px', fontWeight: 'bold', color: '#fa8c16' }}>
+                              {scenarioMetrics.delay.gini.toFixed(2)}
+                            </div>
+                            <Progress
+                              percent={scenarioMetrics.delay.gini * 100}
+                              strokeColor="#fa8c16"
+                              showInfo={false}
+                              style={{ marginTop: 6 }}
+                            />
+                            <div style={{ fontSize: '10px', color: '#999', marginTop: 4 }}>
+                              Theil {scenarioMetrics.delay.theil.toFixed(2)}
+                            </div>
+                          </Card>
+                        </Col>
+                        
+                        {/* Worst-Hit Region */}
+                        <Col span={6}>
+                          {(() => {
+                            const worst = scenarioMetrics.regions
+                              .filter(r => r.avgDelay !== null)
+                              .reduce((max, r) => (!max || r.avgDelay > max.avgDelay ? r : max), null);
+                            return (
+                              <Card size="small" style={{ background: '#f9f0ff', textAlign: 'center', height: '130px' }}>
+                                <div style={{ fontSize: '10px', color: '#666', marginBottom: 6 }}>Worst-Hit Region</div>
+                                <div style={{ fontSize: '32px', fontWeight: 'bold', color: '#722ed1' }}>
+                                  {worst ? worst.region : '—'}
                                 </div>
-                              </Col>
-                              <Col span={8}>
+                                <div style={{ fontSize: '10px', color: '#999', marginTop: 4 }}>
+                                  {worst ? `+${worst.avgDelay.toFixed(1)} min avg delay` : 'no delay data'}
+                                </div>
+                                {worst && worst.delayShare !== null && (
+                                  <div style={{ fontSize: '9px', color: '#666', marginTop: 8, padding: '4px', background: '#fff', borderRadius: '3px' }}>
+                                    {(worst.delayShare * 100).toFixed(0)}% of total delay · {worst.disconnected} stranded
+                                  </div>
+                                )}
+                              </Card>
+                            );
+                          })()}
+                        </Col>
+                      </Row>
+                    )}
+                    
+                    {/* Travel Time by Origin Region */}
+                    {scenarioMetrics.regions.length > 0 && (
+                      <Row gutter={8} style={{ marginTop: 8 }}>
+                        <Col span={24}>
+                          <Card size="small" title="🗺️ Avg Travel Time by Origin Region" headStyle={{ background: '#f9f0ff', fontSize: '12px' }}>
+                            {(() => {
+                              const baselineByRegion = {};
+                              baselineMetrics.regions.forEach(r => { baselineByRegion[r.region] = r; });
+                              const maxTime = Math.max(
+                                ...scenarioMetrics.regions.map(r => r.avgTime),
+                                ...baselineMetrics.regions.map(r => r.avgTime),
+                                1
+                              );
+                              return (
+                                <div style={{ height: 200, display: 'flex', alignItems: 'flex-end', justifyContent: 'space-around', padding: '0 10px' }}>
+                                  {scenarioMetrics.regions.map(region => {
+                                    const before = baselineByRegion[region.region];
+                                    return (
+                                      <Tooltip
+                                        key={region.region}
+                                        title={`${region.region}: ${region.pairs} pairs, ${region.disconnected} stranded · ${before ? before.avgTime.toFixed(1) : '—'} → ${region.avgTime.toFixed(1)} min`}
+                                      >
+                                        <div style={{ flex: 1, margin: '0 4px', textAlign: 'center', height: '100%', display: 'flex', flexDirection: 'column', justifyContent: 'flex-end' }}>
+                                          <div style={{ display: 'flex', alignItems: 'flex-end', justifyContent: 'center', gap: 2, height: '80%' }}>
+                                            <div style={{ width: '40%', height: `${((before ? before.avgTime : 0) / maxTime) * 100}%`, background: '#1890ff', borderRadius: '3px 3px 0 0' }} />
+                                            <div style={{ width: '40%', height: `${(region.avgTime / maxTime) * 100}%`, background: '#ff4d4f', borderRadius: '3px 3px 0 0' }} />
+                                          </div>
+                                          <div style={{ marginTop: 6, fontWeight: 'bold', fontSize: '11px' }}>{region.region}</div>
+                                          <div style={{ fontSize: '9px', color: region.avgDelay > 0 ? '#cf1322' : '#999' }}>
+                                            {region.avgDelay !== null ? `${region.avgDelay >= 0 ? '+' : ''}${region.avgDelay.toFixed(1)} min` : ''}
+                                          </div>
+                                        </div>
+                                      </Tooltip>
+                                    );
+                                  })}
+                                </div>
+                              );
+                            })()}
+                            <div style={{ fontSize: '10px', color: '#999', marginTop: 6, textAlign: 'center' }}>
+                              <span style={{ color: '#1890ff' }}>■</span> Baseline &nbsp; <span style={{ color: '#ff4d4f' }}>■</span> After failure (penalized, trip-weighted)
+                            </div>
+                          </Card>
+                        </Col>
+                      </Row>
+                    )}
+                    
+                    {/* Recovery Metrics (if recommendations exist) */}
+                    {finalMetrics && recommending && recommendedLinks.length > 0 && (
+                      <Row gutter={8} style={{ marginTop: 8 }}>
+                        <Col span={12}>
+                          <Card size="small" style={{ background: 'linear-gradient(135deg, #e6f7ff 0%, #f6ffed 100%)', border: '1px solid #52c41a' }}>
+                            <Row gutter={8}>
+                              <Col span={8}>
+                                <div style={{ textAlign: 'center' }}>
+                                  <div style={{ fontSize: '10px', color: '#666' }}>Recovery Rate</div>
+                                  <div style={{ fontSize: '28px', fontWeight: 'bold', color: '#52c41a' }}>
+                                    {((scenarioMetrics.avgPenalizedTime - finalMetrics.avgPenalizedTime) / (scenarioMetrics.avgPenalizedTime - baselineMetrics.avgPenalizedTime) * 100).toFixed(1)}%
+                                  </div>
+                                </div>
+                              </Col>
+                              <Col span={8}>
                                 <div style={{ textAlign: 'center' }}>
                                   <div style={{ fontSize: '10px', color: '#666' }}>Time Saved</div>
                                   <div style={{ fontSize: '28px', fontWeight: 'bold', color: '#1890ff' }}>
-                                    {(scenarioMetrics.avgTime - finalMetrics.avgTime).toFixed(1)} min
+                                    {(scenarioMetrics.avgPenalizedTime - finalMetrics.avgPenalizedTime).toFixed(1)} min
                                   </div>
                                 </div>
                               </Col>
@@ -1314,7 +3165,10 @@ function App() {
                         </Col>
                         <Col span={12}>
                           <Card size="small" style={{ background: '#fafafa' }}>
-                            <div style={{ fontSize: '11px', color: '#666', marginBottom: 6, textAlign: 'center' }}>🔧 Added {recommendedLinks.length} Link{recommendedLinks.length !== 1 ? 's' : ''}</div>
+                            <div style={{ fontSize: '11px', color: '#666', marginBottom: 6, textAlign: 'center' }}>
+                              🔧 Added {recommendedLinks.length} Link{recommendedLinks.length !== 1 ? 's' : ''}
+                              {recommendationBudget && <> · {formatRupees(recommendationBudget.totalCost)}</>}
+                            </div>
                             <Row gutter={4}>
                               {recommendedLinks.slice(0, 3).map((link, idx) => (
                                 <Col span={8} key={idx}>
@@ -1322,6 +3176,7 @@ function App() {
                                     <div style={{ fontWeight: 'bold', marginBottom: 2 }}>Link {idx + 1}</div>
                                     <div style={{ color: '#999' }}>{link.fromName?.substring(0, 12)}... ↔ {link.toName?.substring(0, 12)}...</div>
                                     <div style={{ color: '#52c41a', fontWeight: 'bold', marginTop: 2 }}>-{link.improvement.toFixed(1)} min</div>
+                                    <div style={{ color: '#096dd9' }}>{formatRupees(link.constructionCost)}</div>
                                   </div>
                                 </Col>
                               ))}
@@ -1355,6 +3210,13 @@ function App() {
                 columns={[
                   { title: 'Origin', dataIndex: 'sourceName', key: 'source', width: 120 },
                   { title: 'Destination', dataIndex: 'targetName', key: 'target', width: 120 },
+                  ...(topAffectedPairs[0].trips !== undefined ? [{
+                    title: 'Trips/h',
+                    dataIndex: 'trips',
+                    key: 'trips',
+                    width: 80,
+                    render: val => Math.round(val)
+                  }] : []),
                   {
                     title: 'Before',
                     dataIndex: 'timeBefore',
@@ -1401,6 +3263,7 @@ function App() {
                     graph={originalGraph}
                     failedNodes={[]}
                     recommendedLinks={[]}
+                    linkLoads={baselineMetrics?.assignment?.linkLoads}
                     height={500}
                   />
                 )}
@@ -1411,14 +3274,16 @@ function App() {
                   <NetworkMap
                     nodes={nodes}
                     graph={failedGraph}
-                    failedNodes={failureHubs}
+                    failedNodes={(failureType === 'area' && areaPreview?.nodes) || metroPreview?.nodes || failureHubs}
+                    areas={failureType === 'area' && selectedArea ? [selectedArea] : []}
                     recommendedLinks={recommendedLinks}
+                    linkLoads={scenarioMetrics?.assignment?.linkLoads}
                     height={500}
                   />
                 )}
               </TabPane>
               
-              {finalMetrics && budget > 0 && (
+              {finalMetrics && recommending && (
                 <TabPane tab="Map (Fixed)" key="map-fixed">
                   {fixedGraph && (
                     <NetworkMap
@@ -1431,7 +3296,1657 @@ function App() {
                     />
                   )}
                 </TabPane>
-              )}
+              )}              
+              <TabPane tab="Criticality" key="criticality">
+                <Space direction="vertical" style={{ width: '100%' }}>
+                  <Button
+                    type="primary"
+                    onClick={analyzeStructure}
+                    loading={analyzingStructure}
+                    disabled={nodes.length === 0}
+                    block
+                  >
+                    {networkStructure ? 'Re-analyze Network' : 'Analyze Network Structure'}
+                  </Button>
+                  
+                  {networkStructure && (
+                    <>
+                      <div style={{ fontSize: '11px', color: '#999' }}>
+                        Intact network, {networkStructure.timeOfDay}; betweenness and closeness use travel time
+                        ({networkStructure.summary.runtimeMs} ms)
+                      </div>
+                      
+                      <Row gutter={8}>
+                        <Col span={6}>
+                          <Statistic title="Mean Degree" value={networkStructure.summary.meanDegree.toFixed(1)} valueStyle={{ fontSize: 18 }} />
+                        </Col>
+                        <Col span={6}>
+                          <Statistic
+                            title={
+                              <Tooltip title="Nodes whose failure alone splits the network">
+                                Cut Nodes
+                              </Tooltip>
+                            }
+                            value={networkStructure.summary.articulationPoints}
+                            valueStyle={{ fontSize: 18, color: networkStructure.summary.articulationPoints > 0 ? '#cf1322' : '#3f8600' }}
+                          />
+                        </Col>
+                        <Col span={6}>
+                          <Statistic
+                            title={
+                              <Tooltip title="Links whose failure alone splits the network">
+                                Bridges
+                              </Tooltip>
+                            }
+                            value={networkStructure.summary.bridges}
+                            valueStyle={{ fontSize: 18, color: networkStructure.summary.bridges > 0 ? '#cf1322' : '#3f8600' }}
+                          />
+                        </Col>
+                        <Col span={6}>
+                          <Statistic
+                            title={
+                              <Tooltip title="Largest k such that a subgraph exists where every node has at least k neighbours">
+                                Max k-Core
+                              </Tooltip>
+                            }
+                            value={networkStructure.summary.maxCore}
+                            valueStyle={{ fontSize: 18 }}
+                          />
+                        </Col>
+                      </Row>
+                      
+                      {/* Degree distribution P(k) */}
+                      <Card size="small" title="Degree Distribution P(k)" headStyle={{ fontSize: '12px' }}>
+                        {(() => {
+                          const maxFraction = Math.max(...networkStructure.degree.distribution.map(d => d.fraction));
+                          return (
+                            <div style={{ height: 90, display: 'flex', alignItems: 'flex-end', gap: 1 }}>
+                              {networkStructure.degree.distribution.map(d => (
+                                <Tooltip key={d.degree} title={`k = ${d.degree}: ${d.count} nodes (${(d.fraction * 100).toFixed(1)}%)`}>
+                                  <div style={{ flex: 1, height: `${(d.fraction / maxFraction) * 100}%`, background: '#722ed1', borderRadius: '2px 2px 0 0' }} />
+                                </Tooltip>
+                              ))}
+                            </div>
+                          );
+                        })()}
+                        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#999' }}>
+                          <span>k = {networkStructure.degree.distribution[0]?.degree}</span>
+                          <span>k = {networkStructure.summary.maxDegree}</span>
+                        </div>
+                      </Card>
+                      
+                      <Space.Compact style={{ width: '100%' }}>
+                        <InputNumber
+                          min={1}
+                          max={MAX_FAILED_NODES}
+                          value={criticalTopN}
+                          onChange={val => setCriticalTopN(val || 1)}
+                          addonBefore="Top"
+                          style={{ width: '45%' }}
+                        />
+                        <Button danger onClick={failTopCritical} style={{ width: '55%' }}>
+                          Fail Top {criticalTopN} Nodes
+                        </Button>
+                      </Space.Compact>
+                      
+                      <Table
+                        dataSource={networkStructure.ranking}
+                        rowKey="node"
+                        columns={[
+                          { title: '#', key: 'rank', width: 36, render: (_, __, index) => index + 1 },
+                          {
+                            title: 'Station',
+                            dataIndex: 'name',
+                            key: 'name',
+                            render: (val, row) => (
+                              <span>
+                                {val} <Tag style={{ fontSize: 10 }}>{row.layer}</Tag>
+                                {row.articulation && (
+                                  <Tooltip title={`Cut node: failure isolates ${row.cutOff} node(s)`}>
+                                    <Tag color="red" style={{ fontSize: 10 }}>cut</Tag>
+                                  </Tooltip>
+                                )}
+                              </span>
+                            )
+                          },
+                          { title: 'Score', dataIndex: 'score', key: 'score', width: 60, render: val => val.toFixed(2) },
+                          { title: 'Betw.', dataIndex: 'betweenness', key: 'betweenness', width: 60, render: val => val.toFixed(3), sorter: (a, b) => a.betweenness - b.betweenness },
+                          { title: 'Clos.', dataIndex: 'closeness', key: 'closeness', width: 60, render: val => val.toFixed(3), sorter: (a, b) => a.closeness - b.closeness },
+                          { title: 'Deg', dataIndex: 'degree', key: 'degree', width: 50, sorter: (a, b) => a.degree - b.degree },
+                          { title: 'Core', dataIndex: 'coreNumber', key: 'coreNumber', width: 50, sorter: (a, b) => a.coreNumber - b.coreNumber }
+                        ]}
+                        size="small"
+                        pagination={{ pageSize: 10, size: 'small' }}
+                      />
+                      
+                      <Card size="small" title="Most Critical Links (edge betweenness)" headStyle={{ fontSize: '12px' }}>
+                        {networkStructure.edgeBetweenness.slice(0, 8).map(link => (
+                          <div key={link.edge} style={{ fontSize: '11px', display: 'flex', justifyContent: 'space-between' }}>
+                            <span>
+                              {nodes.find(n => n.node_id === link.source)?.name || link.source} ↔ {nodes.find(n => n.node_id === link.target)?.name || link.target}
+                              {' '}<Tag style={{ fontSize: 10 }}>{link.mode}</Tag>
+                            </span>
+                            <span>{link.betweenness.toFixed(3)}</span>
+                          </div>
+                        ))}
+                        {networkStructure.bridges.length > 0 && (
+                          <div style={{ fontSize: '11px', color: '#cf1322', marginTop: 6 }}>
+                            {networkStructure.bridges.length} bridge(s); the worst cuts off {networkStructure.bridges[0].cutOff} node(s)
+                          </div>
+                        )}
+                      </Card>
+                    </>
+                  )}
+                </Space>
+              </TabPane>              
+              <TabPane tab="Robustness" key="robustness">
+                <Space direction="vertical" style={{ width: '100%' }}>
+                  <div>
+                    <label>Attack Strategies</label>
+                    <Select
+                      mode="multiple"
+                      style={{ width: '100%' }}
+                      value={percolationStrategies}
+                      onChange={setPercolationStrategies}
+                      maxTagCount={2}
+                    >
+                      {Object.entries(ATTACK_STRATEGIES).map(([key, strategy]) => (
+                        <Option key={key} value={key}>{strategy.label}</Option>
+                      ))}
+                    </Select>
+                  </div>
+                  <Row gutter={8}>
+                    <Col span={8}>
+                      <label style={{ fontSize: '12px' }}>Nodes per Step</label>
+                      <InputNumber
+                        min={1}
+                        max={50}
+                        value={percolationOptions.stepSize}
+                        onChange={val => setPercolationOptions(prev => ({ ...prev, stepSize: val || 1 }))}
+                        style={{ width: '100%' }}
+                      />
+                    </Col>
+                    <Col span={8}>
+                      <label style={{ fontSize: '12px' }}>Measure up to (%)</label>
+                      <InputNumber
+                        min={10}
+                        max={95}
+                        value={percolationOptions.maxFraction * 100}
+                        onChange={val => setPercolationOptions(prev => ({ ...prev, maxFraction: (val || 50) / 100 }))}
+                        style={{ width: '100%' }}
+                      />
+                    </Col>
+                    <Col span={8}>
+                      <label style={{ fontSize: '12px' }}>Random Runs</label>
+                      <InputNumber
+                        min={1}
+                        max={50}
+                        value={percolationOptions.randomRuns}
+                        onChange={val => setPercolationOptions(prev => ({ ...prev, randomRuns: val || 1 }))}
+                        style={{ width: '100%' }}
+                      />
+                    </Col>
+                  </Row>
+                  <Button
+                    type="primary"
+                    onClick={runPercolation}
+                    loading={runningPercolation}
+                    disabled={nodes.length === 0 || percolationStrategies.length === 0}
+                    block
+                  >
+                    Run Percolation Experiment
+                  </Button>
+                  <div style={{ fontSize: '11px', color: '#999' }}>
+                    Removes nodes one at a time from the intact network, measuring after every step. Random runs use
+                    the OD Sampling seed; recalculated betweenness re-ranks after every single removal. Measuring every
+                    node takes minutes on the full network: raise Nodes per Step for a quicker, coarser curve.
+                  </div>
+                  
+                  {runningPercolation && percolationProgress && (
+                    <div>
+                      <Progress
+                        percent={Math.round(100 * (percolationProgress.index + (percolationProgress.run + percolationProgress.removed / percolationProgress.total) / percolationProgress.runs) / percolationProgress.count)}
+                        status="active"
+                        size="small"
+                      />
+                      <div style={{ fontSize: '11px', color: '#666' }}>
+                        {ATTACK_STRATEGIES[percolationProgress.strategy].label}
+                        {percolationProgress.runs > 1 ? ` (run ${percolationProgress.run + 1} of ${percolationProgress.runs})` : ''}
+                        : {percolationProgress.removed} of {percolationProgress.total} nodes removed
+                      </div>
+                    </div>
+                  )}
+                  
+                  {percolation && (
+                    <>
+                      <Radio.Group
+                        value={percolationCurve}
+                        onChange={e => setPercolationCurve(e.target.value)}
+                        size="small"
+                      >
+                        <Radio.Button value="gcc">Giant Component</Radio.Button>
+                        <Radio.Button value="efficiency">Efficiency</Radio.Button>
+                        <Radio.Button value="avgPenalizedTime">Avg Time</Radio.Button>
+                      </Radio.Group>
+                      
+                      <Plot
+                        data={Object.entries(percolation.strategies).flatMap(([key, result]) => {
+                          // The giant component is followed to full removal, the other curves to maxFraction
+                          const points = percolationCurve === 'gcc' ? result.gccCurve : result.steps;
+                          const x = points.map(step => step.fraction * 100);
+                          const color = ATTACK_COLORS[key] || '#595959';
+                          const values = points.map(step => step[percolationCurve]);
+                          const mean = {
+                            x,
+                            y: values.map(v => v.mean),
+                            type: 'scatter',
+                            mode: points.length > 60 ? 'lines' : 'lines+markers',
+                            name: result.label,
+                            line: { color, width: 2 },
+                            marker: { size: 4 }
+                          };
+                          if (result.runs < 2) return [mean];
+                          // 95% confidence band of the mean over the random runs
+                          return [
+                            { x, y: values.map(v => v.upper), type: 'scatter', mode: 'lines', line: { width: 0 }, showlegend: false, hoverinfo: 'skip' },
+                            { x, y: values.map(v => v.lower), type: 'scatter', mode: 'lines', line: { width: 0 }, fill: 'tonexty', fillcolor: `${color}33`, name: `${result.label} 95% CI`, hoverinfo: 'skip' },
+                            mean
+                          ];
+                        })}
+                        layout={{
+                          autosize: true,
+                          height: 320,
+                          margin: { l: 50, r: 10, t: 10, b: 40 },
+                          xaxis: { title: 'Nodes removed (%)' },
+                          yaxis: {
+                            title: {
+                              gcc: 'Giant component (share of nodes)',
+                              efficiency: 'Global efficiency (vs intact)',
+                              avgPenalizedTime: 'Penalized avg time (min)'
+                            }[percolationCurve]
+                          },
+                          legend: { orientation: 'h', y: -0.25, font: { size: 10 } }
+                        }}
+                        config={{ displayModeBar: false, responsive: true }}
+                        useResizeHandler
+                        style={{ width: '100%' }}
+                      />
+                      
+                      <Table
+                        dataSource={Object.entries(percolation.strategies).map(([key, result]) => ({ key, ...result }))}
+                        rowKey="key"
+                        columns={[
+                          {
+                            title: 'Strategy',
+                            dataIndex: 'label',
+                            key: 'label',
+                            render: (val, row) => <span style={{ color: ATTACK_COLORS[row.key] }}>{val}</span>
+                          },
+                          {
+                            title: (
+                              <Tooltip title="Robustness index of Schneider et al.: R = 1/N Σ s(Q), the mean giant component share over the removal of every node, one at a time (below 0.5). Lower = more fragile.">
+                                R <QuestionCircleOutlined />
+                              </Tooltip>
+                            ),
+                            key: 'R',
+                            render: (_, row) => row.runs > 1
+                              ? `${row.R.mean.toFixed(3)} ± ${(row.R.upper - row.R.mean).toFixed(3)}`
+                              : row.R.mean.toFixed(3)
+                          },
+                          {
+                            title: (
+                              <Tooltip title="Area under the relative efficiency curve up to the removal limit only; a partial area, not comparable with R.">
+                                Efficiency Area (to {Math.round(percolation.options.maxFraction * 100)}%) <QuestionCircleOutlined />
+                              </Tooltip>
+                            ),
+                            key: 'efficiencyArea',
+                            render: (_, row) => row.efficiencyArea.mean.toFixed(3)
+                          },
+                          { title: 'Runs', dataIndex: 'runs', key: 'runs', width: 50 }
+                        ]}
+                        size="small"
+                        pagination={false}
+                      />
+                      <div style={{ fontSize: '11px', color: '#999' }}>
+                        {percolation.options.steps} steps of {percolation.options.stepSize} nodes · {percolation.odPairs} OD pairs ·
+                        {' '}{percolation.timeOfDay} · {(percolation.runtimeMs / 1000).toFixed(1)} s
+                      </div>
+                    </>
+                  )}
+                </Space>
+              </TabPane>              
+              <TabPane tab="Cascade" key="cascade">
+                <Space direction="vertical" style={{ width: '100%' }}>
+                  <Row gutter={8}>
+                    <Col span={12}>
+                      <label style={{ fontSize: '12px' }}>
+                        Tolerance α{' '}
+                        <Tooltip title="Each element can carry (1 + α) × its shortest-path load in the intact network before it fails">
+                          <QuestionCircleOutlined />
+                        </Tooltip>
+                      </label>
+                      <InputNumber
+                        min={0}
+                        max={5}
+                        step={0.1}
+                        value={cascadeOptions.tolerance}
+                        onChange={val => setCascadeOptions(prev => ({ ...prev, tolerance: val ?? DEFAULT_CASCADE_OPTIONS.tolerance }))}
+                        style={{ width: '100%' }}
+                      />
+                    </Col>
+                    <Col span={12}>
+                      <label style={{ fontSize: '12px' }}>Overloaded Elements</label>
+                      <Radio.Group
+                        value={cascadeOptions.element}
+                        onChange={e => setCascadeOptions(prev => ({ ...prev, element: e.target.value }))}
+                        size="small"
+                        style={{ display: 'block' }}
+                      >
+                        <Radio.Button value="node">Nodes</Radio.Button>
+                        <Radio.Button value="edge">Links</Radio.Button>
+                      </Radio.Group>
+                    </Col>
+                  </Row>
+                  <Button
+                    type="primary"
+                    danger
+                    onClick={runCascade}
+                    loading={runningCascade}
+                    disabled={nodes.length === 0}
+                    block
+                  >
+                    Simulate Cascade from Selected Failure
+                  </Button>
+                  
+                  {cascade && cascadeView && (
+                    <>
+                      <Row gutter={8}>
+                        <Col span={8}>
+                          <Statistic
+                            title="Trigger"
+                            value={cascade.damage.triggerNodes + cascade.damage.triggerEdges}
+                            suffix={cascade.damage.triggerNodes > 0 ? 'nodes' : 'links'}
+                            valueStyle={{ fontSize: 18 }}
+                          />
+                        </Col>
+                        <Col span={8}>
+                          <Statistic
+                            title="Cascade Failures"
+                            value={cascade.damage.cascadeNodes + cascade.damage.cascadeEdges}
+                            suffix={cascade.options.element === 'edge' ? 'links' : 'nodes'}
+                            valueStyle={{ fontSize: 18, color: cascade.damage.cascadeNodes + cascade.damage.cascadeEdges > 0 ? '#cf1322' : '#3f8600' }}
+                          />
+                        </Col>
+                        <Col span={8}>
+                          <Statistic
+                            title="Amplification"
+                            value={cascade.damage.amplification !== null ? cascade.damage.amplification.toFixed(1) : '—'}
+                            suffix="×"
+                            valueStyle={{ fontSize: 18 }}
+                          />
+                        </Col>
+                      </Row>
+                      
+                      <Table
+                        dataSource={[
+                          { key: 'gcc', metric: 'Giant component', trigger: `${(cascade.damage.gccAfterTrigger * 100).toFixed(1)}%`, final: `${(cascade.damage.gccFinal * 100).toFixed(1)}%` },
+                          ...(cascade.damage.timeFinal !== null ? [{
+                            key: 'time',
+                            metric: `Penalized avg time (baseline ${cascade.damage.baselineTime.toFixed(1)})`,
+                            trigger: `${cascade.damage.timeAfterTrigger.toFixed(1)} min`,
+                            final: `${cascade.damage.timeFinal.toFixed(1)} min`
+                          }] : [])
+                        ]}
+                        columns={[
+                          { title: 'Damage', dataIndex: 'metric', key: 'metric' },
+                          { title: 'Trigger Only', dataIndex: 'trigger', key: 'trigger' },
+                          { title: 'After Cascade', dataIndex: 'final', key: 'final', render: val => <strong>{val}</strong> }
+                        ]}
+                        size="small"
+                        pagination={false}
+                      />
+                      {cascade.damage.timeFinal === null && (
+                        <div style={{ fontSize: '11px', color: '#999' }}>Run the scenario first to include OD travel times.</div>
+                      )}
+                      
+                      <div>
+                        <label style={{ fontSize: '12px' }}>
+                          Step {cascadeStep} of {cascade.steps.length - 1}
+                          {cascadeStep === 0
+                            ? ' (trigger)'
+                            : ` · ${cascade.steps[cascadeStep].failedNodes.length + cascade.steps[cascadeStep].failedEdges.length} overloaded, peak load ${cascade.steps[cascadeStep].maxLoadRatio.toFixed(1)}× capacity`}
+                        </label>
+                        <Slider
+                          min={0}
+                          max={cascade.steps.length - 1}
+                          value={cascadeStep}
+                          onChange={setCascadeStep}
+                          disabled={cascade.steps.length < 2}
+                        />
+                      </div>
+                      
+                      <NetworkMap
+                        nodes={nodes}
+                        graph={cascadeView.graph}
+                        failedNodes={cascadeView.failedNodes}
+                        cascadeNodes={cascadeView.cascadeNodes}
+                        failedLinks={cascadeView.failedLinks}
+                        recommendedLinks={[]}
+                        height={360}
+                      />
+                      <div style={{ fontSize: '11px', color: '#999' }}>
+                        <span style={{ color: '#fa8c16' }}>●</span> failing in this step &nbsp;
+                        <span style={{ color: '#cf1322' }}>●</span> failed earlier
+                        {!cascade.damage.stable && ' · stopped at the step limit before stabilising'}
+                      </div>
+                    </>
+                  )}
+                </Space>
+              </TabPane>              
+              <TabPane tab="Monte Carlo" key="monte-carlo">
+                <Space direction="vertical" style={{ width: '100%' }}>
+                  <div>
+                    <label style={{ fontSize: '12px' }}>Failure Probability by Layer (%)</label>
+                    <Row gutter={4}>
+                      {Object.keys(DEFAULT_FAILURE_PROBABILITIES.layers).map(layer => (
+                        <Col span={6} key={layer}>
+                          <InputNumber
+                            min={0}
+                            max={100}
+                            step={0.5}
+                            value={(mcProbabilities.layers[layer] ?? 0) * 100}
+                            onChange={val => setMcProbabilities(prev => ({
+                              ...prev,
+                              layers: { ...prev.layers, [layer]: (val || 0) / 100 }
+                            }))}
+                            addonBefore={layer}
+                            size="small"
+                            style={{ width: '100%' }}
+                          />
+                        </Col>
+                      ))}
+                    </Row>
+                  </div>
+                  <div>
+                    <label style={{ fontSize: '12px' }}>
+                      By Node Type (%){' '}
+                      <Tooltip title="Overrides the layer probability for every node of this type; leave empty to use the layer's">
+                        <QuestionCircleOutlined />
+                      </Tooltip>
+                    </label>
+                    <Row gutter={4}>
+                      {['stand', 'feeder', 'hub', 'station'].map(type => (
+                        <Col span={6} key={type}>
+                          <InputNumber
+                            min={0}
+                            max={100}
+                            step={0.5}
+                            value={mcProbabilities.types[type] != null ? mcProbabilities.types[type] * 100 : null}
+                            placeholder={type}
+                            onChange={val => setMcProbabilities(prev => {
+                              const types = { ...prev.types };
+                              if (val === null || val === undefined) delete types[type];
+                              else types[type] = val / 100;
+                              return { ...prev, types };
+                            })}
+                            size="small"
+                            style={{ width: '100%' }}
+                          />
+                        </Col>
+                      ))}
+                    </Row>
+                  </div>
+                  <div>
+                    <label style={{ fontSize: '12px' }}>Specific Nodes</label>
+                    <Space.Compact style={{ width: '100%' }}>
+                      <Select
+                        mode="multiple"
+                        placeholder="Nodes with their own probability"
+                        value={mcElementNodes}
+                        onChange={setMcElementNodes}
+                        maxTagCount={1}
+                        style={{ width: '65%' }}
+                        size="small"
+                        showSearch
+                        optionFilterProp="children"
+                      >
+                        {nodes.filter(n => n.name).map(n => (
+                          <Option key={n.node_id} value={n.node_id}>
+                            {n.name} ({n.layer})
+                          </Option>
+                        ))}
+                      </Select>
+                      <InputNumber
+                        min={0}
+                        max={100}
+                        value={mcElementProbability * 100}
+                        onChange={val => setMcElementProbability((val || 0) / 100)}
+                        addonAfter="%"
+                        size="small"
+                        style={{ width: '35%' }}
+                      />
+                    </Space.Compact>
+                  </div>
+                  <div>
+                    <label style={{ fontSize: '12px' }}>
+                      Failure Probability by Link Mode (%){' '}
+                      <Tooltip title="Links fail independently of their end nodes (e.g. a track section or road segment outage); empty = links only fail with their nodes">
+                        <QuestionCircleOutlined />
+                      </Tooltip>
+                    </label>
+                    <Row gutter={4}>
+                      {['metro', 'mmts', 'bus', 'auto'].map(mode => (
+                        <Col span={6} key={mode}>
+                          <InputNumber
+                            min={0}
+                            max={100}
+                            step={0.5}
+                            value={mcProbabilities.links[mode] != null ? mcProbabilities.links[mode] * 100 : null}
+                            placeholder={mode}
+                            onChange={val => setMcProbabilities(prev => {
+                              const links = { ...prev.links };
+                              if (val === null || val === undefined) delete links[mode];
+                              else links[mode] = val / 100;
+                              return { ...prev, links };
+                            })}
+                            size="small"
+                            style={{ width: '100%' }}
+                          />
+                        </Col>
+                      ))}
+                    </Row>
+                  </div>
+                  <div>
+                    <label style={{ fontSize: '12px' }}>Specific Links</label>
+                    <Space.Compact style={{ width: '100%' }}>
+                      <Select
+                        mode="multiple"
+                        placeholder="Links with their own probability"
+                        value={mcElementLinks}
+                        onChange={setMcElementLinks}
+                        maxTagCount={1}
+                        style={{ width: '65%' }}
+                        size="small"
+                        showSearch
+                        optionFilterProp="children"
+                      >
+                        {edgeOptions.map(e => (
+                          <Option key={e.value} value={e.value}>
+                            {e.label}
+                          </Option>
+                        ))}
+                      </Select>
+                      <InputNumber
+                        min={0}
+                        max={100}
+                        value={mcElementLinkProbability * 100}
+                        onChange={val => setMcElementLinkProbability((val || 0) / 100)}
+                        addonAfter="%"
+                        size="small"
+                        style={{ width: '35%' }}
+                      />
+                    </Space.Compact>
+                  </div>
+                  <Row gutter={8}>
+                    <Col span={12}>
+                      <InputNumber
+                        min={5}
+                        max={500}
+                        value={mcRuns}
+                        onChange={val => setMcRuns(val || DEFAULT_MONTE_CARLO_OPTIONS.runs)}
+                        addonBefore="Runs"
+                        size="small"
+                        style={{ width: '100%' }}
+                      />
+                    </Col>
+                    <Col span={12}>
+                      <InputNumber
+                        min={0}
+                        value={mcSeed}
+                        onChange={val => setMcSeed(val ?? DEFAULT_MONTE_CARLO_OPTIONS.seed)}
+                        addonBefore="Seed"
+                        size="small"
+                        style={{ width: '100%' }}
+                      />
+                    </Col>
+                  </Row>
+                  <Button
+                    type="primary"
+                    onClick={runMonteCarloScenarios}
+                    loading={runningMonteCarlo}
+                    disabled={nodes.length === 0}
+                    block
+                  >
+                    Run {mcRuns} Sampled Scenarios
+                  </Button>
+                  
+                  {runningMonteCarlo && monteCarloProgress && (
+                    <div>
+                      <Progress
+                        percent={Math.round(100 * (monteCarloProgress.run + 1) / monteCarloProgress.runs)}
+                        status="active"
+                        size="small"
+                      />
+                      <div style={{ fontSize: '11px', color: '#666' }}>
+                        {monteCarloProgress.run + 1} of {monteCarloProgress.runs} scenarios evaluated
+                      </div>
+                    </div>
+                  )}
+                  
+                  {monteCarlo && (
+                    <>
+                      <Row gutter={8}>
+                        <Col span={12}>
+                          <Statistic
+                            title={
+                              <Tooltip title={`Mean over ${monteCarlo.options.runs} runs with its 95% confidence interval; baseline ${monteCarlo.baseline.avgPenalizedTime.toFixed(1)} min`}>
+                                Penalized Avg Time
+                              </Tooltip>
+                            }
+                            value={monteCarlo.summary.avgPenalizedTime.mean.toFixed(1)}
+                            suffix={`± ${(monteCarlo.summary.avgPenalizedTime.upper - monteCarlo.summary.avgPenalizedTime.mean).toFixed(1)} min`}
+                            valueStyle={{ fontSize: 18 }}
+                          />
+                          <div style={{ fontSize: '10px', color: '#999' }}>
+                            P5 {monteCarlo.summary.avgPenalizedTime.p5.toFixed(1)} · P95 {monteCarlo.summary.avgPenalizedTime.p95.toFixed(1)}
+                          </div>
+                        </Col>
+                        <Col span={12}>
+                          <Statistic
+                            title="Disconnected Pairs"
+                            value={monteCarlo.summary.disconnected.mean.toFixed(2)}
+                            suffix={`± ${(monteCarlo.summary.disconnected.upper - monteCarlo.summary.disconnected.mean).toFixed(2)}`}
+                            valueStyle={{ fontSize: 18 }}
+                          />
+                          <div style={{ fontSize: '10px', color: '#999' }}>
+                            P95 {monteCarlo.summary.disconnected.p95} · max {monteCarlo.summary.disconnected.max} of {monteCarlo.odPairs}
+                          </div>
+                        </Col>
+                      </Row>
+                      
+                      <Plot
+                        data={[{
+                          x: monteCarlo.histograms.avgPenalizedTime.map(bin => bin.mid),
+                          y: monteCarlo.histograms.avgPenalizedTime.map(bin => bin.count),
+                          width: monteCarlo.histograms.avgPenalizedTime.map(bin => (bin.to - bin.from) * 0.95),
+                          type: 'bar',
+                          marker: { color: '#1890ff' },
+                          hovertemplate: '%{x:.1f} min: %{y} runs<extra></extra>'
+                        }]}
+                        layout={{
+                          autosize: true,
+                          height: 200,
+                          margin: { l: 40, r: 10, t: 24, b: 36 },
+                          title: { text: 'Penalized avg time per run', font: { size: 12 } },
+                          xaxis: { title: 'min' },
+                          yaxis: { title: 'runs' },
+                          shapes: [{
+                            type: 'line',
+                            x0: monteCarlo.baseline.avgPenalizedTime,
+                            x1: monteCarlo.baseline.avgPenalizedTime,
+                            yref: 'paper',
+                            y0: 0,
+                            y1: 1,
+                            line: { color: '#52c41a', dash: 'dash' }
+                          }]
+                        }}
+                        config={{ displayModeBar: false, responsive: true }}
+                        useResizeHandler
+                        style={{ width: '100%' }}
+                      />
+                      <Plot
+                        data={[{
+                          x: monteCarlo.histograms.disconnected.map(bin => bin.mid),
+                          y: monteCarlo.histograms.disconnected.map(bin => bin.count),
+                          type: 'bar',
+                          marker: { color: '#cf1322' },
+                          hovertemplate: '%{x:.0f} disconnected: %{y} runs<extra></extra>'
+                        }]}
+                        layout={{
+                          autosize: true,
+                          height: 180,
+                          margin: { l: 40, r: 10, t: 24, b: 36 },
+                          title: { text: 'Disconnected OD pairs per run', font: { size: 12 } },
+                          yaxis: { title: 'runs' }
+                        }}
+                        config={{ displayModeBar: false, responsive: true }}
+                        useResizeHandler
+                        style={{ width: '100%' }}
+                      />
+                      
+                      <Table
+                        dataSource={monteCarlo.worstPairs}
+                        rowKey={row => `${row.source}|${row.target}`}
+                        columns={[
+                          {
+                            title: 'Worst-Affected Pair',
+                            key: 'pair',
+                            render: (_, row) => <span style={{ fontSize: '11px' }}>{row.sourceName} → {row.targetName}</span>
+                          },
+                          {
+                            title: 'Mean Delay (95% CI)',
+                            key: 'delay',
+                            render: (_, row) => (
+                              <span style={{ fontSize: '11px' }}>
+                                +{row.meanDelay.toFixed(1)} [{row.lower.toFixed(1)}, {row.upper.toFixed(1)}]
+                              </span>
+                            )
+                          },
+                          {
+                            title: 'P(cut)',
+                            dataIndex: 'disconnectionProbability',
+                            key: 'disconnectionProbability',
+                            width: 60,
+                            render: val => `${(val * 100).toFixed(0)}%`
+                          }
+                        ]}
+                        size="small"
+                        pagination={false}
+                      />
+                      <div style={{ fontSize: '11px', color: '#999' }}>
+                        Seed {monteCarlo.options.seed} · {monteCarlo.summary.failedNodes.mean.toFixed(1)} nodes failed per run
+                        (expected {monteCarlo.summary.expectedFailures.toFixed(1)}) · {monteCarlo.summary.failedLinks.mean.toFixed(1)} links
+                        (expected {monteCarlo.summary.expectedLinkFailures.toFixed(1)}) · {monteCarlo.odPairs} OD pairs ·
+                        {' '}{monteCarlo.timeOfDay} · {(monteCarlo.runtimeMs / 1000).toFixed(1)} s
+                      </div>
+                    </>
+                  )}
+                </Space>
+              </TabPane>
+              <TabPane tab="Contingency" key="contingency">
+                <Space direction="vertical" style={{ width: '100%' }}>
+                  <div style={{ fontSize: '12px', color: '#666' }}>
+                    Fails every station, hub and {DEFAULT_CONTINGENCY_OPTIONS.segmentModes.join('/')} segment on its own (N-1)
+                    and ranks them by the impact on the OD set
+                  </div>
+                  <Button
+                    type="primary"
+                    onClick={runContingency}
+                    loading={runningContingency}
+                    disabled={nodes.length === 0}
+                    block
+                  >
+                    Run N-1 Contingency Analysis
+                  </Button>
+                  
+                  {(runningContingency || runningN2) && contingencyProgress && (
+                    <div>
+                      <Progress
+                        percent={Math.round(100 * contingencyProgress.done / contingencyProgress.total)}
+                        status="active"
+                        size="small"
+                      />
+                      <div style={{ fontSize: '11px', color: '#666' }}>
+                        {contingencyProgress.pass}: {contingencyProgress.done} of {contingencyProgress.total} {contingencyProgress.unit}
+                      </div>
+                    </div>
+                  )}
+                  
+                  {contingency && (
+                    <>
+                      <Table
+                        dataSource={contingency.rows}
+                        rowKey="key"
+                        columns={[
+                          {
+                            title: 'Element',
+                            dataIndex: 'label',
+                            key: 'label',
+                            render: (val, row) => (
+                              <span style={{ fontSize: '11px' }}>
+                                {val} <Tag style={{ fontSize: 10 }}>{row.kind === 'edge' ? `${row.layer} segment` : row.layer}</Tag>
+                                {row.screened && (
+                                  <Tooltip title="On no baseline route, so it cannot change any travel time">
+                                    <Tag style={{ fontSize: 10 }}>screened</Tag>
+                                  </Tooltip>
+                                )}
+                              </span>
+                            )
+                          },
+                          {
+                            title: 'Δ Avg Time',
+                            dataIndex: 'deltaAvgTime',
+                            key: 'deltaAvgTime',
+                            width: 80,
+                            defaultSortOrder: 'descend',
+                            sorter: (a, b) => a.deltaAvgTime - b.deltaAvgTime,
+                            render: (val, row) => (
+                              <Tooltip title={`${row.deltaPercent >= 0 ? '+' : ''}${row.deltaPercent.toFixed(1)}%`}>
+                                {val >= 0 ? '+' : ''}{val.toFixed(2)}
+                              </Tooltip>
+                            )
+                          },
+                          {
+                            title: 'New Cut',
+                            dataIndex: 'newDisconnected',
+                            key: 'newDisconnected',
+                            width: 65,
+                            sorter: (a, b) => a.newDisconnected - b.newDisconnected
+                          },
+                          {
+                            title: 'Affected',
+                            dataIndex: 'affectedPairs',
+                            key: 'affectedPairs',
+                            width: 70,
+                            sorter: (a, b) => a.affectedPairs - b.affectedPairs
+                          },
+                          {
+                            title: '',
+                            key: 'fail',
+                            width: 40,
+                            render: (_, row) => row.kind === 'node' && (
+                              <Button type="link" size="small" danger onClick={() => failContingencyNodes([row.id])}>
+                                Fail
+                              </Button>
+                            )
+                          }
+                        ]}
+                        size="small"
+                        pagination={{ pageSize: 10, size: 'small' }}
+                      />
+                      <div style={{ fontSize: '11px', color: '#999' }}>
+                        {contingency.evaluated} evaluated, {contingency.screened} screened · baseline{' '}
+                        {contingency.baseline.avgPenalizedTime.toFixed(1)} min · {contingency.odPairs.length} OD pairs ·
+                        {' '}{contingency.timeOfDay} · {(contingency.runtimeMs / 1000).toFixed(1)} s
+                      </div>
+                      
+                      <Space.Compact style={{ width: '100%' }}>
+                        <InputNumber
+                          min={2}
+                          max={20}
+                          value={n2TopK}
+                          onChange={val => setN2TopK(val || DEFAULT_CONTINGENCY_OPTIONS.topK)}
+                          addonBefore="Top"
+                          style={{ width: '45%' }}
+                        />
+                        <Button onClick={runContingencyN2} loading={runningN2} style={{ width: '55%' }}>
+                          Run N-2 ({n2TopK * (n2TopK - 1) / 2} pairs)
+                        </Button>
+                      </Space.Compact>
+                      
+                      {contingencyN2 && (
+                        <Table
+                          dataSource={contingencyN2.rows}
+                          rowKey="key"
+                          columns={[
+                            {
+                              title: 'Pair',
+                              dataIndex: 'label',
+                              key: 'label',
+                              render: val => <span style={{ fontSize: '11px' }}>{val}</span>
+                            },
+                            {
+                              title: 'Δ Avg Time',
+                              dataIndex: 'deltaAvgTime',
+                              key: 'deltaAvgTime',
+                              width: 80,
+                              sorter: (a, b) => a.deltaAvgTime - b.deltaAvgTime,
+                              render: val => `${val >= 0 ? '+' : ''}${val.toFixed(2)}`
+                            },
+                            {
+                              title: (
+                                <Tooltip title="Extra delay beyond the two single failures added up; high when the two elements back each other up">
+                                  Interaction
+                                </Tooltip>
+                              ),
+                              dataIndex: 'interaction',
+                              key: 'interaction',
+                              width: 85,
+                              sorter: (a, b) => a.interaction - b.interaction,
+                              render: val => (
+                                <span style={{ color: val > 0.01 ? '#cf1322' : undefined }}>
+                                  {val >= 0 ? '+' : ''}{val.toFixed(2)}
+                                </span>
+                              )
+                            },
+                            {
+                              title: 'New Cut',
+                              dataIndex: 'newDisconnected',
+                              key: 'newDisconnected',
+                              width: 65,
+                              sorter: (a, b) => a.newDisconnected - b.newDisconnected
+                            }
+                          ]}
+                          size="small"
+                          pagination={{ pageSize: 10, size: 'small' }}
+                        />
+                      )}
+                    </>
+                  )}
+                </Space>
+              </TabPane>
+              <TabPane tab="Timeline" key="timeline">
+                <Space direction="vertical" style={{ width: '100%' }}>
+                  <div style={{ fontSize: '12px', color: '#666' }}>
+                    Add the failure selected on the left as timed events (hours). Repairs can be staggered: target i is
+                    restored at the first repair + i × interval. Save event sets as restoration plans to compare them.
+                  </div>
+                  <Row gutter={4}>
+                    {[['start', 'Start'], ['firstRepair', 'Repair'], ['interval', 'Every']].map(([key, label]) => (
+                      <Col span={8} key={key}>
+                        <InputNumber
+                          min={0}
+                          step={1}
+                          value={timelineSchedule[key]}
+                          onChange={val => setTimelineSchedule(prev => ({ ...prev, [key]: val ?? (key === 'firstRepair' ? null : 0) }))}
+                          placeholder={key === 'firstRepair' ? 'never' : undefined}
+                          addonBefore={label}
+                          addonAfter="h"
+                          size="small"
+                          style={{ width: '100%' }}
+                        />
+                      </Col>
+                    ))}
+                  </Row>
+                  <Button onClick={addTimelineEvents} disabled={failureType === 'none'} block>
+                    Add Selected Failure to Timeline
+                  </Button>
+                  
+                  {timelineEvents.length > 0 && (
+                    <Table
+                      dataSource={timelineEvents}
+                      rowKey="key"
+                      columns={[
+                        { title: 'Event', dataIndex: 'label', key: 'label', render: val => <span style={{ fontSize: '11px' }}>{val}</span> },
+                        {
+                          title: 'Down at (h)',
+                          key: 'start',
+                          width: 90,
+                          render: (_, row) => (
+                            <InputNumber min={0} size="small" value={row.start} onChange={val => updateTimelineEvent(row.key, { start: val || 0 })} />
+                          )
+                        },
+                        {
+                          title: 'Restored at (h)',
+                          key: 'end',
+                          width: 100,
+                          render: (_, row) => (
+                            <InputNumber
+                              min={0}
+                              size="small"
+                              value={row.end}
+                              placeholder="never"
+                              onChange={val => updateTimelineEvent(row.key, { end: val ?? null })}
+                            />
+                          )
+                        },
+                        {
+                          title: '',
+                          key: 'remove',
+                          width: 40,
+                          render: (_, row) => (
+                            <Button
+                              type="link"
+                              size="small"
+                              icon={<DeleteOutlined />}
+                              onClick={() => setTimelineEvents(prev => prev.filter(event => event.key !== row.key))}
+                            />
+                          )
+                        }
+                      ]}
+                      size="small"
+                      pagination={false}
+                    />
+                  )}
+                  
+                  <Space.Compact style={{ width: '100%' }}>
+                    <Input
+                      placeholder={`Plan ${timelinePlans.length + 1}`}
+                      value={timelinePlanName}
+                      onChange={e => setTimelinePlanName(e.target.value)}
+                      style={{ width: '60%' }}
+                    />
+                    <Button onClick={saveTimelinePlan} disabled={timelineEvents.length === 0} style={{ width: '40%' }}>
+                      Save as Plan
+                    </Button>
+                  </Space.Compact>
+                  {timelinePlans.length > 0 && (
+                    <div>
+                      {timelinePlans.map((plan, i) => (
+                        <Tag
+                          key={plan.name}
+                          color={PLAN_COLORS[i % PLAN_COLORS.length]}
+                          closable
+                          onClose={() => setTimelinePlans(prev => prev.filter(p => p.name !== plan.name))}
+                          onClick={() => setTimelineEvents(plan.events)}
+                          style={{ cursor: 'pointer' }}
+                        >
+                          {plan.name} ({plan.events.length})
+                        </Tag>
+                      ))}
+                    </div>
+                  )}
+                  <Row gutter={8}>
+                    <Col span={12}>
+                      <InputNumber
+                        min={1}
+                        max={720}
+                        value={timelineOptions.horizon}
+                        onChange={val => setTimelineOptions(prev => ({ ...prev, horizon: val || DEFAULT_TIMELINE_OPTIONS.horizon }))}
+                        addonBefore="Horizon"
+                        addonAfter="h"
+                        size="small"
+                        style={{ width: '100%' }}
+                      />
+                    </Col>
+                    <Col span={12}>
+                      <InputNumber
+                        min={0.25}
+                        max={24}
+                        step={0.25}
+                        value={timelineOptions.stepSize}
+                        onChange={val => setTimelineOptions(prev => ({ ...prev, stepSize: val || DEFAULT_TIMELINE_OPTIONS.stepSize }))}
+                        addonBefore="Step"
+                        addonAfter="h"
+                        size="small"
+                        style={{ width: '100%' }}
+                      />
+                    </Col>
+                  </Row>
+                  <Button
+                    type="primary"
+                    onClick={runTimelinePlans}
+                    loading={runningTimeline}
+                    disabled={timelinePlans.length === 0 && timelineEvents.length === 0}
+                    block
+                  >
+                    {timelinePlans.length > 0 ? `Compare ${timelinePlans.length} Plan(s)` : 'Evaluate Timeline'}
+                  </Button>
+                  
+                  {timelineResult && (
+                    <>
+                      <Plot
+                        data={timelineResult.plans.map((plan, i) => ({
+                          x: plan.steps.map(step => step.time),
+                          y: plan.steps.map(step => step.performance),
+                          text: plan.steps.map(step => step.active.join('<br>') || 'intact'),
+                          type: 'scatter',
+                          mode: 'lines',
+                          line: { shape: 'hv', color: PLAN_COLORS[i % PLAN_COLORS.length], width: 2 },
+                          fill: 'tozeroy',
+                          fillcolor: `${PLAN_COLORS[i % PLAN_COLORS.length]}11`,
+                          name: plan.name,
+                          hovertemplate: '%{x} h: %{y:.1f}%<br>%{text}<extra></extra>'
+                        }))}
+                        layout={{
+                          autosize: true,
+                          height: 280,
+                          margin: { l: 50, r: 10, t: 10, b: 40 },
+                          xaxis: { title: 'Time (h)' },
+                          yaxis: { title: 'Performance (%)', range: [Math.min(...timelineResult.plans.map(p => p.minPerformance)) - 5, 102] },
+                          legend: { orientation: 'h', y: -0.25, font: { size: 10 } }
+                        }}
+                        config={{ displayModeBar: false, responsive: true }}
+                        useResizeHandler
+                        style={{ width: '100%' }}
+                      />
+                      
+                      <Table
+                        dataSource={timelineResult.plans}
+                        rowKey="name"
+                        columns={[
+                          {
+                            title: 'Plan',
+                            dataIndex: 'name',
+                            key: 'name',
+                            render: (val, row, i) => (
+                              <span style={{ color: PLAN_COLORS[i % PLAN_COLORS.length] }}>
+                                {val} {row.rank === 1 && timelineResult.plans.length > 1 && <Tag color="green">Best</Tag>}
+                              </span>
+                            )
+                          },
+                          {
+                            title: (
+                              <Tooltip title="Area above the performance curve (resilience triangle), in %·hours. Lower is better.">
+                                Loss <QuestionCircleOutlined />
+                              </Tooltip>
+                            ),
+                            dataIndex: 'resilienceLoss',
+                            key: 'resilienceLoss',
+                            sorter: (a, b) => a.resilienceLoss - b.resilienceLoss,
+                            render: val => val.toFixed(1)
+                          },
+                          {
+                            title: 'Min',
+                            dataIndex: 'minPerformance',
+                            key: 'minPerformance',
+                            width: 60,
+                            render: val => `${val.toFixed(0)}%`
+                          },
+                          {
+                            title: 'Recovered',
+                            dataIndex: 'recoveryTime',
+                            key: 'recoveryTime',
+                            width: 80,
+                            render: val => (val == null ? 'no' : `${val} h`)
+                          },
+                          {
+                            title: (
+                              <Tooltip title="Extra penalized average travel time integrated over the horizon">
+                                Delay
+                              </Tooltip>
+                            ),
+                            dataIndex: 'extraTravelTime',
+                            key: 'extraTravelTime',
+                            width: 90,
+                            render: val => `${val.toFixed(0)} min·h`
+                          }
+                        ]}
+                        size="small"
+                        pagination={false}
+                      />
+                      <div style={{ fontSize: '11px', color: '#999' }}>
+                        Performance = baseline penalized avg time / avg time at each step ·
+                        {' '}{timelineResult.odPairs} OD pairs · {timelineResult.timeOfDay}
+                      </div>
+                    </>
+                  )}
+                </Space>
+              </TabPane>
+              <TabPane tab="Robust" key="robust">
+                <Space direction="vertical" style={{ width: '100%' }}>
+                  <div style={{ fontSize: '12px', color: '#666' }}>
+                    Add failures selected on the left (hub failures, a layer outage, a region flood, ...) as scenarios,
+                    optionally with probabilities. One set of links is then chosen, within the Budget control, to
+                    minimize the expected or worst-case degradation across all of them.
+                  </div>
+                  <Space.Compact style={{ width: '100%' }}>
+                    <Input
+                      placeholder="Scenario name (optional)"
+                      value={robustScenarioName}
+                      onChange={e => setRobustScenarioName(e.target.value)}
+                      style={{ width: '60%' }}
+                    />
+                    <Button onClick={addRobustScenario} disabled={failureType === 'none'} style={{ width: '40%' }}>
+                      Add Selected Failure
+                    </Button>
+                  </Space.Compact>
+                  
+                  {robustScenarios.length > 0 && (
+                    <Table
+                      dataSource={robustScenarios.map((scenario, i) => ({ ...scenario, weight: scenarioWeights(robustScenarios)[i] }))}
+                      rowKey="key"
+                      columns={[
+                        { title: 'Scenario', dataIndex: 'name', key: 'name', render: val => <span style={{ fontSize: '11px' }}>{val}</span> },
+                        {
+                          title: (
+                            <Tooltip title="Leave empty for an equal share of what the other scenarios leave; probabilities are normalized to sum to 1">
+                              Probability
+                            </Tooltip>
+                          ),
+                          key: 'probability',
+                          width: 100,
+                          render: (_, row) => (
+                            <InputNumber
+                              min={0}
+                              max={1}
+                              step={0.05}
+                              size="small"
+                              value={row.probability}
+                              placeholder="equal"
+                              onChange={val => setRobustScenarios(prev => prev.map(s => (s.key === row.key ? { ...s, probability: val ?? null } : s)))}
+                            />
+                          )
+                        },
+                        { title: 'Weight', dataIndex: 'weight', key: 'weight', width: 65, render: val => `${(val * 100).toFixed(0)}%` },
+                        {
+                          title: '',
+                          key: 'remove',
+                          width: 40,
+                          render: (_, row) => (
+                            <Button
+                              type="link"
+                              size="small"
+                              icon={<DeleteOutlined />}
+                              onClick={() => setRobustScenarios(prev => prev.filter(s => s.key !== row.key))}
+                            />
+                          )
+                        }
+                      ]}
+                      size="small"
+                      pagination={false}
+                    />
+                  )}
+                  
+                  <Radio.Group value={robustCriterion} onChange={e => setRobustCriterion(e.target.value)} size="small">
+                    {Object.entries(ROBUST_CRITERIA).map(([key, label]) => (
+                      <Radio.Button key={key} value={key}>{label}</Radio.Button>
+                    ))}
+                  </Radio.Group>
+                  <Button
+                    type="primary"
+                    onClick={runRobustRecommendation}
+                    loading={runningRobust}
+                    disabled={robustScenarios.length === 0 || !recommending}
+                    block
+                  >
+                    Recommend Robust Links
+                  </Button>
+                  
+                  {runningRobust && robustProgress && (
+                    <div>
+                      <Progress
+                        percent={Math.round(100 * (robustProgress.candidateIndex + 1) / robustProgress.totalCandidates)}
+                        status="active"
+                        size="small"
+                      />
+                      <div style={{ fontSize: '11px', color: '#666' }}>
+                        Link {robustProgress.iteration + 1}: candidate {robustProgress.candidateIndex + 1} of {robustProgress.totalCandidates},
+                        {' '}{robustScenarios.length} scenario(s) each
+                      </div>
+                    </div>
+                  )}
+                  
+                  {robustResult && (
+                    <>
+                      <Row gutter={8}>
+                        <Col span={12}>
+                          <Statistic
+                            title={ROBUST_CRITERIA[robustResult.criterion]}
+                            value={`${robustResult.before.toFixed(2)} → ${robustResult.after.toFixed(2)}`}
+                            valueStyle={{ fontSize: 18 }}
+                          />
+                        </Col>
+                        <Col span={12}>
+                          <Statistic
+                            title="Construction Spend"
+                            value={formatRupees(robustResult.totalCost)}
+                            suffix={`(${robustResult.selectedLinks.length} links)`}
+                            valueStyle={{ fontSize: 18 }}
+                          />
+                        </Col>
+                      </Row>
+                      
+                      <Plot
+                        data={[
+                          { key: 'failedValue', name: 'Failed', color: '#ff4d4f' },
+                          { key: 'finalValue', name: 'With robust links', color: '#52c41a' }
+                        ].map(({ key, name, color }) => ({
+                          x: robustResult.scenarios.map(s => s.name),
+                          y: robustResult.scenarios.map(s => s[key] - s.intactValue),
+                          type: 'bar',
+                          name,
+                          marker: { color },
+                          hovertemplate: '%{x}: +%{y:.2f}<extra></extra>'
+                        }))}
+                        layout={{
+                          autosize: true,
+                          height: 240,
+                          barmode: 'group',
+                          margin: { l: 50, r: 10, t: 10, b: 60 },
+                          yaxis: { title: 'Degradation' },
+                          legend: { orientation: 'h', y: -0.35, font: { size: 10 } }
+                        }}
+                        config={{ displayModeBar: false, responsive: true }}
+                        useResizeHandler
+                        style={{ width: '100%' }}
+                      />
+                      
+                      <Table
+                        dataSource={robustResult.scenarios}
+                        rowKey="name"
+                        columns={[
+                          { title: 'Scenario', dataIndex: 'name', key: 'name', render: val => <span style={{ fontSize: '11px' }}>{val}</span> },
+                          { title: 'Weight', dataIndex: 'weight', key: 'weight', width: 60, render: val => `${(val * 100).toFixed(0)}%` },
+                          { title: 'Failed', dataIndex: 'failedValue', key: 'failedValue', width: 65, render: val => val.toFixed(2) },
+                          { title: 'With links', dataIndex: 'finalValue', key: 'finalValue', width: 75, render: val => val.toFixed(2) },
+                          {
+                            title: 'Recovered',
+                            dataIndex: 'recovery',
+                            key: 'recovery',
+                            width: 80,
+                            render: val => (val === null ? '–' : `${(val * 100).toFixed(1)}%`)
+                          }
+                        ]}
+                        size="small"
+                        pagination={false}
+                      />
+                      
+                      {robustResult.selectedLinks.map((link, idx) => (
+                        <div key={`${link.from}_${link.to}`} style={{ fontSize: '11px', padding: '4px 8px', background: '#fafafa', borderLeft: '2px solid #52c41a' }}>
+                          <strong>Link {idx + 1}:</strong> {link.fromName} ↔ {link.toName} ({link.distance.toFixed(1)} km, {formatRupees(link.constructionCost)})
+                          <div>
+                            {link.scenarioImprovements.map((gain, i) => (
+                              <Tag key={robustResult.scenarios[i].name} color={gain > 0.01 ? 'green' : 'default'} style={{ fontSize: 10 }}>
+                                {robustResult.scenarios[i].name}: -{gain.toFixed(2)}
+                              </Tag>
+                            ))}
+                          </div>
+                        </div>
+                      ))}
+                      <div style={{ fontSize: '11px', color: '#999' }}>
+                        {robustResult.scenarios.length} scenarios · {robustResult.candidates} candidates · objective {robustResult.objective} ·
+                        {' '}{robustResult.odPairs} OD pairs · {(robustResult.runtimeMs / 1000).toFixed(1)} s
+                      </div>
+                    </>
+                  )}
+                </Space>
+              </TabPane>
+              <TabPane tab="Optimizers" key="optimizers">
+                <Space direction="vertical" style={{ width: '100%' }}>
+                  <div style={{ fontSize: '12px', color: '#666' }}>
+                    Runs other optimizers on the recommender's candidate links with the same budget (Budget control:
+                    links or ₹) and failure, to measure how far greedy selection is from the best portfolio found.
+                    Exhaustive search only runs when there are at most as many portfolios as its limit (30 candidates:
+                    435 for a budget of 2 links, 4,060 for 3); each portfolio is a full network evaluation, so expect a
+                    few seconds per 10 portfolios.
+                  </div>
+                  <Row gutter={4}>
+                    <Col span={16}>
+                      <Select
+                        mode="multiple"
+                        value={optimizerMethods}
+                        onChange={setOptimizerMethods}
+                        size="small"
+                        style={{ width: '100%' }}
+                      >
+                        {Object.entries(OPTIMIZER_METHODS).map(([key, label]) => (
+                          <Option key={key} value={key}>{label}</Option>
+                        ))}
+                      </Select>
+                    </Col>
+                    <Col span={8}>
+                      <InputNumber
+                        min={1}
+                        value={optimizerSeed}
+                        onChange={val => setOptimizerSeed(val || 1)}
+                        addonBefore="Seed"
+                        size="small"
+                        style={{ width: '100%' }}
+                      />
+                    </Col>
+                  </Row>
+                  <InputNumber
+                    min={1}
+                    step={500}
+                    value={exhaustiveLimit}
+                    onChange={val => setExhaustiveLimit(val || 1)}
+                    addonBefore="Exhaustive up to"
+                    addonAfter="portfolios"
+                    size="small"
+                    style={{ width: '100%' }}
+                    disabled={!optimizerMethods.includes('exhaustive')}
+                  />
+                  <Button
+                    type="primary"
+                    onClick={runOptimizerComparison}
+                    loading={runningOptimizers}
+                    disabled={!recommending || optimizerMethods.length === 0}
+                    block
+                  >
+                    Compare Optimizers
+                  </Button>
+                  
+                  {runningOptimizers && optimizerProgress && (
+                    <div>
+                      <Progress
+                        percent={Math.round(100 * (optimizerProgress.index + (optimizerProgress.expected ? Math.min(1, optimizerProgress.evaluations / optimizerProgress.expected) : 0)) / optimizerProgress.total)}
+                        status="active"
+                        size="small"
+                      />
+                      <div style={{ fontSize: '11px', color: '#666' }}>
+                        {OPTIMIZER_METHODS[optimizerProgress.method]}
+                        {optimizerProgress.expected
+                          ? `: ${optimizerProgress.evaluations} of ${optimizerProgress.method === 'exhaustive' ? '' : 'up to '}${optimizerProgress.expected} portfolios evaluated`
+                          : '...'}
+                      </div>
+                    </div>
+                  )}
+                  
+                  {optimizerComparison && (
+                    <>
+                      <Row gutter={8}>
+                        <Col span={12}>
+                          <Statistic
+                            title={optimizerComparison.exact ? 'Greedy Gap to Optimum' : 'Greedy Gap to Best Found'}
+                            value={optimizerComparison.greedyGap === null ? '–' : (optimizerComparison.greedyGap * 100).toFixed(1)}
+                            suffix={optimizerComparison.greedyGap === null ? '' : '%'}
+                            valueStyle={{ fontSize: 18, color: optimizerComparison.greedyGap > 0 ? '#fa8c16' : '#3f8600' }}
+                          />
+                        </Col>
+                        <Col span={12}>
+                          <Statistic
+                            title="Best Improvement"
+                            value={optimizerComparison.bestImprovement.toFixed(2)}
+                            suffix={`of ${optimizerComparison.baselineValue.toFixed(1)}`}
+                            valueStyle={{ fontSize: 18 }}
+                          />
+                        </Col>
+                      </Row>
+                      
+                      <Plot
+                        data={[{
+                          x: optimizerComparison.results.filter(r => r.value !== null).map(r => r.label),
+                          y: optimizerComparison.results.filter(r => r.value !== null).map(r => r.improvement),
+                          type: 'bar',
+                          marker: { color: optimizerComparison.results.filter(r => r.value !== null).map(r => (r.gap > 1e-9 ? '#faad14' : '#52c41a')) },
+                          text: optimizerComparison.results.filter(r => r.value !== null).map(r => `${(r.runtimeMs / 1000).toFixed(1)} s`),
+                          textposition: 'auto',
+                          hovertemplate: '%{x}: %{y:.3f}<extra></extra>'
+                        }]}
+                        layout={{
+                          autosize: true,
+                          height: 220,
+                          margin: { l: 50, r: 10, t: 10, b: 40 },
+                          yaxis: { title: 'Improvement' }
+                        }}
+                        config={{ displayModeBar: false, responsive: true }}
+                        useResizeHandler
+                        style={{ width: '100%' }}
+                      />
+                      
+                      <Table
+                        dataSource={optimizerComparison.results}
+                        rowKey="method"
+                        columns={[
+                          { title: 'Method', dataIndex: 'label', key: 'label', width: 110 },
+                          {
+                            title: 'Objective',
+                            dataIndex: 'value',
+                            key: 'value',
+                            width: 80,
+                            render: (val, row) => (val === null ? <Tag>skipped: {row.skipped}</Tag> : val.toFixed(2))
+                          },
+                          {
+                            title: 'Gap',
+                            dataIndex: 'gap',
+                            key: 'gap',
+                            width: 60,
+                            render: val => (val === null ? '–' : `${(val * 100).toFixed(1)}%`)
+                          },
+                          { title: 'Evals', dataIndex: 'evaluations', key: 'evaluations', width: 55 },
+                          { title: 'Runtime', dataIndex: 'runtimeMs', key: 'runtimeMs', width: 70, render: val => `${(val / 1000).toFixed(1)} s` },
+                          {
+                            title: 'Chosen links',
+                            key: 'links',
+                            render: (_, row) => (
+                              <>
+                                {row.links.map(link => (
+                                  <div key={`${link.from}_${link.to}`} style={{ fontSize: '11px' }}>
+                                    {link.fromName} ↔ {link.toName}
+                                  </div>
+                                ))}
+                                {row.links.length > 0 && (
+                                  <div style={{ fontSize: '10px', color: '#999' }}>{formatRupees(row.totalCost)}</div>
+                                )}
+                              </>
+                            )
+                          }
+                        ]}
+                        size="small"
+                        pagination={false}
+                      />
+                      <div style={{ fontSize: '11px', color: '#999' }}>
+                        {optimizerComparison.candidates} candidates · budget {optimizerComparison.budget} · objective {optimizerComparison.objective} ·
+                        {' '}{optimizerComparison.odPairs} OD pairs · {(optimizerComparison.runtimeMs / 1000).toFixed(1)} s in total
+                      </div>
+                    </>
+                  )}
+                </Space>
+              </TabPane>
+              <TabPane tab="Repair" key="repair">
+                <Space direction="vertical" style={{ width: '100%' }}>
+                  <div style={{ fontSize: '12px', color: '#666' }}>
+                    Orders the repair of everything the selected failure takes down, with a fixed number of crews per
+                    step, to minimize the cumulative travel-time loss. Up to {DEFAULT_REPAIR_OPTIONS.exactLimit} elements
+                    are searched exactly; larger sets use greedy selection plus local search.
+                  </div>
+                  <Row gutter={4}>
+                    <Col span={8}>
+                      <InputNumber
+                        min={1}
+                        max={20}
+                        value={repairOptions.crews}
+                        onChange={val => setRepairOptions(prev => ({ ...prev, crews: val || 1 }))}
+                        addonBefore="Crews"
+                        size="small"
+                        style={{ width: '100%' }}
+                      />
+                    </Col>
+                    <Col span={8}>
+                      <InputNumber
+                        min={0.25}
+                        max={72}
+                        step={0.5}
+                        value={repairOptions.stepHours}
+                        onChange={val => setRepairOptions(prev => ({ ...prev, stepHours: val || DEFAULT_REPAIR_OPTIONS.stepHours }))}
+                        addonBefore="Step"
+                        addonAfter="h"
+                        size="small"
+                        style={{ width: '100%' }}
+                      />
+                    </Col>
+                    <Col span={8}>
+                      <Select
+                        value={repairOptions.method}
+                        onChange={method => setRepairOptions(prev => ({ ...prev, method }))}
+                        size="small"
+                        style={{ width: '100%' }}
+                      >
+                        <Option value="auto">Auto</Option>
+                        <Option value="exact">Exact</Option>
+                        <Option value="greedy">Greedy + local search</Option>
+                      </Select>
+                    </Col>
+                  </Row>
+                  <Button
+                    type="primary"
+                    onClick={runRepairSequencing}
+                    loading={runningRepair}
+                    disabled={failureType === 'none'}
+                    block
+                  >
+                    Plan Repairs
+                  </Button>
+                  
+                  {runningRepair && repairProgress && (
+                    <div>
+                      <Progress
+                        percent={Math.round(100 * Math.min(1, repairProgress.evaluations / repairProgress.expected))}
+                        status="active"
+                        size="small"
+                      />
+                      <div style={{ fontSize: '11px', color: '#666' }}>
+                        {repairProgress.method === 'exact'
+                          ? `Exact: ${repairProgress.evaluations} of ${repairProgress.expected} network states evaluated`
+                          : `Greedy and local search: ${repairProgress.evaluations} network states evaluated`}
+                      </div>
+                    </div>
+                  )}
+                  
+                  {repairPlan && repairPlan.elements.length > 0 && (
+                    <>
+                      <Row gutter={8}>
+                        <Col span={12}>
+                          <Statistic
+                            title={
+                              <Tooltip title="Σ over steps of (penalized avg time − baseline) × step length">
+                                Cumulative Loss
+                              </Tooltip>
+                            }
+                            value={repairPlan.totalLoss.toFixed(1)}
+                            suffix="min·h"
+                            valueStyle={{ fontSize: 18 }}
+                          />
+                        </Col>
+                        <Col span={12}>
+                          <Statistic
+                            title="vs Listed Order"
+                            value={repairPlan.listedOrderLoss > 0
+                              ? (100 * (1 - repairPlan.totalLoss / repairPlan.listedOrderLoss)).toFixed(1)
+                              : '0.0'}
+                            suffix="% less"
+                            valueStyle={{ fontSize: 18, color: '#3f8600' }}
+                          />
+                          {repairPlan.greedyLoss !== null && (
+                            <div style={{ fontSize: '10px', color: '#999' }}>
+                              Greedy alone {repairPlan.greedyLoss.toFixed(1)} min·h
+                            </div>
+                          )}
+                        </Col>
+                      </Row>
+                      
+                      <Plot
+                        data={[
+                          { curve: repairPlan.curve, name: 'Optimized order', color: '#52c41a' },
+                          { curve: repairPlan.listedCurve, name: 'Listed order', color: '#bfbfbf' }
+                        ].map(({ curve, name, color }) => ({
+                          x: curve.map(point => point.time),
+                          y: curve.map(point => point.performance),
+                          type: 'scatter',
+                          mode: 'lines+markers',
+                          line: { shape: 'hv', color, width: 2 },
+                          marker: { size: 4 },
+                          name,
+                          hovertemplate: '%{x} h: %{y:.1f}%<extra></extra>'
+                        }))}
+                        layout={{
+                          autosize: true,
+                          height: 240,
+                          margin: { l: 50, r: 10, t: 10, b: 40 },
+                          xaxis: { title: 'Time (h)' },
+                          yaxis: { title: 'Performance (%)' },
+                          legend: { orientation: 'h', y: -0.3, font: { size: 10 } }
+                        }}
+                        config={{ displayModeBar: false, responsive: true }}
+                        useResizeHandler
+                        style={{ width: '100%' }}
+                      />
+                      
+                      <Table
+                        dataSource={repairPlan.schedule}
+                        rowKey="step"
+                        columns={[
+                          { title: 'Step', dataIndex: 'step', key: 'step', width: 50 },
+                          { title: 'Done at', dataIndex: 'time', key: 'time', width: 70, render: val => `${val} h` },
+                          {
+                            title: 'Repaired',
+                            key: 'repaired',
+                            render: (_, row) => row.repaired.map(element => (
+                              <div key={element.id} style={{ fontSize: '11px' }}>
+                                {element.label} <Tag style={{ fontSize: 10 }}>{element.kind === 'node' ? element.layer : `${element.layer} ${element.kind === 'degraded' ? 'slowdown' : 'link'}`}</Tag>
+                              </div>
+                            ))
+                          },
+                          {
+                            title: 'Performance',
+                            dataIndex: 'performance',
+                            key: 'performance',
+                            width: 90,
+                            render: val => `${val.toFixed(1)}%`
+                          }
+                        ]}
+                        size="small"
+                        pagination={{ pageSize: 10, size: 'small' }}
+                      />
+                      <div style={{ fontSize: '11px', color: '#999' }}>
+                        {repairPlan.elements.length} element(s) · {repairPlan.method} · {repairPlan.evaluations} network states ·
+                        {' '}{repairPlan.odPairs} OD pairs · {repairPlan.timeOfDay} · {(repairPlan.runtimeMs / 1000).toFixed(1)} s
+                      </div>
+                    </>
+                  )}
+                </Space>
+              </TabPane>
             </Tabs>
           </Card>
           
@@ -1513,7 +5028,9 @@ function App() {
                         fontSize: 11,
                         color: '#096dd9'
                       }}>
-                        💰 Est. Cost: ₹{(link.distance * 50000).toFixed(0)}k
+                        💰 Est. Cost: {formatRupees(link.constructionCost)}
+                        {' '}({formatRupees(link.constructionCost / link.distance)}/km)
+                        {' · '}{(link.improvement / (link.constructionCost / 1e7)).toFixed(3)} min per ₹ cr
                       </div>
                     </Card>
                   ))}
@@ -1529,7 +5046,7 @@ function App() {
                   }}
                 >
                   <Row gutter={8}>
-                    <Col span={8}>
+                    <Col span={6}>
                       <div style={{ textAlign: 'center' }}>
                         <div style={{ fontSize: 10, color: '#666' }}>Total Links</div>
                         <div style={{ fontSize: 20, fontWeight: 'bold', color: '#1890ff' }}>
@@ -1537,7 +5054,7 @@ function App() {
                         </div>
                       </div>
                     </Col>
-                    <Col span={8}>
+                    <Col span={6}>
                       <div style={{ textAlign: 'center' }}>
                         <div style={{ fontSize: 10, color: '#666' }}>Total Distance</div>
                         <div style={{ fontSize: 20, fontWeight: 'bold', color: '#fa8c16' }}>
@@ -1545,7 +5062,7 @@ function App() {
                         </div>
                       </div>
                     </Col>
-                    <Col span={8}>
+                    <Col span={6}>
                       <div style={{ textAlign: 'center' }}>
                         <div style={{ fontSize: 10, color: '#666' }}>Avg. Improvement</div>
                         <div style={{ fontSize: 20, fontWeight: 'bold', color: '#52c41a' }}>
@@ -1553,6 +5070,17 @@ function App() {
                         </div>
                       </div>
                     </Col>
+                    <Col span={6}>
+                      <div style={{ textAlign: 'center' }}>
+                        <div style={{ fontSize: 10, color: '#666' }}>Total Spend</div>
+                        <div style={{ fontSize: 20, fontWeight: 'bold', color: '#096dd9' }}>
+                          {formatRupees(recommendedLinks.reduce((sum, link) => sum + link.constructionCost, 0))}
+                        </div>
+                        {recommendationBudget?.mode === 'cost' && (
+                          <div style={{ fontSize: 10, color: '#999' }}>of {formatRupees(recommendationBudget.amount)}</div>
+                        )}
+                      </div>
+                    </Col>
                   </Row>
                 </Card>
               </>
@@ -1561,7 +5089,7 @@ function App() {
                 <div style={{ fontSize: 40, marginBottom: 8 }}>🔗</div>
                 <div style={{ fontSize: 14, marginBottom: 4 }}>No Recommended Links Yet</div>
                 <div style={{ fontSize: 12 }}>
-                  {budget === 0 ? (
+                  {!recommending ? (
                     <>Set Budget &gt; 0 and run a scenario to see recommendations</>
                   ) : !scenarioMetrics ? (
                     <>Click "Run Scenario" to generate recommendations</>
@@ -1573,10 +5101,10 @@ function App() {
             )}
           </Card>
           
-          {budget === 0 && scenarioMetrics && recommendedLinks.length === 0 && (
+          {!recommending && scenarioMetrics && recommendedLinks.length === 0 && (
             <Alert
               message="💡 Tip: Enable Recommendations"
-              description="Budget is set to 0. Increase the budget (in controls) to get automatic link recommendations that can help recover network performance."
+              description="Budget is set to 0. Increase the budget (links or ₹, in controls) to get automatic link recommendations that can help recover network performance."
               type="info"
               style={{ marginTop: 6 }}
               showIcon
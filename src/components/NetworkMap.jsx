@@ -16,10 +16,21 @@ const NetworkMap = ({
   failedNodes = [],
   recommendedLinks = [],
   showRecommended = false,
+  linkLoads = null,
+  cascadeNodes = [],
+  failedLinks = [],
+  areas = [],
+  onMapClick = null,
   height = 400
 }) => {
   const mapRef = useRef(null);
   const mapInstanceRef = useRef(null);
+  const fittedRef = useRef(false);
+  
+  // Latest click handler, read by the listener registered once on the map
+  const onMapClickRef = useRef(onMapClick);
+  onMapClickRef.current = onMapClick;
+  const clickable = Boolean(onMapClick);
   
   useEffect(() => {
     if (!mapRef.current || !nodes || nodes.length === 0) return;
@@ -32,9 +43,14 @@ const NetworkMap = ({
         attribution: '© OpenStreetMap contributors',
         maxZoom: 18
       }).addTo(mapInstanceRef.current);
+      
+      mapInstanceRef.current.on('click', e => {
+        if (onMapClickRef.current) onMapClickRef.current({ lat: e.latlng.lat, lon: e.latlng.lng });
+      });
     }
     
     const map = mapInstanceRef.current;
+    map.getContainer().style.cursor = clickable ? 'crosshair' : '';
     
     // Clear existing layers (except base tile layer)
     map.eachLayer(layer => {
@@ -51,6 +67,14 @@ const NetworkMap = ({
       auto: '#f39c12'
     };
     
+    // Volume/capacity bands from the traffic assignment
+    const loadColor = vc => {
+      if (vc >= 1) return '#cf1322';     // Over capacity
+      if (vc >= 0.85) return '#fa8c16';  // Near capacity
+      if (vc >= 0.5) return '#fadb14';   // Busy
+      return '#52c41a';                  // Free-flowing
+    };
+    
     // Draw edges from graph
     if (graph) {
       const drawnEdges = new Set();
@@ -66,6 +90,29 @@ const NetworkMap = ({
         if (!sourceNode || !targetNode) return;
         
         const layer = attributes.layer || 'auto';
+        const load = linkLoads ? linkLoads[edgeKey] : null;
+        
+        // Loaded, capacity-constrained links are colored and sized by V/C
+        if (load && Number.isFinite(load.capacity)) {
+          L.polyline(
+            [[sourceNode.lat, sourceNode.lon], [targetNode.lat, targetNode.lon]],
+            {
+              color: loadColor(load.vc),
+              weight: 2 + Math.min(load.vc, 2) * 3,
+              opacity: 0.85
+            }
+          ).bindPopup(`
+              <strong>${sourceNode.name || source} ↔ ${targetNode.name || target}</strong><br/>
+              Mode: ${attributes.mode}<br/>
+              Volume: ${Math.round(load.volume)} pax/h<br/>
+              Capacity: ${Math.round(load.capacity)} pax/h<br/>
+              V/C: ${load.vc.toFixed(2)}<br/>
+              Time: ${load.freeTime.toFixed(1)} → ${load.time.toFixed(1)} min
+            `)
+            .addTo(map);
+          return;
+        }
+        
         const color = layerColors[layer] || '#95a5a6';
         
         L.polyline(
@@ -80,6 +127,42 @@ const NetworkMap = ({
       });
     }
     
+    // Links lost to a cascade: red dashed, orange while failing in the step shown
+    failedLinks.forEach(link => {
+      const sourceNode = nodes.find(n => n.node_id === link.source);
+      const targetNode = nodes.find(n => n.node_id === link.target);
+      if (!sourceNode || !targetNode) return;
+      
+      L.polyline(
+        [[sourceNode.lat, sourceNode.lon], [targetNode.lat, targetNode.lon]],
+        {
+          color: link.current ? '#fa8c16' : '#cf1322',
+          weight: link.current ? 4 : 2,
+          opacity: 0.9,
+          dashArray: '4, 4'
+        }
+      ).bindPopup(`
+          <strong>${sourceNode.name || link.source} ↔ ${targetNode.name || link.target}</strong><br/>
+          ${link.label || (link.current ? 'Overloaded in this step' : 'Failed earlier')}
+        `)
+        .addTo(map);
+    });
+    
+    // Failure areas: circles, polygons, and polygons still being drawn (< 3 points)
+    const areaStyle = { color: '#cf1322', weight: 2, fillOpacity: 0.1, dashArray: '6, 4' };
+    areas.forEach(area => {
+      if (area.center) {
+        L.circle([area.center.lat, area.center.lon], { ...areaStyle, radius: area.radiusKm * 1000 }).addTo(map);
+      } else if (area.points && area.points.length >= 3) {
+        L.polygon(area.points.map(p => [p.lat, p.lon]), areaStyle).addTo(map);
+      } else if (area.points) {
+        L.polyline(area.points.map(p => [p.lat, p.lon]), areaStyle).addTo(map);
+      }
+      (area.points || []).forEach(p => {
+        L.circleMarker([p.lat, p.lon], { radius: 4, color: '#cf1322', fillOpacity: 1 }).addTo(map);
+      });
+    });
+    
     // Draw recommended links in green
     if (showRecommended && recommendedLinks.length > 0) {
       recommendedLinks.forEach(link => {
@@ -107,16 +190,20 @@ const NetworkMap = ({
       });
     }
     
-    // Draw nodes
+    // Draw nodes (failed ones always, even if minor)
     const majorNodes = nodes.filter(n => 
       n.layer === 'metro' || 
       n.layer === 'mmts' || 
-      (n.name && n.name.length > 0)
+      (n.name && n.name.length > 0) ||
+      failedNodes.includes(n.node_id) ||
+      cascadeNodes.includes(n.node_id)
     );
     
     majorNodes.forEach(node => {
-      const isFailed = failedNodes.includes(node.node_id);
-      const color = isFailed ? '#cf1322' : layerColors[node.layer] || '#95a5a6';
+      const isCascading = cascadeNodes.includes(node.node_id);
+      const isFailed = isCascading || failedNodes.includes(node.node_id);
+      const failedColor = isCascading ? '#fa8c16' : '#cf1322';
+      const color = isFailed ? failedColor : layerColors[node.layer] || '#95a5a6';
       
       const marker = L.circleMarker([node.lat, node.lon], {
         radius: isFailed ? 8 : (node.layer === 'metro' || node.layer === 'mmts' ? 5 : 3),
@@ -132,20 +219,21 @@ const NetworkMap = ({
           <strong>${node.name}</strong><br/>
           Layer: ${node.layer}<br/>
           ID: ${node.node_id}
-          ${isFailed ? '<br/><span style="color: red; font-weight: bold;">⚠ FAILED</span>' : ''}
+          ${isFailed ? `<br/><span style="color: ${failedColor}; font-weight: bold;">⚠ ${isCascading ? 'OVERLOADED' : 'FAILED'}</span>` : ''}
         `);
       }
       
       marker.addTo(map);
     });
     
-    // Fit bounds to show all nodes
-    if (majorNodes.length > 0) {
+    // Fit bounds to show all nodes (once, so redraws keep the user's zoom)
+    if (majorNodes.length > 0 && !fittedRef.current) {
       const bounds = L.latLngBounds(majorNodes.map(n => [n.lat, n.lon]));
       map.fitBounds(bounds, { padding: [20, 20] });
+      fittedRef.current = true;
     }
     
-  }, [nodes, graph, failedNodes, recommendedLinks, showRecommended]);
+  }, [nodes, graph, failedNodes, recommendedLinks, showRecommended, linkLoads, cascadeNodes, failedLinks, areas, clickable]);
   
   // Cleanup on unmount
   useEffect(() => {
@@ -153,6 +241,7 @@ const NetworkMap = ({
       if (mapInstanceRef.current) {
         mapInstanceRef.current.remove();
         mapInstanceRef.current = null;
+        fittedRef.current = false;
       }
     };
   }, []);
@@ -0,0 +1,8 @@
+import createPlotlyComponent from 'react-plotly.js/factory';
+import Plotly from 'plotly.js/dist/plotly-basic.min';
+
+// Plotly's basic bundle (scatter, bar, pie) keeps the build small; the full
+// plotly.js bundle adds 3D and map traces the app does not use
+const Plot = createPlotlyComponent(Plotly);
+
+export default Plot;
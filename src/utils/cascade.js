@@ -0,0 +1,154 @@
+/**
+ * Cascading Overload Failures (Motter–Lai)
+ * Every node (or link) can carry (1 + tolerance) × its baseline shortest-path load.
+ * After a trigger failure the load reroutes; elements pushed past capacity fail in
+ * turn, and the process repeats until no element is overloaded.
+ */
+
+import { applyFailure, computeCentrality, computeMetrics } from './graphAlgorithms';
+import { giantComponentSize } from './percolation';
+
+// The classic Motter–Lai tolerance of 0.2 collapses this network from a single
+// interchange (time-weighted loads concentrate on few paths), so the default is higher
+export const DEFAULT_CASCADE_OPTIONS = {
+  tolerance: 1.0,    // alpha: spare capacity over the baseline load
+  element: 'node',   // 'node' or 'edge' loads and failures
+  loadFloor: 0.1,    // capacity floor, as a share of the mean baseline load
+  maxSteps: 50
+};
+
+/**
+ * Shortest-path loads (raw betweenness) of nodes or links
+ * @param {Graph} graph - Graph instance
+ * @param {String} element - 'node' or 'edge'
+ * @returns {Object} - {id: load}
+ */
+function computeLoads(graph, element) {
+  const centrality = computeCentrality(graph, { normalized: false });
+  return element === 'edge' ? centrality.edgeBetweenness : centrality.betweenness;
+}
+
+/**
+ * State of the network after a cascade step
+ * @param {Graph} graph - Network at this step
+ * @param {Number} totalNodes - Node count of the intact network
+ * @param {Array} odPairs - OD pairs for travel times (may be empty)
+ * @param {Object} baseline - computeMetrics of the intact network, or null
+ * @returns {Object} - {nodes, links, gcc, avgPenalizedTime, disconnected}
+ */
+function snapshot(graph, totalNodes, odPairs, baseline) {
+  const metrics = baseline ? computeMetrics(graph, odPairs, 'time', { disconnection: { baseline } }) : null;
+  return {
+    nodes: graph.order,
+    links: graph.size,
+    gcc: totalNodes > 0 ? giantComponentSize(graph) / totalNodes : 0,
+    avgPenalizedTime: metrics ? metrics.avgPenalizedTime : null,
+    disconnected: metrics ? metrics.disconnected : null
+  };
+}
+
+/**
+ * Simulate a Motter–Lai overload cascade from a trigger failure
+ * Step 0 is the trigger itself (as applyFailure); each later step fails every element
+ * whose rerouted load exceeds its capacity. Capacity = (1 + tolerance) × max(baseline
+ * load, loadFloor × mean load), so lightly used elements are not failed by a few paths.
+ * @param {Graph} graph - Graph from buildGraph (intact network)
+ * @param {String} failureType - 'node', 'edge' or 'layer' (as applyFailure)
+ * @param {Array} failureTargets - Trigger targets (as applyFailure)
+ * @param {Object} options - Overrides of DEFAULT_CASCADE_OPTIONS plus optional odPairs
+ * @returns {Object} - {steps: [{step, failedNodes, failedEdges, maxLoadRatio, state}], damage, options, runtimeMs}
+ */
+export function simulateCascade(graph, failureType, failureTargets = [], options = {}) {
+  const { odPairs = [], ...rest } = options;
+  const settings = { ...DEFAULT_CASCADE_OPTIONS, ...rest };
+  const startTime = Date.now();
+  const totalNodes = graph.order;
+  
+  // Capacities from the intact network's loads
+  const baseLoads = computeLoads(graph, settings.element);
+  const loadValues = Object.values(baseLoads);
+  const meanLoad = loadValues.length > 0 ? loadValues.reduce((sum, v) => sum + v, 0) / loadValues.length : 0;
+  const capacity = {};
+  Object.entries(baseLoads).forEach(([id, load]) => {
+    capacity[id] = (1 + settings.tolerance) * Math.max(load, settings.loadFloor * meanLoad);
+  });
+  
+  const baseline = odPairs.length > 0 ? computeMetrics(graph, odPairs, 'time') : null;
+  
+  // Step 0: the trigger
+  const working = applyFailure(graph, failureType, failureTargets);
+  const describeEdge = edge => ({ edge, source: graph.source(edge), target: graph.target(edge) });
+  const steps = [{
+    step: 0,
+    failedNodes: graph.filterNodes(node => !working.hasNode(node)),
+    failedEdges: graph
+      .filterEdges((edge, attrs, s, t) => working.hasNode(s) && working.hasNode(t) && !working.hasEdge(edge))
+      .map(describeEdge),
+    maxLoadRatio: null,
+    state: snapshot(working, totalNodes, odPairs, baseline)
+  }];
+  
+  for (let step = 1; step <= settings.maxSteps; step++) {
+    const loads = computeLoads(working, settings.element);
+    const overloaded = Object.entries(loads).filter(([id, load]) => load > capacity[id]);
+    if (overloaded.length === 0) break;
+    
+    const maxLoadRatio = Math.max(...overloaded.map(([id, load]) => load / capacity[id]));
+    let failedNodes = [];
+    let failedEdges = [];
+    if (settings.element === 'edge') {
+      failedEdges = overloaded.map(([edge]) => describeEdge(edge));
+      failedEdges.forEach(({ edge }) => working.dropEdge(edge));
+    } else {
+      failedNodes = overloaded.map(([node]) => node);
+      failedNodes.forEach(node => working.dropNode(node));
+    }
+    
+    steps.push({ step, failedNodes, failedEdges, maxLoadRatio, state: snapshot(working, totalNodes, odPairs, baseline) });
+  }
+  
+  const trigger = steps[0];
+  const final = steps[steps.length - 1];
+  const count = (list, key) => list.reduce((sum, s) => sum + s[key].length, 0);
+  const triggerElements = trigger.failedNodes.length + trigger.failedEdges.length;
+  const cascadeElements = count(steps.slice(1), 'failedNodes') + count(steps.slice(1), 'failedEdges');
+  
+  const damage = {
+    triggerNodes: trigger.failedNodes.length,
+    triggerEdges: trigger.failedEdges.length,
+    cascadeNodes: count(steps.slice(1), 'failedNodes'),
+    cascadeEdges: count(steps.slice(1), 'failedEdges'),
+    // Elements lost in total per element of the trigger
+    amplification: triggerElements > 0 ? (triggerElements + cascadeElements) / triggerElements : null,
+    gccAfterTrigger: trigger.state.gcc,
+    gccFinal: final.state.gcc,
+    timeAfterTrigger: trigger.state.avgPenalizedTime,
+    timeFinal: final.state.avgPenalizedTime,
+    baselineTime: baseline ? baseline.avgPenalizedTime : null,
+    stable: steps.length - 1 < settings.maxSteps
+  };
+  
+  console.log(`🌊 CASCADE: ${triggerElements} trigger element(s) → ${cascadeElements} more over ${steps.length - 1} step(s), GCC ${(final.state.gcc * 100).toFixed(1)}% (${Date.now() - startTime} ms)`);
+  
+  return { steps, damage, options: settings, runtimeMs: Date.now() - startTime };
+}
+
+/**
+ * Network as it stands after a given cascade step
+ * @param {Graph} graph - Intact graph the cascade started from
+ * @param {Object} cascade - Result of simulateCascade
+ * @param {Number} step - Step index (0 = trigger only)
+ * @returns {Graph} - Copy with every element failed up to that step removed
+ */
+export function cascadeGraphAt(graph, cascade, step) {
+  const result = graph.copy();
+  cascade.steps.slice(0, step + 1).forEach(s => {
+    s.failedNodes.forEach(node => {
+      if (result.hasNode(node)) result.dropNode(node);
+    });
+    s.failedEdges.forEach(({ edge }) => {
+      if (result.hasEdge(edge)) result.dropEdge(edge);
+    });
+  });
+  return result;
+}
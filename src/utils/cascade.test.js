@@ -0,0 +1,50 @@
+import Graph from 'graphology';
+import { simulateCascade, cascadeGraphAt } from './cascade';
+
+// Ring of six stops N0–N5, 5 minutes apart: every node carries a load of 2 (pairs routed
+// through it). Failing N0 leaves the path N1–N5 with loads 0, 3, 4, 3, 0.
+const RING = (() => {
+  const graph = new Graph({ type: 'undirected' });
+  for (let i = 0; i < 6; i++) graph.mergeEdge(`N${i}`, `N${(i + 1) % 6}`, { time: 5 });
+  return graph;
+})();
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('simulateCascade', () => {
+  test('enough spare capacity absorbs the rerouted load', () => {
+    // Capacity (1 + 1) × 2 = 4 holds the middle node's load of 4
+    const { steps, damage } = simulateCascade(RING, 'node', ['N0'], { tolerance: 1 });
+    
+    expect(steps).toHaveLength(1);
+    expect(steps[0].failedNodes).toEqual(['N0']);
+    expect(damage).toMatchObject({ cascadeNodes: 0, amplification: 1, stable: true });
+    expect(damage.gccFinal).toBeCloseTo(5 / 6);
+  });
+  
+  test('only the elements pushed past capacity fail, and the cascade stops once loads fit', () => {
+    // Capacity 3.2: the middle node (load 4) fails, its neighbours (3) hold
+    const { steps, damage } = simulateCascade(RING, 'node', ['N0'], { tolerance: 0.6 });
+    
+    expect(steps).toHaveLength(2);
+    expect(steps[1].failedNodes).toEqual(['N3']);
+    expect(steps[1].maxLoadRatio).toBeCloseTo(4 / 3.2);
+    expect(damage).toMatchObject({ cascadeNodes: 1, amplification: 2, stable: true });
+    expect(damage.gccFinal).toBeCloseTo(2 / 6);
+  });
+  
+  test('the classic tolerance of 0.2 lets one failure take down every inner node', () => {
+    const cascade = simulateCascade(RING, 'node', ['N0'], { tolerance: 0.2 });
+    
+    expect(cascade.steps[1].failedNodes.sort()).toEqual(['N2', 'N3', 'N4']);
+    expect(cascade.damage).toMatchObject({ cascadeNodes: 3, amplification: 4 });
+    expect(cascade.damage.gccFinal).toBeCloseTo(1 / 6);
+    expect(cascadeGraphAt(RING, cascade, 1).nodes().sort()).toEqual(['N1', 'N5']);
+  });
+});
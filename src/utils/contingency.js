@@ -0,0 +1,191 @@
+/**
+ * N-1 / N-2 Contingency Analysis
+ * Fails every station, hub and line segment in turn, evaluates the OD set and ranks
+ * the elements by impact, so planners can find the weakest points systematically
+ */
+
+import { computeMetrics, selectMajorNodes } from './graphAlgorithms';
+import { nextTask } from './tasks';
+
+export const DEFAULT_CONTINGENCY_OPTIONS = {
+  objective: 'time',
+  segmentModes: ['metro', 'mmts'],  // line segments (edges) to test besides the major nodes
+  includeNodes: true,
+  includeSegments: true,
+  topK: 10                          // candidates combined in the N-2 pass
+};
+
+/**
+ * Copy of the graph with some nodes and links removed
+ * @param {Graph} graph - Intact graph
+ * @param {Array} elements - [{kind: 'node'|'edge', id}]
+ * @returns {Graph} - Failed copy
+ */
+function failElements(graph, elements) {
+  const failed = graph.copy();
+  elements.forEach(({ kind, id }) => {
+    if (kind === 'node' && failed.hasNode(id)) failed.dropNode(id);
+    if (kind === 'edge' && failed.hasEdge(id)) failed.dropEdge(id);
+  });
+  return failed;
+}
+
+/**
+ * Nodes and links used by any baseline route
+ * Failing anything else cannot change a shortest route, so it has no impact
+ * @param {Graph} graph - Intact graph
+ * @param {Object} baseline - computeMetrics of the intact graph
+ * @returns {Set} - Node IDs and edge keys on baseline routes
+ */
+function elementsOnRoutes(graph, baseline) {
+  const used = new Set();
+  baseline.results.forEach(r => {
+    if (!r.path) return;
+    r.path.forEach((node, i) => {
+      used.add(node);
+      if (i > 0) {
+        const edge = graph.edge(r.path[i - 1], node);
+        if (edge) used.add(edge);
+      }
+    });
+  });
+  return used;
+}
+
+/**
+ * Impact of one contingency against the baseline
+ * @param {Object} metrics - computeMetrics with the elements failed
+ * @param {Object} baseline - computeMetrics of the intact graph
+ * @returns {Object} - {avgPenalizedTime, deltaAvgTime, deltaPercent, newDisconnected, affectedPairs, affectedTrips}
+ */
+function measureImpact(metrics, baseline) {
+  let affectedPairs = 0;
+  let affectedTrips = 0;
+  metrics.results.forEach((r, i) => {
+    if (r.penalizedTime - baseline.results[i].penalizedTime > 0.01) {
+      affectedPairs++;
+      affectedTrips += r.trips ?? 1;
+    }
+  });
+  const delta = metrics.avgPenalizedTime - baseline.avgPenalizedTime;
+  return {
+    avgPenalizedTime: metrics.avgPenalizedTime,
+    deltaAvgTime: delta,
+    deltaPercent: baseline.avgPenalizedTime > 0 ? (delta / baseline.avgPenalizedTime) * 100 : 0,
+    newDisconnected: metrics.disconnected - baseline.disconnected,
+    affectedPairs,
+    affectedTrips
+  };
+}
+
+/**
+ * N-1 contingency ranking: fail each major node (stations, hubs, metro) and each line
+ * segment of `segmentModes` alone and measure the OD impact
+ * Elements on no baseline route are screened out with zero impact instead of evaluated.
+ * Yields to the browser before every evaluation so progress can paint.
+ * @param {Graph} graph - Graph from buildGraph (intact network)
+ * @param {Array} odPairs - OD pairs to evaluate
+ * @param {Object} options - Overrides of DEFAULT_CONTINGENCY_OPTIONS plus metricsOptions for computeMetrics
+ * @param {Function} progressCallback - Called with {index, total}
+ * @returns {Promise<Object>} - {rows: [{key, kind, id, label, layer, screened, ...impact}] by impact, baseline, evaluated, screened}
+ */
+export async function runContingencyAnalysis(graph, odPairs, options = {}, progressCallback = null) {
+  const { metricsOptions = {}, ...rest } = options;
+  const settings = { ...DEFAULT_CONTINGENCY_OPTIONS, ...rest };
+  const startTime = Date.now();
+  
+  const baseline = computeMetrics(graph, odPairs, settings.objective, metricsOptions);
+  const scenarioOptions = { ...metricsOptions, disconnection: { ...(metricsOptions.disconnection || {}), baseline } };
+  const used = elementsOnRoutes(graph, baseline);
+  const nameOf = node => graph.getNodeAttribute(node, 'name') || node;
+  
+  const elements = [];
+  if (settings.includeNodes) {
+    selectMajorNodes(graph.mapNodes((node, attrs) => ({ ...attrs, node_id: node }))).forEach(n => {
+      elements.push({ kind: 'node', id: n.node_id, label: nameOf(n.node_id), layer: n.layer });
+    });
+  }
+  if (settings.includeSegments) {
+    graph.forEachEdge((edge, attrs, s, t) => {
+      if (settings.segmentModes.includes(attrs.mode)) {
+        elements.push({ kind: 'edge', id: edge, label: `${nameOf(s)} ↔ ${nameOf(t)}`, layer: attrs.mode, source: s, target: t });
+      }
+    });
+  }
+  
+  let evaluated = 0;
+  const noImpact = { avgPenalizedTime: baseline.avgPenalizedTime, deltaAvgTime: 0, deltaPercent: 0, newDisconnected: 0, affectedPairs: 0, affectedTrips: 0 };
+  const rows = [];
+  for (let index = 0; index < elements.length; index++) {
+    const element = elements[index];
+    let impact = noImpact;
+    const screened = !used.has(element.id);
+    if (!screened) {
+      await nextTask();
+      impact = measureImpact(computeMetrics(failElements(graph, [element]), odPairs, settings.objective, scenarioOptions), baseline);
+      evaluated++;
+    }
+    if (progressCallback) progressCallback({ index, total: elements.length });
+    rows.push({ key: `${element.kind}:${element.id}`, ...element, screened, ...impact });
+  }
+  
+  rows.sort((a, b) => b.deltaAvgTime - a.deltaAvgTime || b.newDisconnected - a.newDisconnected);
+  
+  console.log(`🧮 N-1 CONTINGENCY: ${elements.length} elements, ${evaluated} evaluated, ${elements.length - evaluated} screened (${Date.now() - startTime} ms)`);
+  
+  return {
+    rows,
+    baseline: { avgPenalizedTime: baseline.avgPenalizedTime, disconnected: baseline.disconnected },
+    evaluated,
+    screened: elements.length - evaluated,
+    runtimeMs: Date.now() - startTime
+  };
+}
+
+/**
+ * N-2 pass: fail every pair of the top-K N-1 contingencies together
+ * `interaction` is the extra delay beyond the two single failures added up
+ * (positive when the two are alternatives to each other, e.g. parallel routes)
+ * Yields to the browser before every pair so progress can paint.
+ * @param {Graph} graph - Graph from buildGraph (intact network)
+ * @param {Array} odPairs - OD pairs to evaluate
+ * @param {Array} rows - N-1 rows from runContingencyAnalysis (sorted by impact)
+ * @param {Object} options - Optional {topK, objective, metricsOptions}
+ * @param {Function} progressCallback - Called with {index, total} after every pair
+ * @returns {Promise<Object>} - {rows: [{key, first, second, label, ...impact, interaction}] by impact, candidates}
+ */
+export async function runN2Analysis(graph, odPairs, rows, options = {}, progressCallback = null) {
+  const { metricsOptions = {}, ...rest } = options;
+  const settings = { ...DEFAULT_CONTINGENCY_OPTIONS, ...rest };
+  const startTime = Date.now();
+  
+  const baseline = computeMetrics(graph, odPairs, settings.objective, metricsOptions);
+  const scenarioOptions = { ...metricsOptions, disconnection: { ...(metricsOptions.disconnection || {}), baseline } };
+  
+  const candidates = rows.filter(r => !r.screened).slice(0, settings.topK);
+  const total = candidates.length * (candidates.length - 1) / 2;
+  const results = [];
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const first = candidates[i];
+      const second = candidates[j];
+      await nextTask();
+      const impact = measureImpact(computeMetrics(failElements(graph, [first, second]), odPairs, settings.objective, scenarioOptions), baseline);
+      results.push({
+        key: `${first.key}+${second.key}`,
+        first: first.key,
+        second: second.key,
+        label: `${first.label} + ${second.label}`,
+        ...impact,
+        interaction: impact.deltaAvgTime - first.deltaAvgTime - second.deltaAvgTime
+      });
+      if (progressCallback) progressCallback({ index: results.length - 1, total });
+    }
+  }
+  
+  results.sort((a, b) => b.deltaAvgTime - a.deltaAvgTime);
+  
+  console.log(`🧮 N-2 CONTINGENCY: ${candidates.length} candidates, ${results.length} pairs (${Date.now() - startTime} ms)`);
+  
+  return { rows: results, candidates: candidates.length, runtimeMs: Date.now() - startTime };
+}
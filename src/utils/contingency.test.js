@@ -0,0 +1,119 @@
+import { buildGraph, applyFailure, computeMetrics } from './graphAlgorithms';
+import { runContingencyAnalysis, runN2Analysis } from './contingency';
+
+// Metro line M1–M2–M3–M4 with a branch M3–M5, a slow bus detour M1–B1–M4 and a
+// station U next to M1 that no OD route uses
+const NODE_SPECS = [
+  ['M1', 'metro', 'station', 0],
+  ['M2', 'metro', 'station', 1],
+  ['M3', 'metro', 'station', 2],
+  ['M4', 'metro', 'station', 3],
+  ['M5', 'metro', 'station', 4],
+  ['B1', 'bus', 'stand', 2],
+  ['U', 'bus', 'station', 0]
+];
+const NODES = NODE_SPECS.map(([id, layer, type, i]) => ({
+  node_id: id,
+  name: `Stop ${id}`,
+  lat: 17.40 + (layer === 'bus' ? 0.02 : 0),
+  lon: 78.40 + i * 0.02,
+  layer,
+  type,
+  region: 'R1',
+  Df: 1,
+  Hf: 1,
+  Cf: 1
+}));
+const LINKS = [
+  ['M1', 'M2', 'metro', 5],
+  ['M2', 'M3', 'metro', 5],
+  ['M3', 'M4', 'metro', 5],
+  ['M3', 'M5', 'metro', 5],
+  ['M1', 'B1', 'bus', 30],
+  ['B1', 'M4', 'bus', 30],
+  ['M1', 'U', 'bus', 10]
+];
+const EDGES = LINKS.map(([from, to, mode, time]) => ({
+  from_id: from,
+  to_id: to,
+  mode,
+  intra_or_inter: 'intra',
+  reason: mode === 'metro' ? 'Metro_Line' : 'Bus_Route',
+  distance_km: 2,
+  time_base_min: time,
+  time_min: time,
+  cost_base_rs: 10,
+  cost_rs: 10,
+  region_from: 'R1',
+  region_to: 'R1'
+}));
+const OD_PAIRS = [['M1', 'M4'], ['M1', 'M5'], ['M2', 'M4']].map(([source, target]) => ({ source, target }));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('runContingencyAnalysis', () => {
+  test('ranks every station and metro segment by the impact of failing it alone', async () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const { rows, evaluated, screened } = await runContingencyAnalysis(graph, OD_PAIRS);
+    const baseline = computeMetrics(graph, OD_PAIRS, 'time');
+    
+    // Six stations and four metro segments; the bus links are not segments
+    expect(rows).toHaveLength(10);
+    expect(evaluated + screened).toBe(10);
+    rows.slice(1).forEach((row, i) => expect(rows[i].deltaAvgTime).toBeGreaterThanOrEqual(row.deltaAvgTime));
+    
+    // Every evaluated row matches failing the element directly
+    rows.filter(row => !row.screened).forEach(row => {
+      const failed = applyFailure(graph, row.kind, [row.id]);
+      const metrics = computeMetrics(failed, OD_PAIRS, 'time', { disconnection: { baseline } });
+      expect(row.deltaAvgTime).toBeCloseTo(metrics.avgPenalizedTime - baseline.avgPenalizedTime, 6);
+      expect(row.newDisconnected).toBe(metrics.disconnected - baseline.disconnected);
+    });
+  });
+  
+  test('the branch node outranks the line segment that only forces the detour', async () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const { rows } = await runContingencyAnalysis(graph, OD_PAIRS);
+    const rank = key => rows.findIndex(row => row.key === key);
+    const segment = rows.find(row => row.kind === 'edge' && [row.source, row.target].sort().join('-') === 'M1-M2');
+    
+    // M3 strands M1–M5; the M1–M2 segment only sends two pairs over the bus detour
+    expect(rows.find(row => row.key === 'node:M3').newDisconnected).toBe(1);
+    expect(segment).toMatchObject({ newDisconnected: 0, affectedPairs: 2 });
+    expect(rank('node:M3')).toBeLessThan(rank(segment.key));
+  });
+  
+  test('elements on no baseline route are screened out with zero impact', async () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const { rows, screened } = await runContingencyAnalysis(graph, OD_PAIRS);
+    const unused = rows.filter(row => row.screened).map(row => row.id);
+    
+    expect(unused).toEqual(['U']);
+    expect(screened).toBe(1);
+    expect(rows.find(row => row.id === 'U')).toMatchObject({ deltaAvgTime: 0, affectedPairs: 0 });
+  });
+});
+
+describe('runN2Analysis', () => {
+  test('fails every pair of the top candidates and reports their interaction', async () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const n1 = await runContingencyAnalysis(graph, OD_PAIRS);
+    const progress = [];
+    const n2 = await runN2Analysis(graph, OD_PAIRS, n1.rows, { topK: 4 }, p => progress.push(p));
+    
+    expect(n2.candidates).toBe(4);
+    expect(n2.rows).toHaveLength(6);
+    expect(progress.map(p => p.index)).toEqual([0, 1, 2, 3, 4, 5]);
+    n2.rows.forEach(row => {
+      const first = n1.rows.find(r => r.key === row.first);
+      const second = n1.rows.find(r => r.key === row.second);
+      expect(row.interaction).toBeCloseTo(row.deltaAvgTime - first.deltaAvgTime - second.deltaAvgTime, 6);
+    });
+  });
+});
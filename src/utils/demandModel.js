@@ -0,0 +1,349 @@
+/**
+ * Demand Model for Hyderabad Public Transport
+ * Builds a weighted OD matrix with a gravity model from the per-node factors in nodes.csv
+ */
+
+import { computeTravelTimes, selectMajorNodes, generateODSample } from './graphAlgorithms';
+import { createSeededRandom, pickRandom } from './random';
+
+export const DEFAULT_GRAVITY_OPTIONS = {
+  totalTrips: 100000,   // Passenger trips per hour produced by all zones together
+  beta: 0.04,           // Exponential deterrence per minute of baseline travel time
+  hubAttraction: true   // Scale attraction by Hf so hubs draw more trips
+};
+
+// OD sampling strategies; stratified ones draw origins from every stratum
+export const SAMPLING_STRATEGIES = {
+  random: { label: 'Simple Random', stratum: null },
+  region: { label: 'By Region (R1–R7)', stratum: node => node.region || 'unknown' },
+  mode: { label: 'By Layer / Type', stratum: node => `${node.layer} ${node.type}` },
+  regionMode: { label: 'By Region × Layer', stratum: node => `${node.region || 'unknown'} ${node.layer}` }
+};
+
+/**
+ * Trip production and attraction weights of a zone
+ * Df (density factor) drives both; Hf (hub factor) adds pull to hubs.
+ * Cf is a congestion factor and does not generate demand.
+ * @param {Object} node - Node with Df and Hf
+ * @param {Boolean} hubAttraction - Whether Hf scales attraction
+ * @returns {Object} - {production, attraction}
+ */
+function zoneWeights(node, hubAttraction) {
+  const density = Number.isFinite(node.Df) ? node.Df : 1;
+  const hub = hubAttraction && Number.isFinite(node.Hf) ? node.Hf : 1;
+  return { production: density, attraction: density * hub };
+}
+
+/**
+ * Production-constrained gravity model over the major nodes
+ * T_ij = O_i × A_j × exp(-beta × t_ij) / Σ_k A_k × exp(-beta × t_ik), where O_i is
+ * zone i's share (by Df) of totalTrips and t_ij the baseline travel time on the graph.
+ * Both directions of a pair are merged, since routes are symmetric on the undirected graph.
+ * @param {Array} nodes - All nodes
+ * @param {Graph} graph - Baseline graph; its edge times are the impedance
+ * @param {Object} options - Optional {totalTrips, beta, hubAttraction}
+ * @returns {Object} - {pairs: [{source, target, sourceName, targetName, trips, baselineTime}] by trips desc, totalTrips, zones}
+ */
+export function buildGravityDemand(nodes, graph, options = {}) {
+  const { totalTrips, beta, hubAttraction } = { ...DEFAULT_GRAVITY_OPTIONS, ...options };
+  
+  const zones = selectMajorNodes(nodes).filter(n => graph.hasNode(n.node_id));
+  const weights = zones.map(zone => zoneWeights(zone, hubAttraction));
+  const totalProduction = weights.reduce((sum, w) => sum + w.production, 0);
+  
+  const pairs = new Map();
+  
+  zones.forEach((origin, i) => {
+    const times = computeTravelTimes(graph, origin.node_id);
+    
+    // Attractiveness of every reachable destination seen from this origin
+    const pulls = [];
+    zones.forEach((destination, j) => {
+      if (i === j || !times.has(destination.node_id)) return;
+      const time = times.get(destination.node_id);
+      pulls.push({ j, time, pull: weights[j].attraction * Math.exp(-beta * time) });
+    });
+    
+    const totalPull = pulls.reduce((sum, p) => sum + p.pull, 0);
+    if (totalPull === 0) return;
+    
+    const produced = totalTrips * weights[i].production / totalProduction;
+    pulls.forEach(({ j, time, pull }) => {
+      const destination = zones[j];
+      const [a, b] = i < j ? [origin, destination] : [destination, origin];
+      const key = `${a.node_id}_${b.node_id}`;
+      const trips = produced * pull / totalPull;
+      
+      if (pairs.has(key)) {
+        pairs.get(key).trips += trips;
+      } else {
+        pairs.set(key, {
+          source: a.node_id,
+          target: b.node_id,
+          sourceName: a.name,
+          targetName: b.name,
+          trips,
+          baselineTime: time
+        });
+      }
+    });
+  });
+  
+  const sorted = [...pairs.values()].sort((a, b) => b.trips - a.trips);
+  
+  console.log(`🧲 GRAVITY DEMAND: ${zones.length} zones, ${sorted.length} OD pairs, ${Math.round(totalTrips)} trips/h`);
+  
+  return {
+    pairs: sorted,
+    totalTrips: sorted.reduce((sum, p) => sum + p.trips, 0),
+    zones: zones.length
+  };
+}
+
+/**
+ * OD pairs carrying the most gravity-model demand
+ * Each pair keeps its modelled trips, so computeMetrics reports trip-weighted averages
+ * @param {Array} nodes - All nodes
+ * @param {Graph} graph - Baseline graph used as impedance
+ * @param {Number} count - Number of OD pairs to return
+ * @param {Object} options - Optional gravity options (see DEFAULT_GRAVITY_OPTIONS)
+ * @returns {Array} - Array of {source, target, sourceName, targetName, trips, baselineTime} objects
+ */
+export function generateGravityODPairs(nodes, graph, count = 40, options = {}) {
+  const demand = buildGravityDemand(nodes, graph, options);
+  const selected = demand.pairs.slice(0, count);
+  const covered = selected.reduce((sum, p) => sum + p.trips, 0);
+  
+  console.log(`🧲 TOP ${selected.length} OD PAIRS carry ${((covered / demand.totalTrips) * 100).toFixed(1)}% of modelled trips`);
+  
+  return selected;
+}
+
+/**
+ * Split a sample across strata: one pair per stratum first, the rest in
+ * proportion to stratum size (largest remainder)
+ * @param {Array} sizes - Number of nodes in each stratum
+ * @param {Number} sampleSize - Total pairs to draw
+ * @returns {Array} - Pairs to draw from each stratum
+ */
+function allocateSample(sizes, sampleSize) {
+  const guaranteed = sampleSize >= sizes.length ? 1 : 0;
+  const allocation = sizes.map(() => guaranteed);
+  const remaining = sampleSize - guaranteed * sizes.length;
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+  
+  const shares = sizes.map((size, i) => ({ i, exact: remaining * size / total }));
+  shares.forEach(({ i, exact }) => {
+    allocation[i] += Math.floor(exact);
+  });
+  
+  let left = sampleSize - allocation.reduce((sum, n) => sum + n, 0);
+  shares
+    .sort((a, b) => (b.exact - Math.floor(b.exact)) - (a.exact - Math.floor(a.exact)) || a.i - b.i)
+    .forEach(({ i }) => {
+      if (left > 0) {
+        allocation[i]++;
+        left--;
+      }
+    });
+  
+  return allocation;
+}
+
+/**
+ * Reproducible OD sample: the same seed, strategy and size always give the same pairs
+ * Stratified strategies draw each pair's origin from a stratum (region and/or layer)
+ * so every region and mode is represented; destinations are any other major node.
+ * @param {Array} nodes - All nodes
+ * @param {Object} options - Optional {sampleSize, seed, strategy: key of SAMPLING_STRATEGIES}
+ * @returns {Object} - {pairs, seed, strategy, sampleSize, strata: {stratum: pairs drawn}}
+ */
+export function sampleODPairs(nodes, options = {}) {
+  const { sampleSize = 40, seed = 1, strategy = 'region' } = options;
+  const random = createSeededRandom(seed);
+  const stratumOf = (SAMPLING_STRATEGIES[strategy] || SAMPLING_STRATEGIES.random).stratum;
+  
+  if (!stratumOf) {
+    return { pairs: generateODSample(nodes, sampleSize, random), seed, strategy, sampleSize, strata: {} };
+  }
+  
+  const majorNodes = selectMajorNodes(nodes);
+  const groups = new Map();
+  majorNodes.forEach(node => {
+    const key = stratumOf(node);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(node);
+  });
+  
+  // Sorted strata keep the draw order, and so the sample, independent of CSV order
+  const strata = [...groups.keys()].sort();
+  const allocation = allocateSample(strata.map(key => groups.get(key).length), sampleSize);
+  
+  const pairs = [];
+  const usedPairs = new Set();
+  const drawn = {};
+  
+  strata.forEach((key, s) => {
+    const origins = groups.get(key);
+    drawn[key] = 0;
+    
+    // Bounded attempts so tiny strata cannot loop forever on duplicates
+    for (let attempt = 0; drawn[key] < allocation[s] && attempt < allocation[s] * 50; attempt++) {
+      const origin = pickRandom(origins, random);
+      const destination = pickRandom(majorNodes, random);
+      if (origin.node_id === destination.node_id) continue;
+      
+      const pairKey = [origin.node_id, destination.node_id].sort().join('|');
+      if (usedPairs.has(pairKey)) continue;
+      usedPairs.add(pairKey);
+      
+      pairs.push({
+        source: origin.node_id,
+        target: destination.node_id,
+        sourceName: origin.name,
+        targetName: destination.name,
+        stratum: key
+      });
+      drawn[key]++;
+    }
+  });
+  
+  console.log(`🎲 OD SAMPLE (seed ${seed}, ${strategy}): ${pairs.length} pairs over ${strata.length} strata`);
+  
+  return { pairs, seed, strategy, sampleSize, strata: drawn };
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields (station names may contain commas)
+ * @param {String} line - CSV line
+ * @returns {Array} - Trimmed field values
+ */
+function splitCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (quoted && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (ch === ',' && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Resolve a node ID or station name from an OD file
+ * Exact node IDs win; names match case-insensitively, preferring stations and hubs
+ * (then metro, MMTS, bus) when several nodes share a name.
+ * @param {String} value - Node ID or name
+ * @param {Map} byId - node_id -> node
+ * @param {Map} byName - lower-case name -> nodes
+ * @returns {Object} - {node, ambiguous} (node is null when nothing matches)
+ */
+function resolveODNode(value, byId, byName) {
+  if (byId.has(value)) return { node: byId.get(value), ambiguous: false };
+  
+  const matches = byName.get(value.toLowerCase()) || [];
+  if (matches.length === 0) return { node: null, ambiguous: false };
+  
+  const layerRank = { metro: 0, mmts: 1, bus: 2, auto: 3 };
+  const rank = n => ((n.type === 'station' || n.type === 'hub') ? 0 : 10) + (layerRank[n.layer] ?? 5);
+  const [best] = [...matches].sort((a, b) => rank(a) - rank(b));
+  return { node: best, ambiguous: matches.length > 1 };
+}
+
+/**
+ * Parse an OD matrix CSV of source,target,trips (node IDs or station names)
+ * Rows that repeat a pair (either direction) add their trips together.
+ * @param {String} text - CSV contents (a header row is optional)
+ * @param {Array} nodes - Loaded nodes to validate against
+ * @returns {Object} - {pairs, totalTrips, rows, unmatched: [{line, row, reason}], ambiguous: [{line, value, nodeId}]}
+ */
+export function parseODMatrixCSV(text, nodes) {
+  const byId = new Map(nodes.map(n => [n.node_id, n]));
+  const byName = new Map();
+  nodes.forEach(n => {
+    if (!n.name) return;
+    const key = n.name.trim().toLowerCase();
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(n);
+  });
+  
+  const lines = text.split(/\r?\n/);
+  const pairs = new Map();
+  const unmatched = [];
+  const ambiguous = [];
+  let rows = 0;
+  
+  lines.forEach((rawLine, index) => {
+    // Strip a spreadsheet byte-order mark from the first line
+    const line = index === 0 ? rawLine.replace(/^\uFEFF/, '') : rawLine;
+    if (!line.trim()) return;
+    
+    const [sourceValue = '', targetValue = '', tripsValue = ''] = splitCSVLine(line);
+    
+    // Header row
+    if (index === 0 && sourceValue.toLowerCase() === 'source') return;
+    
+    rows++;
+    const lineNumber = index + 1;
+    const reject = reason => unmatched.push({ line: lineNumber, row: line, reason });
+    
+    const trips = parseFloat(tripsValue);
+    if (!Number.isFinite(trips) || trips <= 0) {
+      reject(`invalid trips "${tripsValue}"`);
+      return;
+    }
+    
+    const from = resolveODNode(sourceValue, byId, byName);
+    const to = resolveODNode(targetValue, byId, byName);
+    if (!from.node || !to.node) {
+      const missing = [!from.node && `source "${sourceValue}"`, !to.node && `target "${targetValue}"`].filter(Boolean);
+      reject(`unknown ${missing.join(' and ')}`);
+      return;
+    }
+    if (from.node.node_id === to.node.node_id) {
+      reject('source and target are the same node');
+      return;
+    }
+    if (from.ambiguous) ambiguous.push({ line: lineNumber, value: sourceValue, nodeId: from.node.node_id });
+    if (to.ambiguous) ambiguous.push({ line: lineNumber, value: targetValue, nodeId: to.node.node_id });
+    
+    const key = [from.node.node_id, to.node.node_id].sort().join('|');
+    if (pairs.has(key)) {
+      pairs.get(key).trips += trips;
+    } else {
+      pairs.set(key, {
+        source: from.node.node_id,
+        target: to.node.node_id,
+        sourceName: from.node.name,
+        targetName: to.node.name,
+        trips
+      });
+    }
+  });
+  
+  const parsed = [...pairs.values()];
+  
+  console.log(`📥 OD MATRIX: ${parsed.length} pairs from ${rows} rows, ${unmatched.length} unmatched`);
+  
+  return {
+    pairs: parsed,
+    totalTrips: parsed.reduce((sum, p) => sum + p.trips, 0),
+    rows,
+    unmatched,
+    ambiguous
+  };
+}
@@ -0,0 +1,46 @@
+import { sampleODPairs } from './demandModel';
+
+// Twelve stations over three regions and two layers
+const NODES = [...Array(12)].map((_, i) => ({
+  node_id: `S${i}`,
+  name: `Station ${i}`,
+  lat: 17.40 + i * 0.01,
+  lon: 78.40,
+  layer: i % 2 === 0 ? 'metro' : 'mmts',
+  type: 'station',
+  region: `R${(i % 3) + 1}`
+}));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('sampleODPairs', () => {
+  test.each(['random', 'region', 'mode', 'regionMode'])('is reproducible for a seed (%s)', strategy => {
+    const first = sampleODPairs(NODES, { sampleSize: 10, seed: 5, strategy });
+    const second = sampleODPairs(NODES, { sampleSize: 10, seed: 5, strategy });
+    
+    expect(second.pairs).toEqual(first.pairs);
+    expect(second.strata).toEqual(first.strata);
+    expect(first.pairs).toHaveLength(10);
+  });
+  
+  test('a different seed draws a different sample', () => {
+    const a = sampleODPairs(NODES, { sampleSize: 10, seed: 1, strategy: 'region' });
+    const b = sampleODPairs(NODES, { sampleSize: 10, seed: 2, strategy: 'region' });
+    
+    expect(b.pairs).not.toEqual(a.pairs);
+  });
+  
+  test('pairs are distinct and never start and end at the same node', () => {
+    const { pairs } = sampleODPairs(NODES, { sampleSize: 20, seed: 9, strategy: 'regionMode' });
+    const keys = pairs.map(p => [p.source, p.target].sort().join('|'));
+    
+    expect(new Set(keys).size).toBe(pairs.length);
+    pairs.forEach(p => expect(p.source).not.toBe(p.target));
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Distributional and Equity Metrics
+ * Percentiles, inequality indices and per-region breakdowns of scenario results,
+ * so a disruption borne by a few neighbourhoods is not hidden by the averages
+ */
+
+/**
+ * Trip-weighted percentile (nearest rank on the cumulative weight)
+ * @param {Array} values - Array of {value, weight}
+ * @param {Number} p - Percentile in [0, 100]
+ * @returns {Number|null} - Value at the percentile, or null without data
+ */
+export function weightedPercentile(values, p) {
+  const sorted = values.filter(v => v.weight > 0).sort((a, b) => a.value - b.value);
+  if (sorted.length === 0) return null;
+  
+  const totalWeight = sorted.reduce((sum, v) => sum + v.weight, 0);
+  const threshold = (p / 100) * totalWeight;
+  let cumulative = 0;
+  for (const v of sorted) {
+    cumulative += v.weight;
+    if (cumulative >= threshold) return v.value;
+  }
+  return sorted[sorted.length - 1].value;
+}
+
+/**
+ * Trip-weighted Gini index of non-negative values
+ * 0 = everyone bears the same, 1 = one group bears everything
+ * @param {Array} values - Array of {value, weight}; negative values count as 0
+ * @returns {Number} - Gini index in [0, 1] (0 when the total is zero)
+ */
+export function giniIndex(values) {
+  const sorted = values
+    .map(v => ({ value: Math.max(0, v.value), weight: v.weight }))
+    .filter(v => v.weight > 0)
+    .sort((a, b) => a.value - b.value);
+  const totalWeight = sorted.reduce((sum, v) => sum + v.weight, 0);
+  const total = sorted.reduce((sum, v) => sum + v.value * v.weight, 0);
+  if (totalWeight === 0 || total === 0) return 0;
+  
+  // Area under the Lorenz curve, by trapezoids over cumulative population share
+  let cumulativeValue = 0;
+  let area = 0;
+  sorted.forEach(v => {
+    const previous = cumulativeValue;
+    cumulativeValue += v.value * v.weight;
+    area += (v.weight / totalWeight) * (previous + cumulativeValue) / (2 * total);
+  });
+  return 1 - 2 * area;
+}
+
+/**
+ * Trip-weighted Theil T index of non-negative values
+ * 0 = perfectly even; ln(N) = concentrated on one trip
+ * @param {Array} values - Array of {value, weight}; negative values count as 0
+ * @returns {Number} - Theil index (0 when the total is zero)
+ */
+export function theilIndex(values) {
+  const clipped = values
+    .map(v => ({ value: Math.max(0, v.value), weight: v.weight }))
+    .filter(v => v.weight > 0);
+  const totalWeight = clipped.reduce((sum, v) => sum + v.weight, 0);
+  const mean = totalWeight > 0 ? clipped.reduce((sum, v) => sum + v.value * v.weight, 0) / totalWeight : 0;
+  if (mean === 0) return 0;
+  
+  return clipped.reduce((sum, v) => {
+    if (v.value === 0) return sum; // x ln x -> 0
+    const ratio = v.value / mean;
+    return sum + (v.weight / totalWeight) * ratio * Math.log(ratio);
+  }, 0);
+}
+
+/**
+ * Distribution of penalized travel times and of delays versus a baseline
+ * @param {Array} results - Per-pair results with {source, target, trips, penalizedTime, region, reachable}
+ * @param {Array|null} baselineResults - Baseline per-pair results (same shape) for delays
+ * @returns {Object} - {timePercentiles, delay, regions}
+ */
+export function computeDistribution(results, baselineResults = null) {
+  const weightOf = r => r.trips ?? 1;
+  const times = results.map(r => ({ value: r.penalizedTime, weight: weightOf(r) }));
+  
+  const baselineByPair = new Map();
+  (baselineResults || []).forEach(r => baselineByPair.set(`${r.source}|${r.target}`, r));
+  
+  // Delay of each pair: penalized time after minus before
+  const delays = [];
+  results.forEach(r => {
+    const before = baselineByPair.get(`${r.source}|${r.target}`);
+    if (!before) return;
+    delays.push({ result: r, value: r.penalizedTime - before.penalizedTime, weight: weightOf(r) });
+  });
+  
+  // Per-region breakdown by origin region
+  const regions = {};
+  results.forEach(r => {
+    const key = r.region || 'unknown';
+    if (!regions[key]) {
+      regions[key] = { region: key, pairs: 0, trips: 0, disconnected: 0, totalTime: 0, totalDelay: 0, delayTrips: 0 };
+    }
+    const region = regions[key];
+    const weight = weightOf(r);
+    region.pairs++;
+    region.trips += weight;
+    region.totalTime += r.penalizedTime * weight;
+    if (!r.reachable) region.disconnected++;
+  });
+  delays.forEach(d => {
+    const region = regions[d.result.region || 'unknown'];
+    region.totalDelay += d.value * d.weight;
+    region.delayTrips += d.weight;
+  });
+  
+  const totalPositiveDelay = delays.reduce((sum, d) => sum + Math.max(0, d.value) * d.weight, 0);
+  const regionRows = Object.values(regions)
+    .map(r => ({
+      region: r.region,
+      pairs: r.pairs,
+      trips: r.trips,
+      disconnected: r.disconnected,
+      avgTime: r.trips > 0 ? r.totalTime / r.trips : 0,
+      avgDelay: r.delayTrips > 0 ? r.totalDelay / r.delayTrips : null,
+      delayShare: totalPositiveDelay > 0 && r.delayTrips > 0
+        ? delays
+          .filter(d => (d.result.region || 'unknown') === r.region)
+          .reduce((sum, d) => sum + Math.max(0, d.value) * d.weight, 0) / totalPositiveDelay
+        : null
+    }))
+    .sort((a, b) => a.region.localeCompare(b.region));
+  
+  const worst = delays.reduce((max, d) => (!max || d.value > max.value ? d : max), null);
+  
+  return {
+    timePercentiles: {
+      median: weightedPercentile(times, 50),
+      p90: weightedPercentile(times, 90),
+      p95: weightedPercentile(times, 95)
+    },
+    delay: baselineResults ? {
+      median: weightedPercentile(delays, 50),
+      p90: weightedPercentile(delays, 90),
+      p95: weightedPercentile(delays, 95),
+      max: worst ? worst.value : 0,
+      maxPair: worst ? `${worst.result.sourceName} → ${worst.result.targetName}` : null,
+      gini: giniIndex(delays),
+      theil: theilIndex(delays)
+    } : null,
+    regions: regionRows
+  };
+}
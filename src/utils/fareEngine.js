@@ -0,0 +1,225 @@
+/**
+ * Fare Engine for Hyderabad Public Transport
+ * Prices whole journeys leg by leg instead of charging every edge separately
+ */
+
+// Modes that are walked, never paid for
+const WALKING_MODES = ['transfer', 'walking'];
+
+// Road-based modes are subject to time-of-day surge (costMultiplier)
+const ROAD_MODES = ['bus', 'auto'];
+
+/**
+ * Calculate Hyderabad Metro fare based on distance (in km)
+ * OFFICIAL FARES from Hyderabad Metro Rail (HMRL) - Wikipedia verified
+ * Source: https://en.wikipedia.org/wiki/Hyderabad_Metro (Announced 25 Nov 2017)
+ * These are token/regular fares (NOT smart card which has 10% discount)
+ * @param {Number} distanceKm - Distance in kilometers
+ * @returns {Number} - Fare in rupees
+ */
+export function calculateMetroFare(distanceKm) {
+  // Official HMRL fare structure (token fare)
+  if (distanceKm <= 2) return 10;
+  if (distanceKm <= 4) return 20;
+  if (distanceKm <= 6) return 30;
+  if (distanceKm <= 9) return 40;
+  if (distanceKm <= 12) return 50;
+  if (distanceKm <= 15) return 60;
+  if (distanceKm <= 18) return 70;
+  if (distanceKm <= 21) return 80;
+  if (distanceKm <= 24) return 90;
+  return 100; // More than 24 km
+}
+
+/**
+ * Calculate MMTS (suburban rail, second class ordinary) fare by distance slab
+ * @param {Number} distanceKm - Distance in kilometers
+ * @returns {Number} - Fare in rupees
+ */
+export function calculateMmtsFare(distanceKm) {
+  if (distanceKm <= 10) return 5;
+  if (distanceKm <= 20) return 10;
+  if (distanceKm <= 30) return 15;
+  if (distanceKm <= 40) return 20;
+  return 25; // More than 40 km
+}
+
+/**
+ * Calculate TSRTC city ordinary bus fare by fare stage
+ * One fare stage is roughly 2 km of route
+ * @param {Number} distanceKm - Distance in kilometers
+ * @returns {Number} - Fare in rupees
+ */
+export function calculateBusFare(distanceKm) {
+  const stages = Math.max(1, Math.ceil(distanceKm / 2));
+  if (stages <= 2) return 10;
+  if (stages <= 4) return 15;
+  if (stages <= 6) return 20;
+  if (stages <= 8) return 25;
+  if (stages <= 11) return 30;
+  return 35; // More than 11 stages (22 km)
+}
+
+/**
+ * Calculate auto-rickshaw meter fare
+ * Minimum charge covers the first 1.6 km, then a per-km rate
+ * @param {Number} distanceKm - Distance in kilometers
+ * @returns {Number} - Fare in rupees
+ */
+export function calculateAutoFare(distanceKm) {
+  const minimumCharge = 30;
+  const minimumKm = 1.6;
+  const perKm = 15;
+  return minimumCharge + Math.max(0, distanceKm - minimumKm) * perKm;
+}
+
+// Exact fare function plus a linear approximation (boarding + per-km) per mode.
+// Route searches add fares edge by edge, so they use the linear form; reported
+// journey costs always come from the exact fare functions via priceJourney.
+const FARE_RULES = {
+  metro: { fare: calculateMetroFare, boarding: 10, perKm: 3.75 },
+  mmts: { fare: calculateMmtsFare, boarding: 5, perKm: 0.5 },
+  bus: { fare: calculateBusFare, boarding: 10, perKm: 1.25 },
+  auto: { fare: calculateAutoFare, boarding: 30, perKm: 15 }
+};
+
+// Rider fare products. Discounts and caps are applied per leg / per journey by
+// priceJourney; pass purchase prices are sunk and never charged per journey.
+// - metroDiscount: share taken off every metro leg (smart card 10%)
+// - busPass: bus legs ride free
+// - dailyCap: most a rider pays in a day, shared over tripsPerDay journeys
+export const FARE_PROFILES = {
+  token: { label: 'Token / Cash', metroDiscount: 0, busPass: false, dailyCap: null, tripsPerDay: 2 },
+  smartCard: { label: 'Smart Card', metroDiscount: 0.10, busPass: false, dailyCap: null, tripsPerDay: 2 },
+  student: { label: 'Student Pass', metroDiscount: 0.10, busPass: true, dailyCap: null, tripsPerDay: 2 },
+  busPass: { label: 'Bus Pass', metroDiscount: 0, busPass: true, dailyCap: null, tripsPerDay: 2 },
+  dailyCap: { label: 'Daily Cap (₹120)', metroDiscount: 0.10, busPass: false, dailyCap: 120, tripsPerDay: 2 }
+};
+
+/**
+ * Resolve a fare profile given by key or as an object
+ * @param {String|Object} profile - Key of FARE_PROFILES or a custom profile
+ * @returns {Object} - Full profile (token fares fill in missing fields)
+ */
+export function resolveFareProfile(profile = 'token') {
+  if (profile && typeof profile === 'object') {
+    return { ...FARE_PROFILES.token, ...profile };
+  }
+  return FARE_PROFILES[profile] || FARE_PROFILES.token;
+}
+
+/**
+ * Apply a fare profile's per-leg discounts to a token fare
+ * @param {String} mode - Transport mode of the leg
+ * @param {Number} fare - Token fare in rupees
+ * @param {Object} profile - Resolved fare profile
+ * @returns {Number} - Fare the rider pays in rupees
+ */
+function profileLegFare(mode, fare, profile) {
+  if (mode === 'bus' && profile.busPass) return 0;
+  if (mode === 'metro') return fare * (1 - profile.metroDiscount);
+  return fare;
+}
+
+/**
+ * Whether a mode is walked (no fare, breaks fare legs)
+ * @param {String} mode - Transport mode
+ * @returns {Boolean}
+ */
+export function isWalkingMode(mode) {
+  return WALKING_MODES.includes(mode);
+}
+
+/**
+ * Exact fare for one continuous leg on a single mode
+ * @param {String} mode - 'metro', 'mmts', 'bus' or 'auto'
+ * @param {Number} distanceKm - Leg distance in kilometers
+ * @param {Number} costMultiplier - Time-of-day surge, applied to road modes only
+ * @param {String|Object} profile - Fare profile (defaults to token fares)
+ * @returns {Number} - Fare in rupees
+ */
+export function legFare(mode, distanceKm, costMultiplier = 1.0, profile = 'token') {
+  const rule = FARE_RULES[mode];
+  if (!rule) return 0;
+  const surge = ROAD_MODES.includes(mode) ? costMultiplier : 1.0;
+  return profileLegFare(mode, rule.fare(distanceKm) * surge, resolveFareProfile(profile));
+}
+
+/**
+ * Linearised fare of riding one edge, for use inside route searches
+ * @param {String} mode - Transport mode of the edge
+ * @param {Number} distanceKm - Edge distance in kilometers
+ * @param {Boolean} boarding - True if this edge starts a new fare leg
+ * @param {Number} costMultiplier - Time-of-day surge, applied to road modes only
+ * @param {String|Object} profile - Fare profile (daily caps are not applied per edge)
+ * @returns {Number} - Approximate fare contribution in rupees
+ */
+export function marginalFare(mode, distanceKm, boarding, costMultiplier = 1.0, profile = 'token') {
+  const rule = FARE_RULES[mode];
+  if (!rule) return 0;
+  const surge = ROAD_MODES.includes(mode) ? costMultiplier : 1.0;
+  const fare = ((boarding ? rule.boarding : 0) + rule.perKm * distanceKm) * surge;
+  return profileLegFare(mode, fare, resolveFareProfile(profile));
+}
+
+/**
+ * Fare multiplier of a leg: the distance-weighted mean fareFactor of its segments
+ * (set on links by a 'degrade' failure; 1 otherwise)
+ * @param {Array} segments - The leg's segments with {distance, fareFactor?}
+ * @returns {Number} - Multiplier for the leg fare
+ */
+function legFareFactor(segments) {
+  const distance = segments.reduce((sum, s) => sum + (s.distance || 0), 0);
+  if (distance > 0) {
+    return segments.reduce((sum, s) => sum + (s.fareFactor ?? 1.0) * (s.distance || 0), 0) / distance;
+  }
+  return segments.reduce((sum, s) => sum + (s.fareFactor ?? 1.0), 0) / segments.length;
+}
+
+/**
+ * Split a journey into fare legs and price each one
+ * A fare leg is a run of consecutive segments on the same mode; walking links end it.
+ * A metro ride that changes line (e.g. Red to Blue at Ameerpet) stays one leg,
+ * since riders do not exit the paid area.
+ * With a daily cap, the journey pays at most its share (dailyCap / tripsPerDay).
+ * @param {Array} segments - Path segments with {mode, distance, fareFactor?}
+ * @param {Object} options - Optional {costMultiplier, profile}
+ * @returns {Object} - {total, tokenTotal, capped, legs: [{mode, distance, fare, tokenFare, startIndex, endIndex}]}
+ */
+export function priceJourney(segments, options = {}) {
+  const { costMultiplier = 1.0 } = options;
+  const profile = resolveFareProfile(options.profile);
+  const legs = [];
+  let current = null;
+  
+  segments.forEach((segment, index) => {
+    if (isWalkingMode(segment.mode)) {
+      current = null;
+      return;
+    }
+    
+    if (current && current.mode === segment.mode) {
+      current.distance += segment.distance || 0;
+      current.endIndex = index;
+    } else {
+      current = { mode: segment.mode, distance: segment.distance || 0, startIndex: index, endIndex: index };
+      legs.push(current);
+    }
+  });
+  
+  legs.forEach(leg => {
+    const factor = legFareFactor(segments.slice(leg.startIndex, leg.endIndex + 1));
+    leg.tokenFare = legFare(leg.mode, leg.distance, costMultiplier) * factor;
+    leg.fare = legFare(leg.mode, leg.distance, costMultiplier, profile) * factor;
+  });
+  
+  const paid = legs.reduce((sum, leg) => sum + leg.fare, 0);
+  const journeyCap = profile.dailyCap != null ? profile.dailyCap / Math.max(1, profile.tripsPerDay) : Infinity;
+  
+  return {
+    total: Math.min(paid, journeyCap),
+    tokenTotal: legs.reduce((sum, leg) => sum + leg.tokenFare, 0),
+    capped: paid > journeyCap,
+    legs
+  };
+}
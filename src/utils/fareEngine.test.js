@@ -0,0 +1,61 @@
+import { priceJourney, legFare, calculateBusFare, calculateMetroFare } from './fareEngine';
+
+describe('legFare', () => {
+  test('prices a leg from the mode fare table', () => {
+    expect(legFare('metro', 3)).toBe(20);
+    expect(legFare('bus', 5)).toBe(15);
+    expect(legFare('auto', 3.6)).toBeCloseTo(60);
+  });
+  
+  test('applies surge to road modes only', () => {
+    expect(legFare('bus', 5, 1.5)).toBeCloseTo(1.5 * calculateBusFare(5));
+    expect(legFare('metro', 3, 1.5)).toBe(calculateMetroFare(3));
+  });
+  
+  test('walking is free', () => {
+    expect(legFare('walking', 2)).toBe(0);
+  });
+});
+
+describe('priceJourney', () => {
+  test('consecutive segments on one mode are one leg priced on their total distance', () => {
+    const journey = priceJourney([
+      { mode: 'metro', distance: 3 },
+      { mode: 'metro', distance: 4 }
+    ]);
+    
+    expect(journey.legs).toHaveLength(1);
+    expect(journey.legs[0]).toMatchObject({ mode: 'metro', distance: 7, startIndex: 0, endIndex: 1 });
+    expect(journey.total).toBe(calculateMetroFare(7));
+  });
+  
+  test('a change of mode starts a new fare leg', () => {
+    const journey = priceJourney([
+      { mode: 'metro', distance: 3 },
+      { mode: 'bus', distance: 5 },
+      { mode: 'bus', distance: 1 }
+    ]);
+    
+    expect(journey.legs.map(leg => [leg.mode, leg.distance])).toEqual([['metro', 3], ['bus', 6]]);
+    expect(journey.total).toBe(calculateMetroFare(3) + calculateBusFare(6));
+  });
+  
+  test('a walking transfer ends the leg, so the next ride pays again', () => {
+    const journey = priceJourney([
+      { mode: 'metro', distance: 1 },
+      { mode: 'transfer', distance: 0.2 },
+      { mode: 'metro', distance: 1 }
+    ]);
+    
+    expect(journey.legs.map(leg => leg.distance)).toEqual([1, 1]);
+    expect(journey.total).toBe(2 * calculateMetroFare(1));
+    expect(journey.total).toBeGreaterThan(calculateMetroFare(2));
+  });
+  
+  test('an all-walking journey costs nothing', () => {
+    const journey = priceJourney([{ mode: 'walking', distance: 1 }]);
+    
+    expect(journey.legs).toEqual([]);
+    expect(journey.total).toBe(0);
+  });
+});
@@ -4,43 +4,255 @@
  */
 
 import Graph from 'graphology';
-import { bidirectional } from 'graphology-shortest-path';
+import { dijkstra } from 'graphology-shortest-path';
+import { priceJourney, marginalFare, isWalkingMode, resolveFareProfile } from './fareEngine';
+import { computeDistribution } from './equityMetrics';
 
 // Constants
-const TRANSFER_PENALTY = 10000; // Large penalty for mode changes in transfer-minimizing mode
 const UNREACHABLE = Infinity;
 
+// Default weights for the 'generalized' objective
+export const DEFAULT_GENERALIZED_WEIGHTS = {
+  valueOfTime: 2,       // ₹ per minute (₹120/hour) used to convert fares to minutes
+  transferPenalty: 5,   // Minutes added per transfer
+  walkWeight: 2         // Each walking minute feels like this many in-vehicle minutes
+};
+
+// Passengers per hour one link can carry before the time-of-day capacityFactor.
+// Walking and transfer links are not capacity-constrained.
+export const LINK_CAPACITY = {
+  metro: 30000,   // 6-car trains every ~4 minutes
+  mmts: 12000,    // 9-car EMUs every ~15 minutes
+  bus: 2400,      // ~40 buses per hour on a corridor
+  auto: 900       // Shared-road share available to auto-rickshaws
+};
+
+// What a stranded (disconnected) OD pair counts as in penalized averages.
+// 'cap' charges fixed values; 'multiple' charges a multiple of the pair's baseline
+// time and fare (falling back to the caps when the pair had no baseline route).
+export const DEFAULT_DISCONNECTION_PENALTY = {
+  mode: 'cap',
+  timeCap: 180,           // Minutes
+  costCap: 500,           // ₹, roughly a cab across the city
+  transferCap: 4,         // Boardings after the first
+  multiple: 3,            // × baseline time / fare in 'multiple' mode
+  accessibilityBeta: 0.05 // Per minute, for accessibility = exp(-beta × time)
+};
+
+// Multipliers of a 'degrade' failure; 1 leaves that attribute of a link unchanged.
+// capacityFactor scales LINK_CAPACITY, so it only matters with congestion enabled.
+export const DEFAULT_DEGRADATION = {
+  timeFactor: 1.0,
+  costFactor: 1.0,
+  capacityFactor: 1.0
+};
+
+// Construction cost of a recommended link, ₹ per km, by what gets built for it.
+// Candidate types map to a kind in CANDIDATE_LINK_KINDS.
+export const LINK_UNIT_COSTS = {
+  busLane: 50000000,  // ₹5 crore/km: dedicated express bus lane with stops
+  walkway: 150000000, // ₹15 crore/km: covered skywalk between rail stations
+  feeder: 10000000    // ₹1 crore/km: feeder route on existing roads (bays, shelters, buses)
+};
+
+export const CANDIDATE_LINK_KINDS = {
+  hub_neighbor: 'busLane',
+  express_hub: 'busLane',
+  cross_rail: 'walkway',
+  od_driven: 'feeder'
+};
+
+/**
+ * Construction cost of a candidate link
+ * @param {Object} candidate - From generateCandidates ({type, distance})
+ * @param {Object} unitCosts - ₹ per km by kind (see LINK_UNIT_COSTS)
+ * @returns {Number} - ₹
+ */
+export function linkConstructionCost(candidate, unitCosts = LINK_UNIT_COSTS) {
+  const kind = CANDIDATE_LINK_KINDS[candidate.type] || 'feeder';
+  return candidate.distance * (unitCosts[kind] ?? LINK_UNIT_COSTS[kind]);
+}
+
+// BPR link-performance function: time = freeTime × (1 + alpha × (volume / capacity)^beta)
+export const BPR_PARAMETERS = { alpha: 0.15, beta: 4 };
+
+/**
+ * Binary min-heap used as the priority queue for label-based searches
+ * @param {Function} compare - Comparator returning < 0 when a should pop before b
+ */
+class MinHeap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+  
+  get size() {
+    return this.items.length;
+  }
+  
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+  
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
 /**
- * Calculate Hyderabad Metro fare based on distance (in km)
- * OFFICIAL FARES from Hyderabad Metro Rail (HMRL) - Wikipedia verified
- * Source: https://en.wikipedia.org/wiki/Hyderabad_Metro (Announced 25 Nov 2017)
- * These are token/regular fares (NOT smart card which has 10% discount)
- * @param {Number} distanceKm - Distance in kilometers
- * @returns {Number} - Fare in rupees
+ * Service an edge is ridden on: mode plus metro line (e.g. 'metro:Red')
+ * Walking links (inter-modal transfer edges, new walkways) are not a service
+ * @param {Object} attrs - Edge attributes
+ * @returns {String|null} - Service key, or null for walking links
  */
-function calculateMetroFare(distanceKm) {
-  // Official HMRL fare structure (token fare)
-  if (distanceKm <= 2) return 10;
-  if (distanceKm <= 4) return 20;
-  if (distanceKm <= 6) return 30;
-  if (distanceKm <= 9) return 40;
-  if (distanceKm <= 12) return 50;
-  if (distanceKm <= 15) return 60;
-  if (distanceKm <= 18) return 70;
-  if (distanceKm <= 21) return 80;
-  if (distanceKm <= 24) return 90;
-  return 100; // More than 24 km
+function edgeService(attrs) {
+  const mode = attrs.transportMode || attrs.mode;
+  if (mode === 'transfer' || mode === 'walking') {
+    return null;
+  }
+  return attrs.line ? `${mode}:${attrs.line}` : mode;
 }
 
 /**
- * Custom Dijkstra for minimizing transfers
- * Uses (transfers, time) as composite key - minimizes transfers first, then time
+ * Advance the boarding state along one edge
+ * A transfer is any boarding after the first: changing mode, changing metro line
+ * (e.g. Red to Blue at Ameerpet), or re-boarding after a walking link
+ * @param {Object} state - {service, boarded} before the edge (service 'walk' after a walking link)
+ * @param {Object} attrs - Edge attributes
+ * @returns {Object} - {service, boarded, transfer} after the edge
+ */
+function boardingStep(state, attrs) {
+  const service = edgeService(attrs);
+  if (service === null) {
+    return { service: 'walk', boarded: state.boarded, transfer: false };
+  }
+  if (service === state.service) {
+    return { service, boarded: true, transfer: false };
+  }
+  return { service, boarded: true, transfer: state.boarded };
+}
+
+/**
+ * Generalized cost of riding or walking one edge, in equivalent minutes
+ * In-vehicle minutes count once, walking minutes are scaled by walkWeight and
+ * the fare is converted to minutes with the value of time
+ * @param {Object} attrs - Edge attributes
+ * @param {Object} weights - {valueOfTime, transferPenalty, walkWeight}
+ * @param {Number} fare - Fare attributed to the edge (defaults to its per-km cost)
+ * @returns {Number} - Generalized cost in minutes
+ */
+function edgeGeneralizedCost(attrs, weights, fare = attrs.cost || 0) {
+  const time = attrs.time || 0;
+  const minutes = edgeService(attrs) === null ? time * weights.walkWeight : time;
+  return minutes + fare / weights.valueOfTime;
+}
+
+/**
+ * Routing weight of an edge for an objective
+ * @param {String} objective - 'time', 'cost', 'transfers', or 'generalized'
+ * @param {Object} attrs - Edge attributes {mode, time, cost, costPenalty}
+ * @param {Object} weights - Generalized-cost weights
+ * @returns {Number} - Edge weight
+ */
+function edgeWeight(objective, attrs, weights) {
+  if (objective === 'cost') {
+    // Cost routing runs on dijkstraFare (with boarding fares); this weight is the per-km share
+    return attrs.cost * (attrs.costPenalty || 1.0);
+  }
+  if (objective === 'generalized') {
+    // Edge part of the generalized cost; transfer penalties are added by dijkstraGeneralized
+    return edgeGeneralizedCost(attrs, weights);
+  }
+  // 'time', and 'transfers' (minimized exactly by dijkstraMinTransfers on (node, service)
+  // states; the weight only breaks ties by time for weight-based searches, e.g. k-shortest)
+  return attrs.time;
+}
+
+/**
+ * Linearised fare of traversing an edge from a search state
+ * Starting a new fare leg (new mode, or after walking) adds the boarding fare
+ * @param {Object} attrs - Edge attributes
+ * @param {Object} state - Search state with the service ridden so far
+ * @param {Object} fares - {costMultiplier, profile} from getFareContext
+ * @returns {Number} - Approximate fare in rupees
+ */
+function searchFare(attrs, state, fares) {
+  const mode = attrs.transportMode || attrs.mode;
+  if (isWalkingMode(mode)) return 0;
+  const prevMode = state.service && state.service !== 'walk' ? state.service.split(':')[0] : null;
+  return marginalFare(mode, attrs.distance || 0, prevMode !== mode, fares.costMultiplier, fares.profile) * (attrs.fareFactor ?? 1.0);
+}
+
+/**
+ * Fare settings attached to a graph by buildGraph
+ * @param {Graph} graph - Graph instance
+ * @returns {Object} - {costMultiplier, profile}
+ */
+function getFareContext(graph) {
+  return {
+    costMultiplier: graph.getAttribute('costMultiplier') || 1.0,
+    profile: resolveFareProfile(graph.getAttribute('fareProfile'))
+  };
+}
+
+/**
+ * Copy of a graph whose journeys are priced with another fare profile
+ * @param {Graph} graph - Graph instance
+ * @param {String|Object} fareProfile - Key of FARE_PROFILES or a custom profile
+ * @returns {Graph} - Graph copy with the fareProfile attribute replaced
+ */
+function withFareProfile(graph, fareProfile) {
+  const priced = graph.copy();
+  priced.setAttribute('fareProfile', fareProfile);
+  return priced;
+}
+
+/**
+ * Generalized-cost weights attached to a graph by buildGraph
+ * @param {Graph} graph - Graph instance
+ * @returns {Object} - {valueOfTime, transferPenalty, walkWeight}
+ */
+function getGeneralizedWeights(graph) {
+  return { ...DEFAULT_GENERALIZED_WEIGHTS, ...(graph.getAttribute('generalizedWeights') || {}) };
+}
+
+/**
+ * Dijkstra over the service-expanded state graph
+ * States are (node, service, boarded), so per-boarding quantities such as transfer
+ * counts or transfer penalties are exact rather than approximated by edge weights
  * @param {Graph} graph - Graph instance
  * @param {String} source - Source node ID
  * @param {String} target - Target node ID
+ * @param {Function} compare - Label ordering over {transfers, time, score}
+ * @param {Function} edgeScore - (attrs, step, state) => score added when traversing an edge
  * @returns {Array|null} - Path as array of node IDs, or null if unreachable
  */
-function dijkstraMinTransfers(graph, source, target) {
+function serviceStateSearch(graph, source, target, compare, edgeScore = () => 0) {
   if (!graph.hasNode(source) || !graph.hasNode(target)) {
     return null;
   }
@@ -49,87 +261,289 @@ function dijkstraMinTransfers(graph, source, target) {
     return [source];
   }
   
-  // Priority queue: {node, transfers, time, prevMode, path}
-  const queue = [{ node: source, transfers: 0, time: 0, prevMode: null, path: [source] }];
-  const visited = new Set();
-  
-  // Best known: node -> {transfers, time}
+  const settled = new Set();
   const best = new Map();
-  best.set(source, { transfers: 0, time: 0 });
+  const queue = new MinHeap(compare);
+  queue.push({ node: source, service: null, boarded: false, transfers: 0, time: 0, score: 0, parent: null });
   
-  while (queue.length > 0) {
-    // Sort by transfers first, then by time (lexicographic ordering)
-    queue.sort((a, b) => {
-      if (a.transfers !== b.transfers) return a.transfers - b.transfers;
-      return a.time - b.time;
-    });
-    
-    const current = queue.shift();
+  while (queue.size > 0) {
+    const current = queue.pop();
     
     if (current.node === target) {
-      return current.path;
+      const path = [];
+      for (let l = current; l; l = l.parent) {
+        path.unshift(l.node);
+      }
+      return path;
     }
     
-    const stateKey = `${current.node}_${current.prevMode}`;
-    if (visited.has(stateKey)) continue;
-    visited.add(stateKey);
+    const stateKey = `${current.node}|${current.service}|${current.boarded}`;
+    if (settled.has(stateKey)) continue;
+    settled.add(stateKey);
     
-    // Explore neighbors
-    graph.forEachNeighbor(current.node, (neighbor, attrs) => {
-      const edge = graph.getEdgeAttributes(current.node, neighbor);
-      const edgeMode = edge.transportMode || edge.mode;
-      const edgeTime = edge.time || 0;
-      
-      // Calculate new transfers
-      let newTransfers = current.transfers;
-      if (current.prevMode !== null && current.prevMode !== edgeMode) {
-        // Mode changed - this is a transfer
-        newTransfers++;
-      }
+    graph.forEachEdge(current.node, (edge, attrs, s, t) => {
+      const neighbor = s === current.node ? t : s;
+      const step = boardingStep(current, attrs);
+      const next = {
+        node: neighbor,
+        service: step.service,
+        boarded: step.boarded,
+        transfers: current.transfers + (step.transfer ? 1 : 0),
+        time: current.time + (attrs.time || 0),
+        score: current.score + edgeScore(attrs, step, current),
+        parent: current
+      };
       
-      const newTime = current.time + edgeTime;
+      const nextKey = `${neighbor}|${next.service}|${next.boarded}`;
+      if (settled.has(nextKey)) return;
       
-      // Check if this path to neighbor is better
-      const neighborKey = neighbor;
-      const bestSoFar = best.get(neighborKey);
-      
-      let isBetter = false;
-      if (!bestSoFar) {
-        isBetter = true;
-      } else if (newTransfers < bestSoFar.transfers) {
-        isBetter = true;
-      } else if (newTransfers === bestSoFar.transfers && newTime < bestSoFar.time) {
-        isBetter = true;
+      const bestSoFar = best.get(nextKey);
+      if (!bestSoFar || compare(next, bestSoFar) < 0) {
+        best.set(nextKey, next);
+        queue.push(next);
+      }
+    });
+  }
+  
+  return null; // No path found
+}
+
+/**
+ * Exact minimum-transfer search
+ * Labels are ordered lexicographically by (transfers, time), so the first label
+ * to reach the target is optimal on both
+ * @param {Graph} graph - Graph instance
+ * @param {String} source - Source node ID
+ * @param {String} target - Target node ID
+ * @returns {Array|null} - Path as array of node IDs, or null if unreachable
+ */
+function dijkstraMinTransfers(graph, source, target) {
+  return serviceStateSearch(graph, source, target, (a, b) => (a.transfers - b.transfers) || (a.time - b.time));
+}
+
+/**
+ * Generalized-cost search: edge generalized cost plus a penalty per transfer
+ * @param {Graph} graph - Graph instance (weights read from its generalizedWeights attribute)
+ * @param {String} source - Source node ID
+ * @param {String} target - Target node ID
+ * @returns {Array|null} - Path as array of node IDs, or null if unreachable
+ */
+function dijkstraGeneralized(graph, source, target) {
+  const weights = getGeneralizedWeights(graph);
+  const fares = getFareContext(graph);
+  return serviceStateSearch(
+    graph,
+    source,
+    target,
+    (a, b) => (a.score - b.score) || (a.time - b.time),
+    (attrs, step, state) =>
+      edgeGeneralizedCost(attrs, weights, searchFare(attrs, state, fares)) +
+      (step.transfer ? weights.transferPenalty : 0)
+  );
+}
+
+/**
+ * Least-fare search: boarding fare per fare leg plus per-km fares, ties broken by time
+ * @param {Graph} graph - Graph instance
+ * @param {String} source - Source node ID
+ * @param {String} target - Target node ID
+ * @returns {Array|null} - Path as array of node IDs, or null if unreachable
+ */
+function dijkstraFare(graph, source, target) {
+  const fares = getFareContext(graph);
+  return serviceStateSearch(
+    graph,
+    source,
+    target,
+    (a, b) => (a.score - b.score) || (a.time - b.time),
+    (attrs, step, state) => searchFare(attrs, state, fares) * (attrs.costPenalty || 1.0)
+  );
+}
+
+/**
+ * Walk a node path and collect per-segment details and totals
+ * Transfers are counted with boardingStep, so metro line changes count too.
+ * The cost is the journey fare from the fare engine (one fare per leg) under the
+ * graph's fare profile, spread over each leg's segments by distance so segment
+ * costs add up to the total.
+ * @param {Graph} graph - Graph instance
+ * @param {Array} path - Array of node IDs
+ * @returns {Object} - {pathSegments, fareLegs, tokenCost, fareCapped, modeSequence, distance, transfers, time, walkTime, cost, generalizedCost}
+ */
+function describePath(graph, path) {
+  const weights = getGeneralizedWeights(graph);
+  let totalTime = 0;
+  let totalDistance = 0;
+  let walkTime = 0;
+  let transfers = 0;
+  let state = { service: null, boarded: false };
+  const pathSegments = [];
+  const modeSequence = [];
+  
+  for (let i = 0; i < path.length - 1; i++) {
+    const edge = graph.getEdgeAttributes(path[i], path[i + 1]);
+    const fromNode = graph.getNodeAttributes(path[i]);
+    const toNode = graph.getNodeAttributes(path[i + 1]);
+    const segmentTime = edge.time || 0;
+    const segmentMode = edge.transportMode || edge.mode || 'unknown';
+    
+    totalTime += segmentTime;
+    totalDistance += edge.distance || 0;
+    
+    pathSegments.push({
+      from: fromNode.name || path[i],
+      to: toNode.name || path[i + 1],
+      fromId: path[i],
+      toId: path[i + 1],
+      mode: segmentMode,
+      line: edge.line || null,
+      time: segmentTime,
+      cost: 0,
+      distance: edge.distance || 0,
+      fareFactor: edge.fareFactor ?? 1.0
+    });
+    
+    const step = boardingStep(state, edge);
+    if (step.transfer) {
+      transfers++;
+    }
+    if (step.service === 'walk') {
+      walkTime += segmentTime;
+    }
+    if (step.service !== 'walk' && step.service !== state.service) {
+      modeSequence.push(edge.line ? `${segmentMode} ${edge.line}` : segmentMode);
+    }
+    state = step;
+  }
+  
+  // Journey-level fare, spread over each leg by distance
+  const fare = priceJourney(pathSegments, getFareContext(graph));
+  const legTotal = fare.legs.reduce((sum, leg) => sum + leg.fare, 0);
+  const capShare = legTotal > 0 ? fare.total / legTotal : 1;
+  fare.legs.forEach(leg => {
+    const legSegments = pathSegments.slice(leg.startIndex, leg.endIndex + 1);
+    legSegments.forEach(segment => {
+      segment.cost = capShare * (leg.distance > 0
+        ? leg.fare * (segment.distance / leg.distance)
+        : leg.fare / legSegments.length);
+    });
+  });
+  
+  const generalizedCost = (totalTime - walkTime) +
+    walkTime * weights.walkWeight +
+    fare.total / weights.valueOfTime +
+    transfers * weights.transferPenalty;
+  
+  return {
+    pathSegments,
+    fareLegs: fare.legs,
+    tokenCost: fare.tokenTotal,
+    fareCapped: fare.capped,
+    modeSequence,
+    distance: totalDistance,
+    transfers,
+    time: totalTime,
+    walkTime,
+    cost: fare.total,
+    generalizedCost
+  };
+}
+
+/**
+ * Weighted Dijkstra that can skip blocked nodes and edges (used for Yen spur paths)
+ * @param {Graph} graph - Graph instance
+ * @param {String} source - Source node ID
+ * @param {String} target - Target node ID
+ * @param {Set} blockedNodes - Node IDs that may not be visited
+ * @param {Set} blockedEdges - Edge keys that may not be traversed
+ * @returns {Object|null} - {path, weight}, or null if unreachable
+ */
+function dijkstraPath(graph, source, target, blockedNodes = new Set(), blockedEdges = new Set()) {
+  const dist = new Map([[source, 0]]);
+  const prev = new Map();
+  const settled = new Set();
+  const queue = new MinHeap((a, b) => a.weight - b.weight);
+  queue.push({ node: source, weight: 0 });
+  
+  while (queue.size > 0) {
+    const { node, weight } = queue.pop();
+    if (settled.has(node)) continue;
+    settled.add(node);
+    
+    if (node === target) {
+      const path = [target];
+      while (prev.has(path[0])) {
+        path.unshift(prev.get(path[0]));
       }
+      return { path, weight };
+    }
+    
+    graph.forEachEdge(node, (edge, attrs, s, t) => {
+      const neighbor = s === node ? t : s;
+      if (settled.has(neighbor) || blockedNodes.has(neighbor) || blockedEdges.has(edge)) return;
       
-      if (isBetter) {
-        best.set(neighborKey, { transfers: newTransfers, time: newTime });
-        queue.push({
-          node: neighbor,
-          transfers: newTransfers,
-          time: newTime,
-          prevMode: edgeMode,
-          path: [...current.path, neighbor]
-        });
+      const newWeight = weight + (attrs.weight || 0);
+      if (!dist.has(neighbor) || newWeight < dist.get(neighbor)) {
+        dist.set(neighbor, newWeight);
+        prev.set(neighbor, node);
+        queue.push({ node: neighbor, weight: newWeight });
       }
     });
   }
   
-  return null; // No path found
+  return null;
+}
+
+/**
+ * Shortest travel time from one node to every reachable node
+ * @param {Graph} graph - Graph instance
+ * @param {String} source - Source node ID
+ * @returns {Map} - Node ID -> travel time in minutes (reachable nodes only)
+ */
+export function computeTravelTimes(graph, source) {
+  const times = new Map();
+  if (!graph.hasNode(source)) return times;
+  
+  const queue = new MinHeap((a, b) => a.time - b.time);
+  queue.push({ node: source, time: 0 });
+  
+  while (queue.size > 0) {
+    const { node, time } = queue.pop();
+    if (times.has(node)) continue;
+    times.set(node, time);
+    
+    graph.forEachEdge(node, (edge, attrs, s, t) => {
+      const neighbor = s === node ? t : s;
+      if (!times.has(neighbor)) {
+        queue.push({ node: neighbor, time: time + (attrs.time || 0) });
+      }
+    });
+  }
+  
+  return times;
 }
 
 /**
  * Build graph from nodes and edges data
  * @param {Array} nodes - Array of node objects
  * @param {Array} edges - Array of edge objects
- * @param {String} objective - 'time', 'cost', or 'transfers'
+ * @param {String} objective - 'time', 'cost', 'transfers', or 'generalized'
  * @param {Object} timeOfDayCoefficients - Object with {timeMultiplier, costMultiplier, capacityFactor, label}
  * @param {Object} routeContext - Optional {source, target} for Metro preference
+ * @param {Object} generalizedWeights - Optional {valueOfTime, transferPenalty, walkWeight} for the 'generalized' objective
+ * @param {String|Object} fareProfile - Rider fare profile (key of FARE_PROFILES), defaults to token fares
  * @returns {Graph} - Graphology instance
  */
-export function buildGraph(nodes, edges, objective = 'time', timeOfDayCoefficients = null, routeContext = null) {
+export function buildGraph(nodes, edges, objective = 'time', timeOfDayCoefficients = null, routeContext = null, generalizedWeights = null, fareProfile = 'token') {
   const graph = new Graph({ multi: false, type: 'undirected' });
   
+  // Generalized-cost weights and the rider fare profile travel with the graph (and its copies)
+  const gcWeights = { ...DEFAULT_GENERALIZED_WEIGHTS, ...(generalizedWeights || {}) };
+  graph.setAttribute('generalizedWeights', gcWeights);
+  graph.setAttribute('fareProfile', fareProfile);
+  // Objective the weights were built for, so degraded links can be re-weighted
+  graph.setAttribute('objective', objective);
+  
   // Default coefficients if not provided
   const coefficients = timeOfDayCoefficients || {
     timeMultiplier: 1.0,
@@ -138,6 +552,9 @@ export function buildGraph(nodes, edges, objective = 'time', timeOfDayCoefficien
     label: 'Standard'
   };
   
+  // Journey fares apply the same time-of-day surge to road-based legs
+  graph.setAttribute('costMultiplier', coefficients.costMultiplier);
+  
   // Check if both source and destination are Metro stations (for Metro preference)
   const sourceIsMetro = routeContext?.source?.endsWith('_Metro') || false;
   const targetIsMetro = routeContext?.target?.endsWith('_Metro') || false;
@@ -185,25 +602,19 @@ export function buildGraph(nodes, edges, objective = 'time', timeOfDayCoefficien
     // Determine the transport mode from the edge
     const transportMode = edge.mode || edge.edge_type || 'unknown';
     
-    // Calculate base cost - use Metro fare chart for Metro edges
-    let baseCost;
-    if (transportMode === 'metro') {
-      // Use Hyderabad Metro official fare chart based on distance
-      baseCost = calculateMetroFare(edge.distance_km);
-      
-      // Debug: Log first Metro edge to verify pricing
-      if (!window._metroFareLogged) {
-        console.log('💰 Metro Fare Calculation:', {
-          edge: `${edge.from_id} → ${edge.to_id}`,
-          distance: edge.distance_km.toFixed(2) + ' km',
-          fare: '₹' + baseCost,
-          oldCsvCost: '₹' + (edge.cost_rs || 0).toFixed(2)
-        });
-        window._metroFareLogged = true;
-      }
-    } else {
-      // Use existing cost for other modes (bus, MMTS, etc.)
-      baseCost = edge.cost_rs || 0;
+    // Calculate base cost - per-km part of the fare engine's linearised fare.
+    // Whole journeys are priced per fare leg by priceJourney, so no edge carries a minimum fare.
+    const baseCost = marginalFare(transportMode, edge.distance_km, false, 1.0, fareProfile);
+    
+    // Debug: Log first Metro edge to verify pricing
+    if (transportMode === 'metro' && !window._metroFareLogged) {
+      console.log('💰 Metro Fare (per-km share, leg fare via fare engine):', {
+        edge: `${edge.from_id} → ${edge.to_id}`,
+        distance: edge.distance_km.toFixed(2) + ' km',
+        marginalFare: '₹' + baseCost.toFixed(2),
+        oldCsvCost: '₹' + (edge.cost_rs || 0).toFixed(2)
+      });
+      window._metroFareLogged = true;
     }
     
     // Apply time-of-day coefficients ONLY to road-based transport
@@ -265,43 +676,21 @@ export function buildGraph(nodes, edges, objective = 'time', timeOfDayCoefficien
     }
     
     // METRO PREFERENCE: For Metro-to-Metro routing, make non-Metro options less attractive
+    // The penalty only steers cost-optimal routing; the fare actually charged is unchanged
+    let costPenalty = 1.0;
     if (preferMetro && transportMode !== 'metro' && edge.intra_or_inter !== 'inter') {
       // Apply penalty to non-Metro intra-modal edges (buses, MMTS)
       // Don't penalize transfer edges as they're necessary for mode changes
-      adjustedCost *= 1.4; // Make non-Metro 40% more expensive for cost optimization
+      costPenalty = 1.4; // Make non-Metro 40% more expensive for cost optimization
     }
     
-    let weight;
-    if (objective === 'time') {
-      // Use adjusted time with traffic multiplier (rail=base, road=adjusted)
-      weight = adjustedTime;
-    } else if (objective === 'cost') {
-      // Use adjusted cost with surge pricing (rail=base, road=adjusted)
-      weight = adjustedCost;
-    } else if (objective === 'transfers') {
-      // For transfer minimization: Use ORIGINAL TIME (no traffic impact)
-      // This ensures transfer minimization finds the actual shortest path
-      const baseWeight = edge.time_min * 0.01;
-      const isInterModal = edge.intra_or_inter === 'inter';
-      weight = baseWeight + (isInterModal ? TRANSFER_PENALTY : 0);
-    }
-    
-    // Debug: Log first metro edge to show new fare calculation
-    if (transportMode === 'metro' && !graph.hasEdge(edge.from_id, edge.to_id)) {
-      const isFirstMetro = !graph.edges().some(e => {
-        const attrs = graph.getEdgeAttributes(e);
-        return attrs.mode === 'metro';
-      });
-      if (isFirstMetro) {
-        console.log(`� METRO FARE CALCULATION (${edge.from_id} → ${edge.to_id}):`, {
-          distanceKm: edge.distance_km.toFixed(2),
-          oldCost: edge.cost_rs,
-          newMetroFare: baseCost,
-          adjustedCost: adjustedCost.toFixed(2),
-          costMultiplier: coefficients.costMultiplier
-        });
-      }
-    }
+    // Time uses the adjusted time with the traffic multiplier (rail=base, road=adjusted)
+    const weight = edgeWeight(objective, { mode: transportMode, time: adjustedTime, cost: adjustedCost, costPenalty }, gcWeights);
+    
+    // Metro line of the edge (e.g. 'Red' from 'Red_Line') so line changes count as transfers
+    const line = transportMode === 'metro' && edge.reason && edge.reason.endsWith('_Line')
+      ? edge.reason.replace('_Line', '')
+      : null;
     
     try {
       if (!graph.hasEdge(edge.from_id, edge.to_id)) {
@@ -310,11 +699,13 @@ export function buildGraph(nodes, edges, objective = 'time', timeOfDayCoefficien
           weight,
           transportMode, // Store the actual transport mode
           mode: transportMode,
+          line,                        // Metro line (Red/Blue/Green) or null
           distance: edge.distance_km,
           time: adjustedTime,          // Store adjusted time
-          cost: adjustedCost,          // Store adjusted cost (with Metro fare chart)
+          cost: adjustedCost,          // Store adjusted per-km fare share (with surge for road modes)
+          costPenalty,                 // Metro-preference steering factor for cost routing
           baseTime: edge.time_min,     // Store original time
-          baseCost: baseCost,          // Store calculated base cost (Metro fare or original)
+          baseCost: baseCost,          // Store per-km fare share before surge
           originalCost: edge.cost_rs,  // Store original CSV cost for reference
           capacityFactor: coefficients.capacityFactor,
           isInterModal: edge.intra_or_inter === 'inter'
@@ -333,131 +724,559 @@ export function buildGraph(nodes, edges, objective = 'time', timeOfDayCoefficien
  * @param {Graph} graph - Graph instance
  * @param {String} source - Source node ID
  * @param {String} target - Target node ID
- * @param {String} objective - 'time', 'cost', or 'transfers'
- * @returns {Object} - {path, distance, transfers, time, cost}
+ * @param {String} objective - 'time', 'cost', 'transfers', or 'generalized'
+ * @returns {Object} - {path, distance, transfers, time, cost, tokenCost, generalizedCost}
  */
 export function computeShortestPath(graph, source, target, objective = 'time') {
   if (!graph.hasNode(source) || !graph.hasNode(target)) {
-    return { path: null, distance: UNREACHABLE, transfers: UNREACHABLE, time: UNREACHABLE, cost: UNREACHABLE };
+    return { path: null, distance: UNREACHABLE, transfers: UNREACHABLE, time: UNREACHABLE, cost: UNREACHABLE, generalizedCost: UNREACHABLE };
   }
   
   if (source === target) {
-    return { path: [source], distance: 0, transfers: 0, time: 0, cost: 0 };
+    return { path: [source], distance: 0, transfers: 0, time: 0, cost: 0, tokenCost: 0, generalizedCost: 0 };
   }
   
   try {
     let path;
     
-    // Use specialized algorithm for transfer minimization
-    if (objective === 'transfers') {
+    // Use specialized algorithms for fares, transfer minimization and generalized cost
+    if (objective === 'cost') {
+      path = dijkstraFare(graph, source, target);
+    } else if (objective === 'transfers') {
       path = dijkstraMinTransfers(graph, source, target);
+    } else if (objective === 'generalized') {
+      path = dijkstraGeneralized(graph, source, target);
     } else {
-      // Use standard bidirectional Dijkstra for time/cost optimization
-      path = bidirectional(graph, source, target, 'weight');
+      // Use weighted bidirectional Dijkstra for time optimization
+      path = dijkstra.bidirectional(graph, source, target, 'weight');
     }
     
     console.log(`📍 PATH FOUND for objective="${objective}":`, path ? `${path.length} nodes` : 'NULL');
     
     if (!path) {
-      return { path: null, distance: UNREACHABLE, transfers: UNREACHABLE, time: UNREACHABLE, cost: UNREACHABLE };
+      return { path: null, distance: UNREACHABLE, transfers: UNREACHABLE, time: UNREACHABLE, cost: UNREACHABLE, generalizedCost: UNREACHABLE };
     }
     
     // Calculate metrics along the path
-    let totalTime = 0;
-    let totalCost = 0;
-    let totalDistance = 0;
-    let transfers = 0;
-    let prevMode = null;
-    let pathWeightSum = 0; // Track total weight used
-    const pathSegments = []; // Store detailed segment information
+    const summary = describePath(graph, path);
+    const pathWeightSum = path.slice(0, -1).reduce(
+      (sum, node, i) => sum + (graph.getEdgeAttribute(node, path[i + 1], 'weight') || 0),
+      0
+    );
     
     // Debug: Track Metro costs separately
-    let metroSegments = 0;
-    let metroTotalCost = 0;
-    
-    for (let i = 0; i < path.length - 1; i++) {
-      const edge = graph.getEdgeAttributes(path[i], path[i + 1]);
-      const fromNode = graph.getNodeAttributes(path[i]);
-      const toNode = graph.getNodeAttributes(path[i + 1]);
-      const segmentTime = edge.time || 0;
-      const segmentCost = edge.cost || 0;
-      const segmentMode = edge.transportMode || edge.mode || 'unknown';
+    const metroSegments = summary.pathSegments.filter(s => s.mode === 'metro');
+    const metroTotalCost = metroSegments.reduce((sum, s) => sum + s.cost, 0);
+    
+    console.log(`✅ COMPUTED METRICS for ${objective}:`, {
+      nodes: path.length,
+      time: summary.time.toFixed(2),
+      cost: summary.cost.toFixed(2),
+      metroSegments: metroSegments.length,
+      metroCost: metroTotalCost.toFixed(2),
+      avgMetroCostPerSegment: metroSegments.length > 0 ? (metroTotalCost / metroSegments.length).toFixed(2) : 'N/A',
+      transfers: summary.transfers,
+      totalWeight: pathWeightSum.toFixed(2)
+    });
+    
+    return {
+      path,
+      pathSegments: summary.pathSegments, // Detailed segment-by-segment breakdown
+      fareLegs: summary.fareLegs,         // Fare per continuous leg from the fare engine
+      tokenCost: summary.tokenCost,       // Same journey at token / cash fares
+      fareCapped: summary.fareCapped,
+      distance: summary.distance,
+      transfers: summary.transfers,
+      time: summary.time,
+      walkTime: summary.walkTime,
+      cost: summary.cost,
+      generalizedCost: summary.generalizedCost
+    };
+  } catch (e) {
+    console.error('Shortest path computation failed:', e);
+    return { path: null, pathSegments: [], distance: UNREACHABLE, transfers: UNREACHABLE, time: UNREACHABLE, cost: UNREACHABLE, generalizedCost: UNREACHABLE };
+  }
+}
+
+/**
+ * Multi-criteria label-setting search for an approximate Pareto front of journeys
+ * Each label carries (time, cost, transfers); a journey is kept only if no other
+ * journey is at least as good on all three criteria. Labels use per-edge times and
+ * the fare engine's linearised fares, so the result does not depend on the objective
+ * the graph was built for; final journeys are priced exactly.
+ * The front is approximate by default: labels within timeSlack / costSlack of another
+ * count as dominated, and a state keeps at most maxLabelsPerState labels. Set both
+ * slacks to 0 and maxLabelsPerState to Infinity for the exact front.
+ * @param {Graph} graph - Graph instance
+ * @param {String} source - Source node ID
+ * @param {String} target - Target node ID
+ * @param {Object} options - Optional {maxTransfers, maxLabelsPerState, timeSlack, costSlack, maxResults}
+ * @returns {Object} - {journeys, approximate, droppedLabels, totalJourneys}: non-dominated journeys sorted by
+ *   time, each {path, pathSegments, modeSequence, distance, transfers, time, cost}; whether slack or the bag cap
+ *   may have pruned a trade-off; labels dropped by the bag cap; journeys found before the maxResults cut
+ */
+export function computeParetoPaths(graph, source, target, options = {}) {
+  const {
+    maxTransfers = 6,        // Journeys with more transfers are not explored
+    maxLabelsPerState = 8,   // Bag size cap per (node, mode) state to bound the search
+    timeSlack = 0.5,         // Minutes within which two labels are considered equally fast
+    costSlack = 1,           // Rupees within which two labels are considered equally cheap
+    maxResults = 10
+  } = options;
+  
+  const slack = timeSlack > 0 || costSlack > 0;
+  
+  if (!graph.hasNode(source) || !graph.hasNode(target)) {
+    return { journeys: [], approximate: false, droppedLabels: 0, totalJourneys: 0 };
+  }
+  
+  if (source === target) {
+    const journeys = [{ path: [source], pathSegments: [], modeSequence: [], distance: 0, transfers: 0, time: 0, cost: 0 }];
+    return { journeys, approximate: false, droppedLabels: 0, totalJourneys: 1 };
+  }
+  
+  const fares = getFareContext(graph);
+  
+  const dominates = (a, b) => a.time <= b.time && a.cost <= b.cost && a.transfers <= b.transfers;
+  const roughlyDominates = (a, b) =>
+    a.time <= b.time + timeSlack && a.cost <= b.cost + costSlack && a.transfers <= b.transfers;
+  
+  // Bags of non-dominated labels per (node, service, boarded) state
+  const bags = new Map();
+  const targetLabels = [];
+  const capped = { droppedLabels: 0 };
+  const queue = new MinHeap((a, b) => (a.time - b.time) || (a.cost - b.cost));
+  queue.push({ node: source, service: null, boarded: false, time: 0, cost: 0, transfers: 0, parent: null });
+  
+  while (queue.size > 0) {
+    const label = queue.pop();
+    if (label.dominated) continue;
+    
+    // Labels pop in time order, so a target label is final once it is not dominated
+    if (label.node === target) {
+      if (!targetLabels.some(t => roughlyDominates(t, label))) {
+        targetLabels.push(label);
+      }
+      continue;
+    }
+    
+    if (targetLabels.some(t => roughlyDominates(t, label))) continue;
+    
+    graph.forEachEdge(label.node, (edge, attrs, s, t) => {
+      const neighbor = s === label.node ? t : s;
+      const step = boardingStep(label, attrs);
+      const transfers = label.transfers + (step.transfer ? 1 : 0);
+      if (transfers > maxTransfers) return;
+      
+      const next = {
+        node: neighbor,
+        service: step.service,
+        boarded: step.boarded,
+        time: label.time + (attrs.time || 0),
+        cost: label.cost + searchFare(attrs, label, fares),
+        transfers,
+        parent: label
+      };
       
-      totalTime += segmentTime;
-      totalCost += segmentCost;
-      totalDistance += edge.distance || 0;
-      pathWeightSum += edge.weight || 0;
+      if (targetLabels.some(t => roughlyDominates(t, next))) return;
       
-      // Debug tracking
-      if (segmentMode === 'metro') {
-        metroSegments++;
-        metroTotalCost += segmentCost;
+      const stateKey = `${neighbor}|${step.service}|${step.boarded}`;
+      const bag = bags.get(stateKey) || [];
+      if (bag.some(l => roughlyDominates(l, next))) return;
+      
+      const kept = bag.filter(l => {
+        if (dominates(next, l)) {
+          l.dominated = true;
+          return false;
+        }
+        return true;
+      });
+      if (kept.length >= maxLabelsPerState) {
+        // A full bag may turn away a journey no kept label dominates
+        capped.droppedLabels++;
+        return;
       }
       
-      // Store segment details
-      pathSegments.push({
-        from: fromNode.name || path[i],
-        to: toNode.name || path[i + 1],
-        fromId: path[i],
-        toId: path[i + 1],
-        mode: segmentMode,
-        time: segmentTime,
-        cost: segmentCost,
-        distance: edge.distance || 0
+      kept.push(next);
+      bags.set(stateKey, kept);
+      queue.push(next);
+    });
+  }
+  
+  // Labels carry linearised fares; re-check dominance on exact journey fares
+  const priced = targetLabels.map(label => {
+    const path = [];
+    for (let l = label; l; l = l.parent) {
+      path.unshift(l.node);
+    }
+    return { path, ...describePath(graph, path) };
+  });
+  const journeys = priced.filter((j, i) =>
+    !priced.some((other, k) => k !== i && dominates(other, j) &&
+      (other.time < j.time || other.cost < j.cost || other.transfers < j.transfers || k < i))
+  );
+  
+  const { droppedLabels } = capped;
+  const approximate = slack || droppedLabels > 0;
+  
+  console.log(`🧭 PARETO FRONT ${source} → ${target}: ${journeys.length} non-dominated journey(s)` +
+    (approximate ? ` (approximate${droppedLabels > 0 ? `, ${droppedLabels} label(s) dropped at the bag cap` : ''})` : ''));
+  
+  return {
+    journeys: journeys
+      .sort((a, b) => a.time - b.time)
+      .slice(0, maxResults),
+    approximate,
+    droppedLabels,
+    totalJourneys: journeys.length
+  };
+}
+
+/**
+ * K-shortest loopless paths (Yen's algorithm) ranked by edge weight
+ * @param {Graph} graph - Graph instance
+ * @param {String} source - Source node ID
+ * @param {String} target - Target node ID
+ * @param {Number} k - Number of alternatives to return
+ * @returns {Array} - Up to k journeys in rank order, each {rank, path, weight, pathSegments, modeSequence, distance, transfers, time, cost}
+ */
+export function computeKShortestPaths(graph, source, target, k = 3) {
+  if (!graph.hasNode(source) || !graph.hasNode(target) || k < 1) {
+    return [];
+  }
+  
+  const first = dijkstraPath(graph, source, target);
+  if (!first) {
+    return [];
+  }
+  
+  const accepted = [first];
+  const candidates = [];
+  const seen = new Set([first.path.join('|')]);
+  
+  for (let rank = 1; rank < k; rank++) {
+    const previous = accepted[rank - 1].path;
+    
+    for (let i = 0; i < previous.length - 1; i++) {
+      const spurNode = previous[i];
+      const rootPath = previous.slice(0, i + 1);
+      const rootKey = rootPath.join('|');
+      
+      // Block the next edge of every accepted path sharing this root
+      const blockedEdges = new Set();
+      accepted.forEach(({ path }) => {
+        if (path.length > i + 1 && path.slice(0, i + 1).join('|') === rootKey) {
+          blockedEdges.add(graph.edge(path[i], path[i + 1]));
+        }
       });
       
-      // Debug: Log first edge to verify coefficients are applied
-      if (i === 0 && path.length > 1) {
-        console.log('Sample edge:', {
-          from: path[i],
-          to: path[i+1],
-          time: edge.time,
-          cost: edge.cost,
-          baseTime: edge.baseTime,
-          baseCost: edge.baseCost
-        });
-      }
+      // Root nodes other than the spur node may not be revisited (loopless)
+      const blockedNodes = new Set(rootPath.slice(0, -1));
+      
+      const spur = dijkstraPath(graph, spurNode, target, blockedNodes, blockedEdges);
+      if (!spur) continue;
       
-      // Count transfers: mode changes between consecutive edges
-      const currentMode = edge.transportMode || edge.mode;
+      const path = [...rootPath.slice(0, -1), ...spur.path];
+      const key = path.join('|');
+      if (seen.has(key)) continue;
+      seen.add(key);
       
-      if (prevMode !== null && prevMode !== currentMode) {
-        // Mode changed - this is a transfer
-        transfers++;
+      let rootWeight = 0;
+      for (let j = 0; j < i; j++) {
+        rootWeight += graph.getEdgeAttribute(previous[j], previous[j + 1], 'weight') || 0;
+      }
+      candidates.push({ path, weight: rootWeight + spur.weight });
+    }
+    
+    if (candidates.length === 0) break;
+    
+    candidates.sort((a, b) => a.weight - b.weight);
+    accepted.push(candidates.shift());
+  }
+  
+  return accepted.map(({ path, weight }, idx) => ({
+    rank: idx + 1,
+    path,
+    weight,
+    ...describePath(graph, path)
+  }));
+}
+
+/**
+ * Edge key for an edge spec: a graph edge key or "fromId_toId"
+ * Node IDs may contain underscores themselves (e.g. "Ameerpet_Metro"), so every
+ * split point is tried until both halves are nodes joined by an edge
+ * @param {Graph} graph - Graph instance
+ * @param {String} spec - Edge key or "fromId_toId"
+ * @returns {String|null} - Edge key, or null if no such edge
+ */
+function resolveEdgeSpec(graph, spec) {
+  if (graph.hasEdge(spec)) return spec;
+  for (let i = spec.indexOf('_'); i !== -1; i = spec.indexOf('_', i + 1)) {
+    const from = spec.slice(0, i);
+    const to = spec.slice(i + 1);
+    if (graph.hasNode(from) && graph.hasNode(to) && graph.hasEdge(from, to)) {
+      return graph.edge(from, to);
+    }
+  }
+  return null;
+}
+
+/**
+ * Local planar coordinates in km around a reference latitude (fine at city scale)
+ * @param {Number} lat - Latitude
+ * @param {Number} lon - Longitude
+ * @param {Number} refLat - Reference latitude
+ * @returns {Array} - [x, y] in km
+ */
+function toKm(lat, lon, refLat) {
+  return [lon * 111.32 * Math.cos(refLat * Math.PI / 180), lat * 110.574];
+}
+
+/**
+ * Whether two planar segments cross
+ * @param {Array} p1 - [x, y] start of the first segment
+ * @param {Array} p2 - [x, y] end of the first segment
+ * @param {Array} q1 - [x, y] start of the second segment
+ * @param {Array} q2 - [x, y] end of the second segment
+ * @returns {Boolean} - True if they intersect
+ */
+function segmentsIntersect(p1, p2, q1, q2) {
+  const orient = (a, b, c) => Math.sign((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+  return orient(p1, p2, q1) !== orient(p1, p2, q2) && orient(q1, q2, p1) !== orient(q1, q2, p2);
+}
+
+/**
+ * Whether a point lies inside an area
+ * @param {Number} lat - Latitude
+ * @param {Number} lon - Longitude
+ * @param {Object} area - Circle {center: {lat, lon}, radiusKm} or polygon {points: [{lat, lon}]}
+ * @returns {Boolean} - True if inside
+ */
+export function isInArea(lat, lon, area) {
+  if (area.points) {
+    // Ray casting
+    let inside = false;
+    const points = area.points;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if ((a.lat > lat) !== (b.lat > lat) && lon < ((b.lon - a.lon) * (lat - a.lat)) / (b.lat - a.lat) + a.lon) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+  return euclideanDistance(lat, lon, area.center.lat, area.center.lon) <= area.radiusKm;
+}
+
+/**
+ * Whether a straight link between two nodes touches an area (an end inside, or crossing it)
+ * @param {Object} from - {lat, lon} of one end
+ * @param {Object} to - {lat, lon} of the other end
+ * @param {Object} area - Circle or polygon (see isInArea)
+ * @returns {Boolean} - True if the link enters the area
+ */
+function isLinkInArea(from, to, area) {
+  if (isInArea(from.lat, from.lon, area) || isInArea(to.lat, to.lon, area)) return true;
+  
+  const refLat = from.lat;
+  const a = toKm(from.lat, from.lon, refLat);
+  const b = toKm(to.lat, to.lon, refLat);
+  if (area.points) {
+    const ring = area.points.map(p => toKm(p.lat, p.lon, refLat));
+    return ring.some((p, i) => segmentsIntersect(a, b, p, ring[(i + 1) % ring.length]));
+  }
+  
+  // Distance from the circle centre to the segment
+  const c = toKm(area.center.lat, area.center.lon, refLat);
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((c[0] - a[0]) * dx + (c[1] - a[1]) * dy) / lengthSquared)) : 0;
+  return Math.hypot(a[0] + t * dx - c[0], a[1] + t * dy - c[1]) <= area.radiusKm;
+}
+
+/**
+ * Nodes inside and links touching any of the areas
+ * @param {Graph} graph - Graph instance
+ * @param {Array} areas - Circles and/or polygons (see isInArea)
+ * @returns {Object} - {nodes: [node IDs], edges: [edge keys]}
+ */
+export function elementsInArea(graph, areas) {
+  const nodes = graph.filterNodes((node, attrs) => areas.some(area => isInArea(attrs.lat, attrs.lon, area)));
+  const edges = graph.filterEdges((edge, attrs, source, target, sourceAttrs, targetAttrs) =>
+    areas.some(area => isLinkInArea(sourceAttrs, targetAttrs, area)));
+  return { nodes, edges };
+}
+
+/**
+ * Metro lines a station serves ('Red+Blue' at an interchange such as Ameerpet)
+ * @param {Object} attrs - Node attributes
+ * @returns {Array} - Line names, empty for non-metro nodes
+ */
+export function stationLines(attrs) {
+  return attrs.metro_line ? attrs.metro_line.split('+').filter(Boolean) : [];
+}
+
+/**
+ * Metro links of one line between two of its stations, along the line
+ * @param {Graph} graph - Graph instance
+ * @param {String} line - Line name (e.g. 'Red')
+ * @param {String} from - Station node ID at one end
+ * @param {String} to - Station node ID at the other end
+ * @returns {Object|null} - {stations: [node IDs in order], edges: [edge keys]}, or null if not on one stretch of the line
+ */
+function lineSectionPath(graph, line, from, to) {
+  if (!graph.hasNode(from) || !graph.hasNode(to)) return null;
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+  while (queue.length > 0 && !previous.has(to)) {
+    const node = queue.shift();
+    graph.forEachEdge(node, (edge, attrs, source, target) => {
+      const next = source === node ? target : source;
+      if (attrs.line === line && !previous.has(next)) {
+        previous.set(next, edge);
+        queue.push(next);
+      }
+    });
+  }
+  if (!previous.has(to)) return null;
+  
+  const stations = [to];
+  const edges = [];
+  for (let node = to; previous.get(node) !== null;) {
+    const edge = previous.get(node);
+    edges.push(edge);
+    node = graph.opposite(node, edge);
+    stations.push(node);
+  }
+  return { stations: stations.reverse(), edges: edges.reverse() };
+}
+
+/**
+ * Stations and links closed by a metro line or line-section failure
+ * Line links are closed; a station closes only when every line it serves is closed
+ * there, so an interchange stays open for its other lines (Ameerpet keeps the Blue
+ * line when the Red line is down). The end stations of a section stay open, as trains
+ * turn back there.
+ * @param {Graph} graph - Graph instance
+ * @param {String} failureType - 'line' or 'section'
+ * @param {Array} failureTargets - Line names, or sections [{line, from, to}]
+ * @returns {Object} - {nodes, edges, interchanges: [{node, openLines}]}
+ */
+export function metroFailureElements(graph, failureType, failureTargets = []) {
+  const edges = new Set();
+  const closedLinesAt = new Map(); // station -> lines closed through it
+  const closeLine = (node, line) => {
+    if (!closedLinesAt.has(node)) closedLinesAt.set(node, new Set());
+    closedLinesAt.get(node).add(line);
+  };
+  
+  if (failureType === 'line') {
+    graph.forEachEdge((edge, attrs) => {
+      if (failureTargets.includes(attrs.line)) edges.add(edge);
+    });
+    graph.forEachNode((node, attrs) => {
+      stationLines(attrs).filter(line => failureTargets.includes(line)).forEach(line => closeLine(node, line));
+    });
+  } else if (failureType === 'section') {
+    failureTargets.forEach(({ line, from, to }) => {
+      const section = lineSectionPath(graph, line, from, to);
+      if (!section) {
+        console.warn(`No ${line} line section between ${from} and ${to}`);
+        return;
       }
-      prevMode = currentMode;
-    }
-    
-    console.log(`✅ COMPUTED METRICS for ${objective}:`, {
-      nodes: path.length,
-      time: totalTime.toFixed(2),
-      cost: totalCost.toFixed(2),
-      metroSegments,
-      metroCost: metroTotalCost.toFixed(2),
-      avgMetroCostPerSegment: metroSegments > 0 ? (metroTotalCost / metroSegments).toFixed(2) : 'N/A',
-      transfers,
-      totalWeight: pathWeightSum.toFixed(2)
+      section.edges.forEach(edge => edges.add(edge));
+      section.stations.slice(1, -1).forEach(node => closeLine(node, line));
     });
-    
-    return {
-      path,
-      pathSegments, // Detailed segment-by-segment breakdown
-      distance: totalDistance,
-      transfers,
-      time: totalTime,
-      cost: totalCost
-    };
-  } catch (e) {
-    console.error('Shortest path computation failed:', e);
-    return { path: null, pathSegments: [], distance: UNREACHABLE, transfers: UNREACHABLE, time: UNREACHABLE, cost: UNREACHABLE };
   }
+  
+  const nodes = [];
+  const interchanges = [];
+  closedLinesAt.forEach((closed, node) => {
+    const openLines = stationLines(graph.getNodeAttributes(node)).filter(line => !closed.has(line));
+    if (openLines.length === 0) {
+      nodes.push(node);
+    } else {
+      interchanges.push({ node, openLines });
+    }
+  });
+  
+  return { nodes, edges: [...edges], interchanges };
+}
+
+/**
+ * Links a degradation applies to
+ * Region scope takes every link with an end node inside, area scope every link that
+ * enters the area; `modes` (if any) further limits the links to those modes, e.g. road
+ * modes for waterlogging
+ * @param {Graph} graph - Graph instance
+ * @param {Object} degradation - {scope: 'edge'|'layer'|'region'|'area', targets, modes}
+ * @returns {Array} - Edge keys
+ */
+function degradedLinks(graph, degradation) {
+  const { scope, targets = [], modes = [] } = degradation;
+  let links = [];
+  
+  if (scope === 'edge') {
+    links = targets.map(spec => resolveEdgeSpec(graph, spec)).filter(Boolean);
+  } else if (scope === 'layer') {
+    links = graph.filterEdges((edge, attrs) => targets.includes(attrs.mode));
+  } else if (scope === 'region') {
+    links = graph.filterEdges((edge, attrs, source, target, sourceAttrs, targetAttrs) =>
+      targets.includes(sourceAttrs.region) || targets.includes(targetAttrs.region));
+  } else if (scope === 'area') {
+    links = elementsInArea(graph, targets).edges;
+  }
+  
+  return modes.length > 0
+    ? links.filter(edge => modes.includes(graph.getEdgeAttribute(edge, 'mode')))
+    : links;
+}
+
+/**
+ * Scale the time, fare and capacity of links in place and re-weight them for the
+ * objective the graph was built for
+ * @param {Graph} graph - Graph to modify
+ * @param {Object} degradation - {scope, targets, modes, timeFactor, costFactor, capacityFactor}
+ * @returns {Number} - Links degraded
+ */
+function degradeLinks(graph, degradation) {
+  const { timeFactor, costFactor, capacityFactor } = { ...DEFAULT_DEGRADATION, ...degradation };
+  const objective = graph.getAttribute('objective') || 'time';
+  const weights = getGeneralizedWeights(graph);
+  const links = degradedLinks(graph, degradation);
+  
+  links.forEach(edge => {
+    graph.updateEdgeAttributes(edge, attrs => {
+      const degraded = {
+        ...attrs,
+        time: attrs.time * timeFactor,
+        cost: attrs.cost * costFactor,
+        fareFactor: (attrs.fareFactor ?? 1.0) * costFactor,
+        capacityFactor: (attrs.capacityFactor ?? 1.0) * capacityFactor,
+        degraded: true
+      };
+      return { ...degraded, weight: edgeWeight(objective, degraded, weights) };
+    });
+  });
+  
+  return links.length;
 }
 
 /**
  * Apply failure to graph
+ * 'degrade' keeps every element but slows, reprices or thins out links; its targets
+ * are degradations {scope: 'edge'|'layer'|'region'|'area', targets, modes,
+ * timeFactor, costFactor, capacityFactor} (see DEFAULT_DEGRADATION).
+ * 'area' targets are {area, action: 'remove'|'degrade', ...degradation factors}:
+ * every node inside and every link entering the area is removed, or the links degraded.
+ * 'region' removes every node of the regions (R1–R7); 'line' and 'section' close metro
+ * lines or sections [{line, from, to}] (see metroFailureElements).
  * @param {Graph} graph - Original graph
- * @param {String} failureType - 'node', 'edge', or 'layer'
- * @param {Array} failureTargets - Array of node IDs, edge IDs, or layer names
+ * @param {String} failureType - 'node', 'edge', 'layer', 'degrade', 'area', 'region', 'line' or 'section'
+ * @param {Array} failureTargets - Array of node IDs, edge IDs, layer names, degradations, areas, regions, lines or sections
  * @returns {Graph} - New graph with failures applied
  */
 export function applyFailure(graph, failureType, failureTargets = []) {
@@ -475,9 +1294,9 @@ export function applyFailure(graph, failureType, failureTargets = []) {
     });
   } else if (failureType === 'edge') {
     failureTargets.forEach(edgeSpec => {
-      const [from, to] = edgeSpec.split('_');
-      if (failedGraph.hasEdge(from, to)) {
-        failedGraph.dropEdge(from, to);
+      const edge = resolveEdgeSpec(failedGraph, edgeSpec);
+      if (edge) {
+        failedGraph.dropEdge(edge);
       }
     });
   } else if (failureType === 'layer') {
@@ -488,30 +1307,288 @@ export function applyFailure(graph, failureType, failureTargets = []) {
       }
     });
     nodesToRemove.forEach(node => failedGraph.dropNode(node));
+  } else if (failureType === 'degrade') {
+    const degraded = failureTargets.reduce((sum, degradation) => sum + degradeLinks(failedGraph, degradation), 0);
+    console.log(`🐢 DEGRADE: ${degraded} link(s) degraded`);
+  } else if (failureType === 'area') {
+    failureTargets.forEach(({ area, action = 'remove', ...factors }) => {
+      if (action === 'degrade') {
+        degradeLinks(failedGraph, { ...factors, scope: 'area', targets: [area] });
+        return;
+      }
+      const inside = elementsInArea(failedGraph, [area]);
+      inside.edges.forEach(edge => failedGraph.dropEdge(edge));
+      inside.nodes.forEach(node => failedGraph.dropNode(node));
+      console.log(`📍 AREA: removed ${inside.nodes.length} node(s) and ${inside.edges.length} link(s)`);
+    });
+  } else if (failureType === 'region') {
+    failedGraph
+      .filterNodes((node, attrs) => failureTargets.includes(attrs.region))
+      .forEach(node => failedGraph.dropNode(node));
+  } else if (failureType === 'line' || failureType === 'section') {
+    const closed = metroFailureElements(failedGraph, failureType, failureTargets);
+    closed.edges.forEach(edge => failedGraph.dropEdge(edge));
+    closed.nodes.forEach(node => failedGraph.dropNode(node));
+    console.log(`🚇 ${failureType.toUpperCase()}: closed ${closed.nodes.length} station(s) and ${closed.edges.length} link(s); ${closed.interchanges.length} interchange(s) kept open`);
   }
   
   return failedGraph;
 }
 
+/**
+ * Congested travel time of a link under the BPR function
+ * @param {Number} freeTime - Uncongested time in minutes
+ * @param {Number} volume - Passengers per hour on the link
+ * @param {Number} capacity - Passengers per hour the link can carry
+ * @param {Object} bpr - {alpha, beta}
+ * @returns {Number} - Congested time in minutes
+ */
+function bprTime(freeTime, volume, capacity, bpr) {
+  if (!Number.isFinite(capacity) || capacity <= 0) return freeTime;
+  return freeTime * (1 + bpr.alpha * Math.pow(volume / capacity, bpr.beta));
+}
+
+/**
+ * Load every OD pair's trips onto its current shortest-time path
+ * @param {Graph} graph - Graph instance
+ * @param {Map} sources - Source node ID -> array of {target, trips, index}
+ * @param {Function} edgeTime - (edgeKey) => current link time
+ * @returns {Object} - {volumes: Map edgeKey -> passengers, odTimes: {index: time}}
+ */
+function allOrNothing(graph, sources, edgeTime) {
+  const volumes = new Map();
+  const odTimes = {};
+  
+  sources.forEach((demands, source) => {
+    const dist = new Map([[source, 0]]);
+    const prevEdge = new Map();
+    const settled = new Set();
+    const queue = new MinHeap((a, b) => a.time - b.time);
+    queue.push({ node: source, time: 0 });
+    
+    while (queue.size > 0) {
+      const { node, time } = queue.pop();
+      if (settled.has(node)) continue;
+      settled.add(node);
+      
+      graph.forEachEdge(node, (edge, attrs, s, t) => {
+        const neighbor = s === node ? t : s;
+        if (settled.has(neighbor)) return;
+        const newTime = time + edgeTime(edge);
+        if (!dist.has(neighbor) || newTime < dist.get(neighbor)) {
+          dist.set(neighbor, newTime);
+          prevEdge.set(neighbor, { edge, from: node });
+          queue.push({ node: neighbor, time: newTime });
+        }
+      });
+    }
+    
+    demands.forEach(({ target, trips, index }) => {
+      if (!settled.has(target)) return;
+      odTimes[index] = dist.get(target);
+      for (let node = target; prevEdge.has(node); node = prevEdge.get(node).from) {
+        const { edge } = prevEdge.get(node);
+        volumes.set(edge, (volumes.get(edge) || 0) + trips);
+      }
+    });
+  });
+  
+  return { volumes, odTimes };
+}
+
+/**
+ * User-equilibrium traffic assignment (Frank–Wolfe with BPR link performance)
+ * Loads the OD demand onto the network, recomputes link times from volume /
+ * capacity and repeats until no rider can save time by switching route.
+ * Capacity is LINK_CAPACITY for the mode times the edge's capacityFactor;
+ * the graph is undirected, so a link's volume counts both directions.
+ * @param {Graph} graph - Graph instance
+ * @param {Array} odPairs - Array of {source, target, trips?} objects
+ * @param {Object} options - Optional {tripsPerPair: demand for pairs without trips, maxIterations, gapTolerance, bpr}
+ * @returns {Object} - {linkLoads, odTimes, iterations, relativeGap, converged, maxVC, overCapacityLinks}
+ */
+export function assignTraffic(graph, odPairs, options = {}) {
+  const {
+    tripsPerPair = 1000,      // Passengers per hour for OD pairs that carry no trips of their own
+    maxIterations = 30,
+    gapTolerance = 0.005,     // Stop when the relative gap falls below 0.5%
+    bpr = BPR_PARAMETERS
+  } = options;
+  
+  // Demand grouped by origin so each all-or-nothing pass runs one tree per source
+  const sources = new Map();
+  odPairs.forEach(({ source, target, trips }, index) => {
+    if (source === target || !graph.hasNode(source) || !graph.hasNode(target)) return;
+    if (!sources.has(source)) sources.set(source, []);
+    sources.get(source).push({ target, trips: trips ?? tripsPerPair, index });
+  });
+  
+  const links = new Map();
+  graph.forEachEdge((edge, attrs) => {
+    const mode = attrs.transportMode || attrs.mode;
+    const capacity = LINK_CAPACITY[mode] !== undefined
+      ? LINK_CAPACITY[mode] * (attrs.capacityFactor || 1.0)
+      : Infinity;
+    links.set(edge, { freeTime: attrs.time || 0, capacity });
+  });
+  
+  const linkTime = (edge, volume) => {
+    const { freeTime, capacity } = links.get(edge);
+    return bprTime(freeTime, volume, capacity, bpr);
+  };
+  
+  // Start from an all-or-nothing load on free-flow times
+  let flows = allOrNothing(graph, sources, edge => links.get(edge).freeTime).volumes;
+  let relativeGap = Infinity;
+  let iterations = 0;
+  
+  while (iterations < maxIterations) {
+    iterations++;
+    const current = flows;
+    const times = new Map();
+    links.forEach((link, edge) => times.set(edge, linkTime(edge, current.get(edge) || 0)));
+    
+    const target = allOrNothing(graph, sources, edge => times.get(edge));
+    
+    // Relative gap: share of total travel time riders could still save
+    let totalTime = 0;
+    let shortestTime = 0;
+    links.forEach((link, edge) => {
+      totalTime += (current.get(edge) || 0) * times.get(edge);
+      shortestTime += (target.volumes.get(edge) || 0) * times.get(edge);
+    });
+    relativeGap = totalTime > 0 ? (totalTime - shortestTime) / totalTime : 0;
+    if (relativeGap < gapTolerance) break;
+    
+    // Line search on the Beckmann objective: bisection on its derivative in lambda
+    const changed = new Set([...current.keys(), ...target.volumes.keys()]);
+    const derivative = lambda => {
+      let sum = 0;
+      changed.forEach(edge => {
+        const x = current.get(edge) || 0;
+        const d = (target.volumes.get(edge) || 0) - x;
+        sum += d * linkTime(edge, x + lambda * d);
+      });
+      return sum;
+    };
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 20; i++) {
+      const mid = (low + high) / 2;
+      if (derivative(mid) > 0) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    const lambda = (low + high) / 2;
+    
+    const next = new Map();
+    changed.forEach(edge => {
+      const x = current.get(edge) || 0;
+      const volume = x + lambda * ((target.volumes.get(edge) || 0) - x);
+      if (volume > 0) next.set(edge, volume);
+    });
+    flows = next;
+  }
+  
+  // Link loads keyed by the sorted node pair, as NetworkMap draws them
+  const linkLoads = {};
+  let maxVC = 0;
+  let overCapacityLinks = 0;
+  flows.forEach((volume, edge) => {
+    const { freeTime, capacity } = links.get(edge);
+    const vc = Number.isFinite(capacity) ? volume / capacity : 0;
+    maxVC = Math.max(maxVC, vc);
+    if (vc > 1) overCapacityLinks++;
+    linkLoads[graph.extremities(edge).sort().join('_')] = {
+      volume,
+      capacity,
+      vc,
+      freeTime,
+      time: linkTime(edge, volume)
+    };
+  });
+  
+  // Equilibrium OD times: shortest paths on the final congested link times
+  const { odTimes } = allOrNothing(graph, sources, edge => linkTime(edge, flows.get(edge) || 0));
+  
+  console.log(`🚦 TRAFFIC ASSIGNMENT: ${iterations} iteration(s), gap ${(relativeGap * 100).toFixed(2)}%, max V/C ${maxVC.toFixed(2)}`);
+  
+  return {
+    linkLoads,
+    odTimes,
+    iterations,
+    relativeGap,
+    converged: relativeGap < gapTolerance,
+    maxVC,
+    overCapacityLinks
+  };
+}
+
 /**
  * Compute baseline or scenario metrics for OD pairs
+ * Averages are trip-weighted when pairs carry `trips` (e.g. from the gravity model)
  * @param {Graph} graph - Graph instance
- * @param {Array} odPairs - Array of {source, target} objects
- * @param {String} objective - 'time', 'cost', or 'transfers'
+ * @param {Array} odPairs - Array of {source, target, trips?} objects
+ * @param {String} objective - 'time', 'cost', 'transfers', or 'generalized'
+ * @param {Object} options - Optional {alternatives: k for route redundancy, maxDetour: viable time ratio over best,
+ *   fareProfile: price (and, for cost objectives, route) journeys for this rider profile instead of the graph's,
+ *   congestion: true or assignTraffic options to add equilibrium (congested) travel times,
+ *   disconnection: penalty settings (see DEFAULT_DISCONNECTION_PENALTY) plus `baseline` metrics
+ *   for 'multiple' mode, accessibility loss and per-pair delay statistics}
  * @returns {Object} - Aggregated metrics and detailed results
  */
-export function computeMetrics(graph, odPairs, objective = 'time') {
+export function computeMetrics(graph, odPairs, objective = 'time', options = {}) {
   console.log(`🚀 COMPUTE METRICS CALLED for objective="${objective}" with ${odPairs.length} OD pairs`);
   
+  const { alternatives = 0, maxDetour = 0.5, fareProfile = null, congestion = null } = options;
+  const penalty = { ...DEFAULT_DISCONNECTION_PENALTY, ...(options.disconnection || {}) };
+  const gcWeights = getGeneralizedWeights(graph);
+  
+  // Baseline results by pair, for 'multiple' penalties
+  const baselineByPair = new Map();
+  if (penalty.baseline) {
+    penalty.baseline.results.forEach(r => baselineByPair.set(`${r.source}|${r.target}`, r));
+  }
+  if (fareProfile) {
+    graph = withFareProfile(graph, fareProfile);
+  }
+  
+  // Rerouted riders congest the links they move to, so scenario times include the load
+  const assignment = congestion
+    ? assignTraffic(graph, odPairs, congestion === true ? {} : congestion)
+    : null;
+  
+  // Averages are weighted by each pair's trips (1 when the pair carries none)
   const results = [];
   let totalTime = 0;
   let totalCost = 0;
+  let totalTokenCost = 0;
   let totalTransfers = 0;
+  let totalGeneralized = 0;
+  let totalCongestedTime = 0;
+  let totalAlternatives = 0;
+  let singleRoutePairs = 0;
   let disconnected = 0;
+  let disconnectedTrips = 0;
   let validPairs = 0;
+  let validTrips = 0;
+  let penaltyTime = 0;
+  let penaltyCost = 0;
+  let penaltyTransfers = 0;
+  let penaltyGeneralized = 0;
+  let totalAccessibility = 0;
   
-  odPairs.forEach(({ source, target, sourceName, targetName }, index) => {
+  odPairs.forEach(({ source, target, sourceName, targetName, trips }, index) => {
     const result = computeShortestPath(graph, source, target, objective);
+    const tripWeight = trips ?? 1;
+    
+    // Origin region for equity breakdowns (a failed origin node keeps its baseline region)
+    const before = baselineByPair.get(`${source}|${target}`);
+    const region = graph.hasNode(source)
+      ? graph.getNodeAttribute(source, 'region')
+      : before && before.region;
     
     // Log first OD pair for debugging
     if (index === 0) {
@@ -525,36 +1602,105 @@ export function computeMetrics(graph, odPairs, objective = 'time') {
     
     if (result.time === UNREACHABLE) {
       disconnected++;
+      disconnectedTrips += tripWeight;
+      
+      // Stranded riders still count, at the penalty values
+      const scaled = penalty.mode === 'multiple' && before && before.reachable;
+      const time = scaled ? penalty.multiple * before.time : penalty.timeCap;
+      const cost = scaled ? penalty.multiple * before.cost : penalty.costCap;
+      penaltyTime += time * tripWeight;
+      penaltyCost += cost * tripWeight;
+      penaltyTransfers += penalty.transferCap * tripWeight;
+      penaltyGeneralized += (time + cost / gcWeights.valueOfTime + penalty.transferCap * gcWeights.transferPenalty) * tripWeight;
       results.push({
         source,
         target,
         sourceName: sourceName || source,
         targetName: targetName || target,
+        trips,
+        region,
         ...result,
+        penalizedTime: time,
         reachable: false
       });
     } else {
-      totalTime += result.time;
-      totalCost += result.cost;
-      totalTransfers += result.transfers;
+      totalTime += result.time * tripWeight;
+      totalCost += result.cost * tripWeight;
+      totalTokenCost += result.tokenCost * tripWeight;
+      totalTransfers += result.transfers * tripWeight;
+      totalGeneralized += result.generalizedCost * tripWeight;
       validPairs++;
+      validTrips += tripWeight;
+      totalAccessibility += Math.exp(-penalty.accessibilityBeta * result.time) * tripWeight;
+      
+      // Equilibrium travel time under the assigned load (same as time for source === target)
+      let congestedTime;
+      if (assignment) {
+        congestedTime = assignment.odTimes[index] ?? result.time;
+        totalCongestedTime += congestedTime * tripWeight;
+      }
+      
+      // Route redundancy: alternatives within maxDetour of the best time are viable
+      let viableAlternatives;
+      if (alternatives > 0) {
+        viableAlternatives = computeKShortestPaths(graph, source, target, alternatives)
+          .filter(alt => alt.time <= result.time * (1 + maxDetour))
+          .length;
+        totalAlternatives += viableAlternatives * tripWeight;
+        if (viableAlternatives <= 1) {
+          singleRoutePairs++;
+        }
+      }
+      
       results.push({
         source,
         target,
         sourceName: sourceName || source,
         targetName: targetName || target,
+        trips,
+        region,
         ...result,
+        penalizedTime: result.time,
+        viableAlternatives,
+        congestedTime,
         reachable: true
       });
     }
   });
   
+  // Penalized averages and accessibility cover every trip (stranded ones at the
+  // penalty values / zero accessibility), so stranding long trips cannot lower them
+  const allTrips = validTrips + disconnectedTrips;
+  const penalized = total => (allTrips > 0 ? total / allTrips : 0);
+  const accessibility = penalized(totalAccessibility);
+  const baselineAccessibility = penalty.baseline ? penalty.baseline.accessibility : null;
+  const distribution = computeDistribution(results, penalty.baseline ? penalty.baseline.results : null);
+  
   const finalMetrics = {
-    avgTime: validPairs > 0 ? totalTime / validPairs : 0,
-    avgCost: validPairs > 0 ? totalCost / validPairs : 0,
-    avgTransfers: validPairs > 0 ? totalTransfers / validPairs : 0,
+    avgTime: validTrips > 0 ? totalTime / validTrips : 0,
+    avgCost: validTrips > 0 ? totalCost / validTrips : 0,
+    avgTokenCost: validTrips > 0 ? totalTokenCost / validTrips : 0,
+    fareProfile: graph.getAttribute('fareProfile'),
+    avgTransfers: validTrips > 0 ? totalTransfers / validTrips : 0,
+    avgGeneralized: validTrips > 0 ? totalGeneralized / validTrips : 0,
+    avgAlternatives: alternatives > 0 && validTrips > 0 ? totalAlternatives / validTrips : null,
+    singleRoutePairs: alternatives > 0 ? singleRoutePairs : null,
+    avgCongestedTime: assignment && validTrips > 0 ? totalCongestedTime / validTrips : null,
+    avgPenalizedTime: penalized(totalTime + penaltyTime),
+    avgPenalizedCost: penalized(totalCost + penaltyCost),
+    avgPenalizedTransfers: penalized(totalTransfers + penaltyTransfers),
+    avgPenalizedGeneralized: penalized(totalGeneralized + penaltyGeneralized),
+    accessibility,
+    accessibilityLoss: baselineAccessibility ? 1 - accessibility / baselineAccessibility : null,
+    timePercentiles: distribution.timePercentiles,
+    delay: distribution.delay,
+    regions: distribution.regions,
+    disconnectionPenalty: { mode: penalty.mode, timeCap: penalty.timeCap, costCap: penalty.costCap, multiple: penalty.multiple },
+    assignment,
     disconnected,
+    disconnectedTrips,
     totalPairs: odPairs.length,
+    totalTrips: allTrips,
     validPairs,
     results
   };
@@ -563,12 +1709,27 @@ export function computeMetrics(graph, odPairs, objective = 'time') {
     avgTime: finalMetrics.avgTime.toFixed(2),
     avgCost: finalMetrics.avgCost.toFixed(2),
     avgTransfers: finalMetrics.avgTransfers.toFixed(2),
+    avgGeneralized: finalMetrics.avgGeneralized.toFixed(2),
     validPairs
   });
   
   return finalMetrics;
 }
 
+/**
+ * Pick the aggregate metric an objective optimizes
+ * Uses the penalized averages, so reconnecting stranded pairs counts as an improvement
+ * @param {Object} metrics - Result of computeMetrics
+ * @param {String} objective - 'time', 'cost', 'transfers', or 'generalized'
+ * @returns {Number} - Penalized average value for that objective
+ */
+export function objectiveValue(metrics, objective) {
+  if (objective === 'cost') return metrics.avgPenalizedCost;
+  if (objective === 'transfers') return metrics.avgPenalizedTransfers;
+  if (objective === 'generalized') return metrics.avgPenalizedGeneralized;
+  return metrics.avgPenalizedTime;
+}
+
 /**
  * Calculate Euclidean distance between two points
  */
@@ -655,10 +1816,11 @@ export function generateCandidates(nodes, originalGraph, failedGraph, scenarioRe
     });
   });
   
-  // 3. Top OD-driven pairs (based on worst degradation)
+  // 3. Top OD-driven pairs (most passenger-minutes: travel time × trips, 1 trip when unweighted)
+  const passengerMinutes = r => r.time * (r.trips ?? 1);
   const topAffected = scenarioResults
     .filter(r => r.reachable)
-    .sort((a, b) => (b.time - a.time) - (a.time - 0))
+    .sort((a, b) => passengerMinutes(b) - passengerMinutes(a))
     .slice(0, 5);
   
   topAffected.forEach(od => {
@@ -697,16 +1859,89 @@ export function generateCandidates(nodes, originalGraph, failedGraph, scenarioRe
     .slice(0, 30);
 }
 
+const DEFAULT_TIME_OF_DAY = {
+  timeMultiplier: 1.0,
+  costMultiplier: 1.0,
+  capacityFactor: 1.0,
+  label: 'Standard'
+};
+
+/**
+ * Service a candidate link would run, by type, with time-of-day coefficients applied
+ * @param {Object} candidate - From generateCandidates ({type, distance})
+ * @param {Object} coefficients - Time of day coefficients ({timeMultiplier, costMultiplier})
+ * @param {String} fareProfile - Fare profile for the bus fare share
+ * @returns {Object} - {time, cost, transportMode}
+ */
+function candidateLinkService(candidate, coefficients, fareProfile) {
+  if (candidate.type === 'hub_neighbor' || candidate.type === 'express_hub') {
+    // Express bus link
+    const expressSpeed = 35; // km/h
+    const baseTime = (candidate.distance / expressSpeed) * 60; // minutes
+    const baseCost = marginalFare('bus', candidate.distance, false, 1.0, fareProfile); // Per-km share of TSRTC fare
+    return { time: baseTime * coefficients.timeMultiplier, cost: baseCost * coefficients.costMultiplier, transportMode: 'bus' };
+  }
+  if (candidate.type === 'cross_rail') {
+    // Walk/transfer link
+    const walkSpeed = 5; // km/h
+    const baseTime = (candidate.distance / walkSpeed) * 60; // minutes
+    return { time: baseTime * coefficients.timeMultiplier, cost: 0, transportMode: 'walking' }; // Walking is free
+  }
+  // Default bus link
+  const baseTime = (candidate.distance / 25) * 60; // 25 km/h
+  const baseCost = marginalFare('bus', candidate.distance, false, 1.0, fareProfile);
+  return { time: baseTime * coefficients.timeMultiplier, cost: baseCost * coefficients.costMultiplier, transportMode: 'bus' };
+}
+
+/**
+ * Copy of a network with candidate links added, priced as greedyRecommendation adds them
+ * @param {Graph} graph - Network to extend (usually the failed graph)
+ * @param {Array} links - Candidates from generateCandidates
+ * @param {String} objective - 'time', 'cost', 'transfers', or 'generalized' (edge weights)
+ * @param {Object} timeOfDayCoefficients - Time of day coefficients for new edges
+ * @returns {Graph} - Extended copy
+ */
+export function withCandidateLinks(graph, links, objective = 'time', timeOfDayCoefficients = null) {
+  const result = graph.copy();
+  const coefficients = timeOfDayCoefficients || DEFAULT_TIME_OF_DAY;
+  const fares = getFareContext(result);
+  const weights = getGeneralizedWeights(result);
+  links.forEach(link => {
+    // A link to a failed node carries nothing in this network
+    if (!result.hasNode(link.from) || !result.hasNode(link.to) || result.hasEdge(link.from, link.to)) return;
+    const { time, cost, transportMode } = candidateLinkService(link, coefficients, fares.profile);
+    const attrs = { mode: transportMode, transportMode, time, cost, distance: link.distance };
+    result.addEdge(link.from, link.to, {
+      ...attrs,
+      weight: objective === 'cost' ? cost : objective === 'generalized' ? edgeGeneralizedCost(attrs, weights) : time,
+      edge_type: 'inter',
+      intra_or_inter: 'inter',
+      reason: 'recommended_' + link.type
+    });
+  });
+  return result;
+}
+
 /**
  * Greedy link recommendation algorithm
+ * Every pick is scored by its marginal gain over the links already chosen. With a
+ * link-count budget each iteration adds the candidate with the largest gain.
+ * With a ₹ budget ({amount, unitCosts}) only candidates that still fit are evaluated and
+ * the one with the largest gain per ₹ is added (knapsack greedy by benefit/cost).
  * @param {Graph} failedGraph - Graph after failure
  * @param {Array} candidates - Candidate links
  * @param {Array} odPairs - OD pairs for evaluation
- * @param {Number} budget - Maximum number of links to add
- * @param {String} objective - 'time', 'cost', or 'transfers'
- * @param {Function} progressCallback - Called with progress updates
+ * @param {Number|Object} budget - Maximum number of links to add, or {amount, unitCosts} in ₹: amount is the
+ *   construction budget and unitCosts overrides LINK_UNIT_COSTS (₹ per km by link kind)
+ * @param {String} objective - 'time', 'cost', 'transfers', or 'generalized'
+ * @param {Function} progressCallback - Called with {iteration, candidateIndex, totalCandidates, budget}
  * @param {Object} timeOfDayCoefficients - Time of day coefficients for new edges
- * @returns {Array} - Selected links with improvements
+ * @param {Object} metricsOptions - Optional computeMetrics options (e.g. {disconnection}) for every evaluation
+ * @returns {Object} - {selectedLinks, totalCost, budget, finalGraph, finalMetrics}: selectedLinks in pick order,
+ *   each {...candidate, time, cost, transportMode, constructionCost, improvement, metrics}, where improvement is
+ *   the marginal gain of that link over the links picked before it (they sum to the total improvement);
+ *   totalCost in ₹; budget as {mode: 'links'|'cost', amount, unitCosts?}; the network with all picked links
+ *   and its metrics
  */
 export function greedyRecommendation(
   failedGraph,
@@ -715,77 +1950,94 @@ export function greedyRecommendation(
   budget,
   objective = 'time',
   progressCallback = null,
-  timeOfDayCoefficients = null
+  timeOfDayCoefficients = null,
+  metricsOptions = {}
+) {
+  const steps = greedyRecommendationSteps(failedGraph, candidates, odPairs, budget, objective, timeOfDayCoefficients, metricsOptions);
+  let step = steps.next();
+  while (!step.done) {
+    if (progressCallback) progressCallback(step.value);
+    step = steps.next();
+  }
+  return step.value;
+}
+
+/**
+ * greedyRecommendation one candidate evaluation at a time, so async callers can yield
+ * to the browser between evaluations
+ * @param {Graph} failedGraph - Graph after failure
+ * @param {Array} candidates - Candidate links
+ * @param {Array} odPairs - OD pairs for evaluation
+ * @param {Number|Object} budget - As greedyRecommendation
+ * @param {String} objective - 'time', 'cost', 'transfers', or 'generalized'
+ * @param {Object} timeOfDayCoefficients - Time of day coefficients for new edges
+ * @param {Object} metricsOptions - Optional computeMetrics options for every evaluation
+ * @returns {Generator} - Yields {iteration, candidateIndex, totalCandidates, budget} before each evaluation
+ *   and returns the greedyRecommendation result
+ */
+export function* greedyRecommendationSteps(
+  failedGraph,
+  candidates,
+  odPairs,
+  budget,
+  objective = 'time',
+  timeOfDayCoefficients = null,
+  metricsOptions = {}
 ) {
   const selectedLinks = [];
   const workingGraph = failedGraph.copy();
+  const costBudget = typeof budget === 'object' && budget !== null;
+  const unitCosts = costBudget ? { ...LINK_UNIT_COSTS, ...budget.unitCosts } : LINK_UNIT_COSTS;
+  const maxIterations = costBudget ? candidates.length : budget;
+  let remainingBudget = costBudget ? budget.amount : Infinity;
   
   // Default coefficients if not provided
-  const coefficients = timeOfDayCoefficients || {
-    timeMultiplier: 1.0,
-    costMultiplier: 1.0,
-    capacityFactor: 1.0,
-    label: 'Standard'
-  };
+  const coefficients = timeOfDayCoefficients || DEFAULT_TIME_OF_DAY;
   
-  // Calculate baseline metrics on failed graph
-  const baselineMetrics = computeMetrics(workingGraph, odPairs, objective);
-  const baselineValue = objective === 'time' ? baselineMetrics.avgTime :
-                       objective === 'cost' ? baselineMetrics.avgCost :
-                       baselineMetrics.avgTransfers;
+  // Edge weight for a new link under the active objective
+  const gcWeights = getGeneralizedWeights(workingGraph);
+  const fares = getFareContext(workingGraph);
+  const candidateWeight = (attrs) =>
+    objective === 'cost' ? attrs.cost :
+    objective === 'generalized' ? edgeGeneralizedCost(attrs, gcWeights) :
+    attrs.time;
   
-  let remainingCandidates = [...candidates];
+  // Calculate baseline metrics on failed graph; the reference moves to each chosen
+  // link's value so every pick is scored by its marginal gain
+  const baselineMetrics = computeMetrics(workingGraph, odPairs, objective, metricsOptions);
+  let currentValue = objectiveValue(baselineMetrics, objective);
   
-  for (let iteration = 0; iteration < budget && remainingCandidates.length > 0; iteration++) {
+  let remainingCandidates = candidates.map(c => ({ ...c, constructionCost: linkConstructionCost(c, unitCosts) }));
+  
+  for (let iteration = 0; iteration < maxIterations && remainingCandidates.length > 0; iteration++) {
     let bestCandidate = null;
     let bestImprovement = 0;
+    let bestScore = 0;
     let bestMetrics = null;
+    let bestValue = null;
+    
+    // Only links that still fit the ₹ budget (all of them with a link-count budget)
+    const affordable = remainingBudget;
+    remainingCandidates = remainingCandidates.filter(c => c.constructionCost <= affordable);
     
     // Evaluate each remaining candidate
     for (let i = 0; i < remainingCandidates.length; i++) {
       const candidate = remainingCandidates[i];
       
-      if (progressCallback) {
-        progressCallback({
-          iteration,
-          candidateIndex: i,
-          totalCandidates: remainingCandidates.length,
-          budget
-        });
-      }
+      yield {
+        iteration,
+        candidateIndex: i,
+        totalCandidates: remainingCandidates.length,
+        budget: costBudget ? null : budget
+      };
       
       // Temporarily add candidate edge
       const testGraph = workingGraph.copy();
-      
-      // Calculate edge properties based on type and apply time-of-day coefficients
-      let time, cost, transportMode;
-      if (candidate.type === 'hub_neighbor' || candidate.type === 'express_hub') {
-        // Express bus link
-        const expressSpeed = 35; // km/h
-        const baseTime = (candidate.distance / expressSpeed) * 60; // minutes
-        const baseCost = candidate.distance * 3; // ₹3 per km
-        time = baseTime * coefficients.timeMultiplier;
-        cost = baseCost * coefficients.costMultiplier;
-        transportMode = 'bus';
-      } else if (candidate.type === 'cross_rail') {
-        // Walk/transfer link
-        const walkSpeed = 5; // km/h
-        const baseTime = (candidate.distance / walkSpeed) * 60; // minutes
-        time = baseTime * coefficients.timeMultiplier;
-        cost = 0; // Walking is free
-        transportMode = 'walking';
-      } else {
-        // Default bus link
-        const baseTime = (candidate.distance / 25) * 60; // 25 km/h
-        const baseCost = candidate.distance * 2.5;
-        time = baseTime * coefficients.timeMultiplier;
-        cost = baseCost * coefficients.costMultiplier;
-        transportMode = 'bus';
-      }
+      const { time, cost, transportMode } = candidateLinkService(candidate, coefficients, fares.profile);
       
       try {
         testGraph.addEdge(candidate.from, candidate.to, {
-          weight: objective === 'time' ? time : objective === 'cost' ? cost : time * 0.001,
+          weight: candidateWeight({ mode: transportMode, time, cost }),
           mode: transportMode,
           transportMode: transportMode,
           time,
@@ -797,24 +2049,27 @@ export function greedyRecommendation(
         });
         
         // Compute metrics with this candidate
-        const testMetrics = computeMetrics(testGraph, odPairs, objective);
-        const testValue = objective === 'time' ? testMetrics.avgTime :
-                         objective === 'cost' ? testMetrics.avgCost :
-                         testMetrics.avgTransfers;
+        const testMetrics = computeMetrics(testGraph, odPairs, objective, metricsOptions);
+        const testValue = objectiveValue(testMetrics, objective);
         
-        const improvement = baselineValue - testValue;
+        const improvement = currentValue - testValue;
+        const score = costBudget
+          ? improvement / Math.max(candidate.constructionCost, 1)
+          : improvement;
         
-        if (improvement > bestImprovement) {
+        if (improvement > 0 && score > bestScore) {
           bestImprovement = improvement;
+          bestScore = score;
           bestCandidate = { ...candidate, time, cost, transportMode };
           bestMetrics = testMetrics;
+          bestValue = testValue;
         }
       } catch (e) {
         console.warn('Failed to evaluate candidate:', e);
       }
     }
     
-    // If no improvement found, stop
+    // If no candidate has a positive marginal gain, stop
     if (bestImprovement <= 0 || !bestCandidate) {
       break;
     }
@@ -822,9 +2077,7 @@ export function greedyRecommendation(
     // Add best candidate permanently
     try {
       workingGraph.addEdge(bestCandidate.from, bestCandidate.to, {
-        weight: objective === 'time' ? bestCandidate.time : 
-                objective === 'cost' ? bestCandidate.cost : 
-                bestCandidate.time * 0.001,
+        weight: candidateWeight({ mode: bestCandidate.transportMode, time: bestCandidate.time, cost: bestCandidate.cost }),
         mode: bestCandidate.transportMode,
         transportMode: bestCandidate.transportMode,
         time: bestCandidate.time,
@@ -840,6 +2093,8 @@ export function greedyRecommendation(
         improvement: bestImprovement,
         metrics: bestMetrics
       });
+      remainingBudget -= bestCandidate.constructionCost;
+      currentValue = bestValue;
       
       // Remove from remaining candidates
       remainingCandidates = remainingCandidates.filter(c => 
@@ -850,31 +2105,48 @@ export function greedyRecommendation(
     }
   }
   
+  const totalCost = selectedLinks.reduce((sum, link) => sum + link.constructionCost, 0);
+  if (costBudget) {
+    console.log(`🏗️ COST BUDGET: ${selectedLinks.length} link(s) for ₹${(totalCost / 1e7).toFixed(2)} cr of ₹${(budget.amount / 1e7).toFixed(2)} cr`);
+  }
+  
   return {
     selectedLinks,
+    totalCost,
+    budget: costBudget ? { mode: 'cost', amount: budget.amount, unitCosts } : { mode: 'links', amount: budget },
     finalGraph: workingGraph,
-    finalMetrics: computeMetrics(workingGraph, odPairs, objective)
+    finalMetrics: computeMetrics(workingGraph, odPairs, objective, metricsOptions)
   };
 }
 
+/**
+ * Stations, hubs and named metro nodes that OD pairs start and end at
+ * @param {Array} nodes - Array of node objects
+ * @returns {Array} - Major nodes
+ */
+export function selectMajorNodes(nodes) {
+  return nodes.filter(n => 
+    n.type === 'station' || n.type === 'hub' || 
+    (n.layer === 'metro' && n.name)
+  );
+}
+
 /**
  * Generate default OD sample from nodes
  * @param {Array} nodes - All nodes
  * @param {Number} sampleSize - Number of OD pairs to generate
+ * @param {Function} random - Random generator returning [0, 1) (seeded for reproducible samples)
  * @returns {Array} - Array of {source, target, sourceName, targetName} objects
  */
-export function generateODSample(nodes, sampleSize = 40) {
-  const majorNodes = nodes.filter(n => 
-    n.type === 'station' || n.type === 'hub' || 
-    (n.layer === 'metro' && n.name)
-  );
+export function generateODSample(nodes, sampleSize = 40, random = Math.random) {
+  const majorNodes = selectMajorNodes(nodes);
   
   const odPairs = [];
   const usedPairs = new Set();
   
   while (odPairs.length < sampleSize && odPairs.length < (majorNodes.length * (majorNodes.length - 1) / 2)) {
-    const i = Math.floor(Math.random() * majorNodes.length);
-    const j = Math.floor(Math.random() * majorNodes.length);
+    const i = Math.floor(random() * majorNodes.length);
+    const j = Math.floor(random() * majorNodes.length);
     
     if (i !== j) {
       const key = `${majorNodes[i].node_id}_${majorNodes[j].node_id}`;
@@ -894,3 +2166,376 @@ export function generateODSample(nodes, sampleSize = 40) {
   
   return odPairs;
 }
+
+// Weights of the criticality score (each term is scaled to [0, 1] first)
+export const CRITICALITY_WEIGHTS = {
+  betweenness: 0.5,
+  closeness: 0.15,
+  degree: 0.1,
+  articulation: 0.25
+};
+
+/**
+ * Index the graph as adjacency arrays, for the structural metrics below
+ * @param {Graph} graph - Graph instance
+ * @param {String|null} weight - Edge attribute used as length, or null for hop counts
+ * @returns {Object} - {ids, adjacency: [[{to, edge, length}]]}
+ */
+function indexGraph(graph, weight) {
+  const ids = graph.nodes();
+  const indexOf = new Map(ids.map((id, i) => [id, i]));
+  const adjacency = ids.map(() => []);
+  
+  graph.forEachEdge((edge, attrs, s, t) => {
+    if (s === t) return;
+    // A zero length would break the path counting, so every link costs a little
+    const length = weight ? Math.max(attrs[weight] || 0, 1e-6) : 1;
+    adjacency[indexOf.get(s)].push({ to: indexOf.get(t), edge, length });
+    adjacency[indexOf.get(t)].push({ to: indexOf.get(s), edge, length });
+  });
+  
+  return { ids, adjacency };
+}
+
+/**
+ * Betweenness (node and edge) and closeness centrality, Brandes' algorithm
+ * One Dijkstra per node, so O(V × E log V): about a second on the full network
+ * @param {Graph} graph - Graph from buildGraph
+ * @param {Object} options - Optional {weight: edge length attribute (default 'time'), null for hop counts,
+ *   normalized: false for raw betweenness (shortest paths through each element, as loads)}
+ * @returns {Object} - {betweenness: {node: value}, edgeBetweenness: {edge: value},
+ *   closeness: {node: value}, harmonic: {node: value}}; all normalized to [0, 1] by default
+ */
+export function computeCentrality(graph, options = {}) {
+  const { weight = 'time', normalized = true } = options;
+  const { ids, adjacency } = indexGraph(graph, weight);
+  const n = ids.length;
+  const nodeScore = new Float64Array(n);
+  const edgeScore = new Map();
+  const closeness = new Float64Array(n);
+  const harmonic = new Float64Array(n);
+  const tolerance = 1e-9;
+  
+  for (let s = 0; s < n; s++) {
+    const dist = new Float64Array(n).fill(Infinity);
+    const sigma = new Float64Array(n);
+    const delta = new Float64Array(n);
+    const preds = Array.from({ length: n }, () => []);
+    const settled = new Uint8Array(n);
+    const order = [];
+    const queue = new MinHeap((a, b) => a.dist - b.dist);
+    
+    dist[s] = 0;
+    sigma[s] = 1;
+    queue.push({ node: s, dist: 0 });
+    
+    while (queue.size > 0) {
+      const { node: v, dist: d } = queue.pop();
+      if (settled[v] || d > dist[v]) continue;
+      settled[v] = 1;
+      order.push(v);
+      
+      adjacency[v].forEach(({ to: w, edge, length }) => {
+        if (settled[w]) return;
+        const candidate = d + length;
+        if (candidate < dist[w] - tolerance) {
+          dist[w] = candidate;
+          sigma[w] = sigma[v];
+          preds[w] = [{ node: v, edge }];
+          queue.push({ node: w, dist: candidate });
+        } else if (Math.abs(candidate - dist[w]) <= tolerance) {
+          sigma[w] += sigma[v];
+          preds[w].push({ node: v, edge });
+        }
+      });
+    }
+    
+    // Closeness within the reachable set, scaled by its share of the network (Wasserman–Faust)
+    let total = 0;
+    for (let i = 1; i < order.length; i++) {
+      total += dist[order[i]];
+      harmonic[s] += 1 / dist[order[i]];
+    }
+    const reached = order.length - 1;
+    closeness[s] = total > 0 && n > 1 ? (reached / total) * (reached / (n - 1)) : 0;
+    
+    // Accumulate dependencies back from the farthest node
+    for (let i = order.length - 1; i > 0; i--) {
+      const w = order[i];
+      preds[w].forEach(({ node: v, edge }) => {
+        const share = (sigma[v] / sigma[w]) * (1 + delta[w]);
+        edgeScore.set(edge, (edgeScore.get(edge) || 0) + share);
+        delta[v] += share;
+      });
+      nodeScore[w] += delta[w];
+    }
+  }
+  
+  // Each undirected path was counted from both ends
+  const nodeNorm = !normalized ? 2 : n > 2 ? (n - 1) * (n - 2) : 1;
+  const edgeNorm = !normalized ? 2 : n > 1 ? n * (n - 1) : 1;
+  const betweenness = {};
+  const closenessById = {};
+  const harmonicById = {};
+  ids.forEach((id, i) => {
+    betweenness[id] = nodeScore[i] / nodeNorm;
+    closenessById[id] = closeness[i];
+    harmonicById[id] = n > 1 ? harmonic[i] / (n - 1) : 0;
+  });
+  const edgeBetweenness = {};
+  graph.forEachEdge(edge => {
+    edgeBetweenness[edge] = (edgeScore.get(edge) || 0) / edgeNorm;
+  });
+  
+  return { betweenness, edgeBetweenness, closeness: closenessById, harmonic: harmonicById };
+}
+
+/**
+ * Degree of every node and the degree distribution P(k)
+ * @param {Graph} graph - Graph instance
+ * @returns {Object} - {degree: {node: k}, distribution: [{degree, count, fraction}], mean, max}
+ */
+export function computeDegreeDistribution(graph) {
+  const degree = {};
+  const counts = new Map();
+  graph.forEachNode(node => {
+    const k = graph.degree(node);
+    degree[node] = k;
+    counts.set(k, (counts.get(k) || 0) + 1);
+  });
+  
+  const n = graph.order;
+  const distribution = [...counts.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([k, count]) => ({ degree: k, count, fraction: n > 0 ? count / n : 0 }));
+  
+  return {
+    degree,
+    distribution,
+    mean: n > 0 ? (2 * graph.size) / n : 0,
+    max: distribution.length > 0 ? distribution[distribution.length - 1].degree : 0
+  };
+}
+
+/**
+ * Articulation points and bridges (iterative Tarjan, so deep networks cannot overflow the stack)
+ * For each articulation point, `cutOff` counts the nodes that lose the larger part of
+ * their component when it fails
+ * @param {Graph} graph - Graph instance
+ * @returns {Object} - {articulationPoints: [{node, cutOff}], bridges: [{edge, source, target, cutOff}]}
+ */
+export function findArticulationPointsAndBridges(graph) {
+  const { ids, adjacency } = indexGraph(graph, null);
+  const n = ids.length;
+  const disc = new Int32Array(n).fill(-1);
+  const low = new Int32Array(n);
+  const size = new Int32Array(n);
+  const componentSize = new Int32Array(n);
+  const separated = Array.from({ length: n }, () => []);
+  const isRoot = new Uint8Array(n);
+  const bridges = [];
+  let time = 0;
+  
+  for (let root = 0; root < n; root++) {
+    if (disc[root] !== -1) continue;
+    
+    const members = [];
+    isRoot[root] = 1;
+    const stack = [{ node: root, parentEdge: null, next: 0 }];
+    disc[root] = low[root] = time++;
+    size[root] = 1;
+    members.push(root);
+    
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const v = frame.node;
+      
+      if (frame.next < adjacency[v].length) {
+        const { to: w, edge } = adjacency[v][frame.next++];
+        if (edge === frame.parentEdge) continue;
+        if (disc[w] === -1) {
+          disc[w] = low[w] = time++;
+          size[w] = 1;
+          members.push(w);
+          stack.push({ node: w, parentEdge: edge, next: 0 });
+        } else {
+          low[v] = Math.min(low[v], disc[w]);
+        }
+        continue;
+      }
+      
+      // Subtree of v finished: report it to the parent
+      stack.pop();
+      if (stack.length === 0) continue;
+      const u = stack[stack.length - 1].node;
+      low[u] = Math.min(low[u], low[v]);
+      size[u] += size[v];
+      if (low[v] >= disc[u]) {
+        separated[u].push(size[v]);
+      }
+      if (low[v] > disc[u]) {
+        bridges.push({ edge: frame.parentEdge, parent: u, child: v });
+      }
+    }
+    
+    members.forEach(m => { componentSize[m] = members.length; });
+  }
+  
+  const articulationPoints = [];
+  for (let v = 0; v < n; v++) {
+    // Every child of a DFS root looks separated, so a root needs two children to be a cut vertex
+    const pieces = separated[v];
+    if (pieces.length < (isRoot[v] ? 2 : 1)) continue;
+    
+    // Pieces left behind: each separated subtree, plus the rest of the component
+    const rest = componentSize[v] - 1 - pieces.reduce((sum, p) => sum + p, 0);
+    const largest = Math.max(rest, ...pieces);
+    articulationPoints.push({ node: ids[v], cutOff: componentSize[v] - 1 - largest });
+  }
+  
+  return {
+    articulationPoints: articulationPoints.sort((a, b) => b.cutOff - a.cutOff),
+    // A bridge failure cuts off the smaller side
+    bridges: bridges
+      .map(({ edge, parent, child }) => ({
+        edge,
+        source: ids[parent],
+        target: ids[child],
+        cutOff: Math.min(size[child], componentSize[child] - size[child])
+      }))
+      .sort((a, b) => b.cutOff - a.cutOff)
+  };
+}
+
+/**
+ * k-core decomposition (Batagelj–Zaversnik peeling)
+ * A node's core number is the largest k such that it belongs to a subgraph where every node has degree >= k
+ * @param {Graph} graph - Graph instance
+ * @returns {Object} - {coreNumber: {node: k}, maxCore, shells: [{k, count}]}
+ */
+export function computeKCore(graph) {
+  const degree = new Map();
+  graph.forEachNode(node => degree.set(node, graph.neighbors(node).length));
+  
+  // Bucket nodes by current degree and always peel from the lowest bucket
+  const buckets = [];
+  degree.forEach((k, node) => {
+    (buckets[k] = buckets[k] || new Set()).add(node);
+  });
+  
+  const coreNumber = {};
+  let k = 0;
+  for (let removed = 0; removed < graph.order; removed++) {
+    let bucket = 0;
+    while (!buckets[bucket] || buckets[bucket].size === 0) bucket++;
+    const node = buckets[bucket].values().next().value;
+    buckets[bucket].delete(node);
+    k = Math.max(k, bucket);
+    coreNumber[node] = k;
+    
+    graph.forEachNeighbor(node, neighbor => {
+      if (coreNumber[neighbor] !== undefined) return;
+      const d = degree.get(neighbor);
+      if (d > bucket) {
+        buckets[d].delete(neighbor);
+        degree.set(neighbor, d - 1);
+        (buckets[d - 1] = buckets[d - 1] || new Set()).add(neighbor);
+      }
+    });
+  }
+  
+  const shellCounts = new Map();
+  Object.values(coreNumber).forEach(c => shellCounts.set(c, (shellCounts.get(c) || 0) + 1));
+  
+  return {
+    coreNumber,
+    maxCore: k,
+    shells: [...shellCounts.entries()].sort((a, b) => a[0] - b[0]).map(([shell, count]) => ({ k: shell, count }))
+  };
+}
+
+/**
+ * Structural analysis of the network and a criticality ranking of its stations and hubs
+ * Score = weighted sum (CRITICALITY_WEIGHTS) of betweenness, closeness and degree, each
+ * scaled by its maximum, plus a bonus for articulation points scaled by the nodes they cut off
+ * @param {Graph} graph - Graph from buildGraph
+ * @param {Object} options - Optional {weight: edge length for betweenness/closeness (default 'time'),
+ *   weights: override CRITICALITY_WEIGHTS}
+ * @returns {Object} - {ranking, degree, articulationPoints, bridges, kCore, edgeBetweenness, summary}
+ */
+export function analyzeNetworkStructure(graph, options = {}) {
+  const startTime = Date.now();
+  const weights = { ...CRITICALITY_WEIGHTS, ...(options.weights || {}) };
+  
+  const centrality = computeCentrality(graph, { weight: options.weight === undefined ? 'time' : options.weight });
+  const degree = computeDegreeDistribution(graph);
+  const { articulationPoints, bridges } = findArticulationPointsAndBridges(graph);
+  const kCore = computeKCore(graph);
+  
+  const cutOffByNode = new Map(articulationPoints.map(ap => [ap.node, ap.cutOff]));
+  const candidates = selectMajorNodes(graph.mapNodes((node, attrs) => ({ ...attrs, node_id: node })));
+  const maxOf = values => Math.max(...values, 0) || 1;
+  const maxBetweenness = maxOf(candidates.map(n => centrality.betweenness[n.node_id]));
+  const maxCloseness = maxOf(candidates.map(n => centrality.closeness[n.node_id]));
+  const maxDegree = maxOf(candidates.map(n => degree.degree[n.node_id]));
+  const maxCutOff = maxOf(candidates.map(n => cutOffByNode.get(n.node_id) || 0));
+  
+  const ranking = candidates
+    .map(n => {
+      const id = n.node_id;
+      const isArticulation = cutOffByNode.has(id);
+      const score =
+        weights.betweenness * centrality.betweenness[id] / maxBetweenness +
+        weights.closeness * centrality.closeness[id] / maxCloseness +
+        weights.degree * degree.degree[id] / maxDegree +
+        (isArticulation ? weights.articulation * (0.5 + 0.5 * cutOffByNode.get(id) / maxCutOff) : 0);
+      return {
+        node: id,
+        name: n.name || id,
+        layer: n.layer,
+        type: n.type,
+        region: n.region,
+        score,
+        betweenness: centrality.betweenness[id],
+        closeness: centrality.closeness[id],
+        harmonic: centrality.harmonic[id],
+        degree: degree.degree[id],
+        coreNumber: kCore.coreNumber[id],
+        articulation: isArticulation,
+        cutOff: cutOffByNode.get(id) || 0
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+  
+  const topEdges = Object.entries(centrality.edgeBetweenness)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 20)
+    .map(([edge, value]) => ({
+      edge,
+      source: graph.source(edge),
+      target: graph.target(edge),
+      mode: graph.getEdgeAttribute(edge, 'mode'),
+      betweenness: value
+    }));
+  
+  console.log(`🕸️ NETWORK STRUCTURE: ${graph.order} nodes, ${graph.size} links, ${articulationPoints.length} articulation points, ${bridges.length} bridges, max core ${kCore.maxCore} (${Date.now() - startTime} ms)`);
+  
+  return {
+    ranking,
+    degree,
+    articulationPoints,
+    bridges,
+    kCore,
+    edgeBetweenness: topEdges,
+    summary: {
+      nodes: graph.order,
+      links: graph.size,
+      meanDegree: degree.mean,
+      maxDegree: degree.max,
+      articulationPoints: articulationPoints.length,
+      bridges: bridges.length,
+      maxCore: kCore.maxCore,
+      runtimeMs: Date.now() - startTime
+    }
+  };
+}
@@ -0,0 +1,195 @@
+import Graph from 'graphology';
+import {
+  buildGraph,
+  greedyRecommendation,
+  computeParetoPaths,
+  computeKShortestPaths,
+  computeCentrality,
+  findArticulationPointsAndBridges
+} from './graphAlgorithms';
+
+// Four bus stops in a row, 20 minutes apart
+const NODES = ['A', 'B', 'C', 'D'].map((id, i) => ({
+  node_id: id,
+  name: `Stop ${id}`,
+  lat: 17.40,
+  lon: 78.40 + i * 0.02,
+  layer: 'bus',
+  type: 'stand',
+  region: 'R1',
+  Df: 1,
+  Hf: 1,
+  Cf: 1
+}));
+const EDGES = [['A', 'B'], ['B', 'C'], ['C', 'D']].map(([from, to]) => ({
+  from_id: from,
+  to_id: to,
+  mode: 'bus',
+  intra_or_inter: 'intra',
+  reason: 'Bus_Route',
+  distance_km: 2,
+  time_base_min: 20,
+  time_min: 20,
+  cost_base_rs: 10,
+  cost_rs: 10,
+  region_from: 'R1',
+  region_to: 'R1'
+}));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('greedyRecommendation', () => {
+  const odPairs = [{ source: 'A', target: 'D' }];
+  // A–D makes A–C worthless: once A–D is built, nothing is left to gain
+  const candidates = [
+    { from: 'A', to: 'D', fromName: 'Stop A', toName: 'Stop D', type: 'od_driven', distance: 2, priority: 7 },
+    { from: 'A', to: 'C', fromName: 'Stop A', toName: 'Stop C', type: 'od_driven', distance: 1.5, priority: 7 }
+  ];
+  
+  test('reports marginal gains and stops buying links that add nothing under a ₹ budget', () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const result = greedyRecommendation(graph, candidates, odPairs, { amount: 10e7 }, 'time');
+    
+    expect(result.selectedLinks.map(link => `${link.from}-${link.to}`)).toEqual(['A-D']);
+    expect(result.totalCost).toBeCloseTo(2 * 1e7);
+    const before = 60;
+    expect(result.selectedLinks[0].improvement).toBeCloseTo(before - result.finalMetrics.avgPenalizedTime, 6);
+  });
+  
+  test('each improvement is the gain over the links chosen before it', () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    // Two independent shortcuts, one per OD pair
+    const shortcuts = [
+      { from: 'A', to: 'C', fromName: 'Stop A', toName: 'Stop C', type: 'od_driven', distance: 1, priority: 7 },
+      { from: 'B', to: 'D', fromName: 'Stop B', toName: 'Stop D', type: 'od_driven', distance: 1, priority: 7 }
+    ];
+    const pairs = [{ source: 'A', target: 'C' }, { source: 'B', target: 'D' }];
+    const result = greedyRecommendation(graph, shortcuts, pairs, 2, 'time');
+    const total = result.selectedLinks.reduce((sum, link) => sum + link.improvement, 0);
+    
+    expect(result.selectedLinks).toHaveLength(2);
+    expect(result.selectedLinks[1].improvement).toBeCloseTo(result.selectedLinks[0].improvement, 6);
+    expect(total).toBeCloseTo(40 - result.finalMetrics.avgPenalizedTime, 6);
+  });
+});
+
+describe('computeParetoPaths', () => {
+  // Bus along the row, or a long free walk straight from A to D
+  const walk = { ...EDGES[0], from_id: 'A', to_id: 'D', mode: 'walking', reason: 'Walk', time_base_min: 90, time_min: 90, cost_base_rs: 0, cost_rs: 0 };
+  const exact = { timeSlack: 0, costSlack: 0, maxLabelsPerState: Infinity };
+  
+  test('finds both trade-offs and marks the exact search as exact', () => {
+    const graph = buildGraph(NODES, [...EDGES, walk], 'time');
+    const front = computeParetoPaths(graph, 'A', 'D', exact);
+    
+    expect(front.journeys.map(j => j.path.join(''))).toEqual(['ABCD', 'AD']);
+    expect(front.approximate).toBe(false);
+    expect(front.droppedLabels).toBe(0);
+    expect(front.totalJourneys).toBe(2);
+  });
+  
+  test('reports labels dropped at the bag cap', () => {
+    const graph = buildGraph(NODES, [...EDGES, walk], 'time');
+    const front = computeParetoPaths(graph, 'A', 'D', { ...exact, maxLabelsPerState: 0 });
+    
+    expect(front.journeys).toEqual([]);
+    expect(front.approximate).toBe(true);
+    expect(front.droppedLabels).toBeGreaterThan(0);
+  });
+  
+  test('default slack makes the front approximate', () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    expect(computeParetoPaths(graph, 'A', 'D').approximate).toBe(true);
+  });
+});
+
+describe('computeKShortestPaths', () => {
+  // A → D: ABD 20, ABCD 22, ACD 25, ACBD 27 minutes
+  const times = { 'A-B': 10, 'B-D': 10, 'A-C': 15, 'C-D': 10, 'B-C': 2 };
+  const edges = Object.entries(times).map(([key, time]) => {
+    const [from, to] = key.split('-');
+    return { ...EDGES[0], from_id: from, to_id: to, time_base_min: time, time_min: time };
+  });
+  
+  test('ranks every loopless path by weight', () => {
+    const graph = buildGraph(NODES, edges, 'time');
+    const routes = computeKShortestPaths(graph, 'A', 'D', 5);
+    
+    expect(routes.map(r => r.path.join(''))).toEqual(['ABD', 'ABCD', 'ACD', 'ACBD']);
+    expect(routes.map(r => r.rank)).toEqual([1, 2, 3, 4]);
+    expect(routes.map(r => r.time)).toEqual([20, 22, 25, 27]);
+    routes.slice(1).forEach((route, i) => {
+      expect(route.weight).toBeGreaterThanOrEqual(routes[i].weight);
+    });
+  });
+  
+  test('returns at most k routes and none for a missing node', () => {
+    const graph = buildGraph(NODES, edges, 'time');
+    
+    expect(computeKShortestPaths(graph, 'A', 'D', 2).map(r => r.path.join(''))).toEqual(['ABD', 'ABCD']);
+    expect(computeKShortestPaths(graph, 'A', 'Z', 3)).toEqual([]);
+  });
+});
+
+// Undirected graph from [source, target, time] links, for the structural metrics
+const toyGraph = links => {
+  const graph = new Graph({ type: 'undirected' });
+  links.forEach(([source, target, time = 1]) => graph.mergeEdge(source, target, { time }));
+  return graph;
+};
+
+describe('computeCentrality', () => {
+  test('betweenness on a path counts the pairs routed through each node and link', () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const raw = computeCentrality(graph, { normalized: false });
+    
+    expect(raw.betweenness).toEqual({ A: 0, B: 2, C: 2, D: 0 });
+    expect(raw.edgeBetweenness[graph.edge('A', 'B')]).toBeCloseTo(3);
+    expect(raw.edgeBetweenness[graph.edge('B', 'C')]).toBeCloseTo(4);
+    // Normalized by the (n − 1)(n − 2) / 2 pairs a node can sit between
+    expect(computeCentrality(graph).betweenness.B).toBeCloseTo(2 / 3);
+  });
+  
+  test('equal shortest paths share the betweenness', () => {
+    const graph = toyGraph([['S', 'X'], ['S', 'Y'], ['X', 'T'], ['Y', 'T']]);
+    const { betweenness } = computeCentrality(graph, { normalized: false });
+    
+    ['S', 'X', 'Y', 'T'].forEach(node => expect(betweenness[node]).toBeCloseTo(0.5));
+  });
+  
+  test('link times decide the shortest paths unless hop counts are asked for', () => {
+    const graph = toyGraph([['S', 'X', 1], ['S', 'Y', 1], ['X', 'T', 1], ['Y', 'T', 2]]);
+    const timed = computeCentrality(graph, { normalized: false }).betweenness;
+    const hops = computeCentrality(graph, { weight: null, normalized: false }).betweenness;
+    
+    // S–T and Y–X both avoid the slow Y–T link
+    expect(timed).toEqual({ S: 1, X: 1, Y: 0, T: 0 });
+    expect(hops.X).toBeCloseTo(0.5);
+    expect(hops.Y).toBeCloseTo(0.5);
+  });
+});
+
+describe('findArticulationPointsAndBridges', () => {
+  // Triangle A–B–C with a tail C–D–E, and a separate pair F–G
+  const graph = toyGraph([['A', 'B'], ['B', 'C'], ['C', 'A'], ['C', 'D'], ['D', 'E'], ['F', 'G']]);
+  
+  test('finds the cut nodes and how many nodes each one cuts off', () => {
+    const { articulationPoints } = findArticulationPointsAndBridges(graph);
+    
+    // The DFS root A is in the triangle, so it is no cut node for having one child
+    expect(articulationPoints).toEqual([{ node: 'C', cutOff: 2 }, { node: 'D', cutOff: 1 }]);
+  });
+  
+  test('finds the bridges, outside any cycle, with the smaller side they cut off', () => {
+    const { bridges } = findArticulationPointsAndBridges(graph);
+    const byEdge = Object.fromEntries(bridges.map(b => [[b.source, b.target].sort().join('-'), b.cutOff]));
+    
+    expect(byEdge).toEqual({ 'C-D': 2, 'D-E': 1, 'F-G': 1 });
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * Link Portfolio Optimizers
+ * Alternatives to greedyRecommendation over the same generateCandidates pool: exhaustive
+ * search (small budgets), simulated annealing and a genetic algorithm, compared on
+ * objective value and runtime so the greedy approximation gap can be measured
+ * Every portfolio evaluation is a full computeMetrics pass, so the search yields to the
+ * browser between evaluations and reports each one through the progress callback
+ */
+
+import {
+  computeMetrics,
+  objectiveValue,
+  greedyRecommendationSteps,
+  withCandidateLinks,
+  linkConstructionCost,
+  LINK_UNIT_COSTS
+} from './graphAlgorithms';
+import { createSeededRandom } from './random';
+import { nextTask } from './tasks';
+
+export const OPTIMIZER_METHODS = {
+  greedy: 'Greedy',
+  exhaustive: 'Exhaustive',
+  annealing: 'Simulated annealing',
+  genetic: 'Genetic algorithm'
+};
+
+export const DEFAULT_OPTIMIZER_OPTIONS = {
+  methods: ['greedy', 'exhaustive', 'annealing', 'genetic'],
+  objective: 'time',
+  seed: 1,
+  exhaustiveLimit: 5000, // largest number of portfolios searched exhaustively (30 candidates, 3 links: 4,060)
+  annealing: {
+    iterations: 100,
+    temperature: 0.02,   // start temperature, as a share of the failed network's objective
+    finalTemperature: 0.0005
+  },
+  genetic: {
+    population: 12,
+    generations: 12,
+    mutationRate: 0.3,
+    elite: 2
+  }
+};
+
+/**
+ * Whether a portfolio fits the budget
+ * @param {Array} portfolio - Candidate indices
+ * @param {Object} limit - {maxLinks} or {amount} in ₹
+ * @param {Array} costs - Construction cost per candidate
+ * @returns {Boolean} - True when affordable
+ */
+function fits(portfolio, limit, costs) {
+  if (limit.maxLinks != null) return portfolio.length <= limit.maxLinks;
+  return portfolio.reduce((sum, i) => sum + costs[i], 0) <= limit.amount;
+}
+
+/**
+ * Fill a portfolio with random candidates while they fit, so no budget is left unused
+ * (adding a link never makes shortest routes longer, so maximal portfolios are enough)
+ * @param {Array} portfolio - Candidate indices (not modified)
+ * @param {Number} n - Candidate count
+ * @param {Object} limit - Budget
+ * @param {Array} costs - Construction cost per candidate
+ * @param {Function} random - Seeded generator
+ * @returns {Array} - Sorted candidate indices
+ */
+function fillPortfolio(portfolio, n, limit, costs, random) {
+  const result = [...portfolio];
+  const others = [...Array(n).keys()].filter(i => !result.includes(i));
+  while (others.length > 0) {
+    const [pick] = others.splice(Math.floor(random() * others.length), 1);
+    if (fits([...result, pick], limit, costs)) result.push(pick);
+  }
+  return result.sort((a, b) => a - b);
+}
+
+/**
+ * Every maximal portfolio within the budget, or null when there are more than `max`
+ * @param {Number} n - Candidate count
+ * @param {Object} limit - Budget
+ * @param {Array} costs - Construction cost per candidate
+ * @param {Number} max - Enumeration limit
+ * @returns {Array|null} - Portfolios (sorted candidate indices)
+ */
+function enumeratePortfolios(n, limit, costs, max) {
+  const portfolios = [];
+  const visit = (start, portfolio) => {
+    if (portfolios.length > max) return;
+    let extended = false;
+    for (let i = start; i < n; i++) {
+      if (fits([...portfolio, i], limit, costs)) {
+        extended = true;
+        visit(i + 1, [...portfolio, i]);
+      }
+    }
+    // Maximal: no skipped candidate would still fit either
+    if (!extended && [...Array(n).keys()].every(i => portfolio.includes(i) || !fits([...portfolio, i], limit, costs))) {
+      portfolios.push(portfolio);
+    }
+  };
+  visit(0, []);
+  return portfolios.length > max ? null : portfolios;
+}
+
+/**
+ * Simulated annealing: swap one link in and one out, accept worse portfolios with
+ * probability exp(−Δ / T), geometric cooling from `temperature` to `finalTemperature`
+ * @param {Function} evaluate - async (portfolio) => objective value (lower is better)
+ * @param {Number} n - Candidate count
+ * @param {Object} limit - Budget
+ * @param {Array} costs - Construction cost per candidate
+ * @param {Object} settings - DEFAULT_OPTIMIZER_OPTIONS.annealing plus scale
+ * @param {Function} random - Seeded generator
+ * @returns {Promise<Array>} - Best portfolio found
+ */
+async function simulatedAnnealing(evaluate, n, limit, costs, settings, random) {
+  let current = fillPortfolio([], n, limit, costs, random);
+  let currentValue = await evaluate(current);
+  let best = current;
+  let bestValue = currentValue;
+  const start = settings.temperature * settings.scale;
+  const cooling = Math.pow(settings.finalTemperature / settings.temperature, 1 / Math.max(1, settings.iterations - 1));
+  
+  for (let step = 0; step < settings.iterations; step++) {
+    const temperature = start * Math.pow(cooling, step);
+    const chosen = new Set(current);
+    const outside = [...Array(n).keys()].filter(i => !chosen.has(i));
+    if (outside.length === 0) break;
+    
+    const dropped = Math.floor(random() * current.length);
+    const kept = current.filter((_, i) => i !== dropped);
+    const added = outside[Math.floor(random() * outside.length)];
+    const neighbour = fits([...kept, added], limit, costs)
+      ? fillPortfolio([...kept, added], n, limit, costs, random)
+      : fillPortfolio(kept, n, limit, costs, random);
+    const value = await evaluate(neighbour);
+    
+    if (value <= currentValue || random() < Math.exp(-(value - currentValue) / temperature)) {
+      current = neighbour;
+      currentValue = value;
+      if (value < bestValue) {
+        best = neighbour;
+        bestValue = value;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Genetic algorithm: tournament selection, crossover drawing links from both parents,
+ * swap mutation and elitism
+ * @param {Function} evaluate - async (portfolio) => objective value (lower is better)
+ * @param {Number} n - Candidate count
+ * @param {Object} limit - Budget
+ * @param {Array} costs - Construction cost per candidate
+ * @param {Object} settings - DEFAULT_OPTIMIZER_OPTIONS.genetic
+ * @param {Function} random - Seeded generator
+ * @returns {Promise<Array>} - Best portfolio found
+ */
+async function geneticAlgorithm(evaluate, n, limit, costs, settings, random) {
+  const rank = async population => {
+    const ranked = [];
+    for (const portfolio of population) {
+      ranked.push({ portfolio, value: await evaluate(portfolio) });
+    }
+    return ranked.sort((a, b) => a.value - b.value);
+  };
+  const tournament = ranked => {
+    const a = ranked[Math.floor(random() * ranked.length)];
+    const b = ranked[Math.floor(random() * ranked.length)];
+    return a.value <= b.value ? a.portfolio : b.portfolio;
+  };
+  
+  let ranked = await rank([...Array(settings.population)].map(() => fillPortfolio([], n, limit, costs, random)));
+  for (let generation = 0; generation < settings.generations; generation++) {
+    const next = ranked.slice(0, settings.elite).map(r => r.portfolio);
+    while (next.length < settings.population) {
+      // Child: links of either parent in random order while they fit, then topped up
+      const pool = [...new Set([...tournament(ranked), ...tournament(ranked)])];
+      let child = [];
+      while (pool.length > 0) {
+        const [pick] = pool.splice(Math.floor(random() * pool.length), 1);
+        if (fits([...child, pick], limit, costs)) child.push(pick);
+      }
+      if (random() < settings.mutationRate && child.length > 0) {
+        child.splice(Math.floor(random() * child.length), 1);
+      }
+      child = fillPortfolio(child, n, limit, costs, random);
+      next.push(child);
+    }
+    ranked = await rank(next);
+  }
+  return ranked[0].portfolio;
+}
+
+/**
+ * Run several optimizers on the same candidate pool and budget and compare them
+ * The gap of each method is how far its improvement falls short of the best found
+ * (the exact optimum when the exhaustive search ran). Runtimes leave out the time spent
+ * yielding to the browser.
+ * @param {Graph} failedGraph - Graph after failure
+ * @param {Array} candidates - From generateCandidates
+ * @param {Array} odPairs - OD pairs for evaluation
+ * @param {Number|Object} budget - Link count, or {amount, unitCosts} in ₹ (as greedyRecommendation)
+ * @param {Object} options - Overrides of DEFAULT_OPTIMIZER_OPTIONS plus timeOfDayCoefficients and metricsOptions
+ * @param {Function} progressCallback - Called with {method, index, total, evaluations, expected} before each
+ *   method and after each evaluation; expected is the method's evaluation count (an upper bound for greedy and the metaheuristics)
+ * @returns {Promise<Object>} - {results: [{method, label, links, value, improvement, gap, evaluations, runtimeMs, skipped}],
+ *   baselineValue, bestImprovement, greedyGap, exact}
+ */
+export async function compareLinkOptimizers(failedGraph, candidates, odPairs, budget, options = {}, progressCallback = null) {
+  const { metricsOptions = {}, timeOfDayCoefficients = null, ...rest } = options;
+  const settings = {
+    ...DEFAULT_OPTIMIZER_OPTIONS,
+    ...rest,
+    annealing: { ...DEFAULT_OPTIMIZER_OPTIONS.annealing, ...rest.annealing },
+    genetic: { ...DEFAULT_OPTIMIZER_OPTIONS.genetic, ...rest.genetic }
+  };
+  const startTime = Date.now();
+  
+  const costBudget = typeof budget === 'object' && budget !== null;
+  const unitCosts = costBudget ? { ...LINK_UNIT_COSTS, ...budget.unitCosts } : LINK_UNIT_COSTS;
+  const limit = costBudget ? { amount: budget.amount } : { maxLinks: budget };
+  const costs = candidates.map(c => linkConstructionCost(c, unitCosts));
+  const n = candidates.length;
+  
+  const baselineValue = objectiveValue(computeMetrics(failedGraph, odPairs, settings.objective, metricsOptions), settings.objective);
+  
+  // Objective value per portfolio; each method gets its own cache so runtimes and
+  // evaluation counts are comparable. Each new evaluation first yields to the browser.
+  let idleMs = 0;
+  const pause = async () => {
+    const idleStart = Date.now();
+    await nextTask();
+    idleMs += Date.now() - idleStart;
+  };
+  const evaluator = (cache, onEvaluation = null) => async portfolio => {
+    const key = [...portfolio].sort((a, b) => a - b).join(',');
+    if (!cache.has(key)) {
+      await pause();
+      const graph = withCandidateLinks(failedGraph, portfolio.map(i => candidates[i]), settings.objective, timeOfDayCoefficients);
+      cache.set(key, objectiveValue(computeMetrics(graph, odPairs, settings.objective, metricsOptions), settings.objective));
+      if (onEvaluation) onEvaluation(cache.size);
+    }
+    return cache.get(key);
+  };
+  const evaluate = evaluator(new Map());
+  let totalEvaluations = 0;
+  
+  const results = [];
+  for (let index = 0; index < settings.methods.length; index++) {
+    const method = settings.methods[index];
+    const methodStart = Date.now();
+    idleMs = 0;
+    const portfolios = method === 'exhaustive' ? enumeratePortfolios(n, limit, costs, settings.exhaustiveLimit) : null;
+    const expected = {
+      greedy: limit.maxLinks != null ? Math.min(limit.maxLinks, n) * n : n * (n + 1) / 2,
+      exhaustive: portfolios ? portfolios.length : 0,
+      annealing: settings.annealing.iterations + 1,
+      genetic: settings.genetic.population * (settings.genetic.generations + 1)
+    }[method] ?? null;
+    const report = evaluations => {
+      if (progressCallback) progressCallback({ method, index, total: settings.methods.length, evaluations, expected });
+    };
+    report(0);
+    
+    const cache = new Map();
+    const evaluateOwn = evaluator(cache, report);
+    let portfolio = null;
+    let evaluations = 0;
+    let skipped = null;
+    
+    if (method === 'greedy') {
+      // The recommender itself, so its result matches the main run, one evaluation at a time
+      const steps = greedyRecommendationSteps(failedGraph, candidates, odPairs, budget, settings.objective, timeOfDayCoefficients, metricsOptions);
+      let step = steps.next();
+      while (!step.done) {
+        report(evaluations);
+        await pause();
+        step = steps.next();
+        evaluations++;
+      }
+      const greedy = step.value;
+      portfolio = greedy.selectedLinks.map(link => candidates.findIndex(c => c.from === link.from && c.to === link.to));
+    } else if (method === 'exhaustive') {
+      if (portfolios) {
+        let bestValue = Infinity;
+        for (const p of portfolios) {
+          const value = await evaluateOwn(p);
+          if (value < bestValue) {
+            portfolio = p;
+            bestValue = value;
+          }
+        }
+      } else {
+        skipped = `more than ${settings.exhaustiveLimit} portfolios`;
+      }
+    } else if (method === 'annealing') {
+      const scale = Math.max(Math.abs(baselineValue), 1e-6);
+      portfolio = await simulatedAnnealing(evaluateOwn, n, limit, costs, { ...settings.annealing, scale }, createSeededRandom(settings.seed));
+    } else if (method === 'genetic') {
+      portfolio = await geneticAlgorithm(evaluateOwn, n, limit, costs, settings.genetic, createSeededRandom(settings.seed));
+    }
+    
+    const runtimeMs = Date.now() - methodStart - idleMs;
+    if (method !== 'greedy') evaluations = cache.size;
+    totalEvaluations += evaluations;
+    const value = portfolio ? await evaluate(portfolio) : null;
+    results.push({
+      method,
+      label: OPTIMIZER_METHODS[method] || method,
+      links: portfolio ? portfolio.map(i => ({ ...candidates[i], constructionCost: costs[i] })) : [],
+      value,
+      improvement: value === null ? null : baselineValue - value,
+      totalCost: portfolio ? portfolio.reduce((sum, i) => sum + costs[i], 0) : 0,
+      evaluations,
+      runtimeMs,
+      skipped
+    });
+  }
+  
+  const ran = results.filter(r => r.value !== null);
+  const bestImprovement = ran.length > 0 ? Math.max(...ran.map(r => r.improvement)) : 0;
+  results.forEach(r => {
+    r.gap = r.value === null ? null : bestImprovement > 0 ? (bestImprovement - r.improvement) / bestImprovement : 0;
+  });
+  const greedy = results.find(r => r.method === 'greedy' && r.value !== null);
+  const exact = results.some(r => r.method === 'exhaustive' && r.value !== null);
+  
+  console.log(`🧬 OPTIMIZERS: ${n} candidates, ${totalEvaluations} portfolios evaluated (${Date.now() - startTime} ms)`,
+    Object.fromEntries(results.map(r => [r.method, r.improvement === null ? 'skipped' : r.improvement.toFixed(3)])));
+  
+  return {
+    results,
+    baselineValue,
+    bestImprovement,
+    greedyGap: greedy ? greedy.gap : null,
+    exact,
+    runtimeMs: Date.now() - startTime
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * Monte Carlo Failure Scenarios
+ * Samples node and link failures from per-layer, per-type, per-mode or per-element
+ * probabilities and runs each sampled scenario through applyFailure and computeMetrics
+ */
+
+import { applyFailure, computeMetrics } from './graphAlgorithms';
+import { weightedPercentile } from './equityMetrics';
+import { createSeededRandom } from './random';
+import { nextTask } from './tasks';
+
+// Failure probability per scenario. The most specific entry wins:
+// nodes: elements (node_id) over types (stand/feeder/hub/station) over layers;
+// links: elements ("fromId_toId", either direction, or edge key) over links (by mode).
+export const DEFAULT_FAILURE_PROBABILITIES = {
+  layers: { metro: 0.005, mmts: 0.005, bus: 0.02, auto: 0.05 },
+  types: {},
+  links: {},
+  elements: {}
+};
+
+export const DEFAULT_MONTE_CARLO_OPTIONS = {
+  runs: 50,
+  seed: 1,
+  objective: 'time',
+  worstPairs: 10
+};
+
+/**
+ * Failure probability of one node
+ * @param {Object} attrs - Node attributes (layer, type)
+ * @param {String} node - Node ID
+ * @param {Object} probabilities - {layers, types, elements}
+ * @returns {Number} - Probability in [0, 1]
+ */
+export function nodeFailureProbability(attrs, node, probabilities) {
+  const { layers = {}, types = {}, elements = {} } = probabilities;
+  if (elements[node] != null) return elements[node];
+  if (types[attrs.type] != null) return types[attrs.type];
+  return layers[attrs.layer] ?? 0;
+}
+
+/**
+ * Mean, standard deviation, 95% confidence interval of the mean and P5 / P50 / P95
+ * @param {Array} values - Samples
+ * @returns {Object} - {mean, sd, lower, upper, p5, median, p95, min, max}
+ */
+export function describeSamples(values) {
+  const n = values.length;
+  if (n === 0) return null;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const sd = n > 1 ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1)) : 0;
+  const half = 1.96 * sd / Math.sqrt(n);
+  const weighted = values.map(value => ({ value, weight: 1 }));
+  return {
+    mean,
+    sd,
+    lower: mean - half,
+    upper: mean + half,
+    p5: weightedPercentile(weighted, 5),
+    median: weightedPercentile(weighted, 50),
+    p95: weightedPercentile(weighted, 95),
+    min: Math.min(...values),
+    max: Math.max(...values)
+  };
+}
+
+/**
+ * Equal-width histogram, for bar charts of a sampled distribution
+ * Small integer ranges (e.g. disconnected pair counts) get one bin per value
+ * @param {Array} values - Samples
+ * @param {Number} bins - Maximum number of bins
+ * @returns {Array} - [{from, to, mid, count}]
+ */
+export function histogram(values, bins = 15) {
+  if (values.length === 0) return [];
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (values.every(Number.isInteger) && max - min < bins) {
+    min -= 0.5;
+    max += 0.5;
+    bins = max - min;
+  }
+  const width = max > min ? (max - min) / bins : 1;
+  const counts = new Array(max > min ? bins : 1).fill(0);
+  values.forEach(v => {
+    counts[Math.min(counts.length - 1, Math.floor((v - min) / width))]++;
+  });
+  return counts.map((count, i) => ({
+    from: min + i * width,
+    to: min + (i + 1) * width,
+    mid: min + (i + 0.5) * width,
+    count
+  }));
+}
+
+/**
+ * Failure probability of one link
+ * @param {Object} attrs - Edge attributes (mode)
+ * @param {String} edge - Edge key
+ * @param {String} source - One end node ID
+ * @param {String} target - Other end node ID
+ * @param {Object} probabilities - {links, elements}
+ * @returns {Number} - Probability in [0, 1]
+ */
+export function linkFailureProbability(attrs, edge, source, target, probabilities) {
+  const { links = {}, elements = {} } = probabilities;
+  const element = elements[`${source}_${target}`] ?? elements[`${target}_${source}`] ?? elements[edge];
+  if (element != null) return element;
+  return links[attrs.mode] ?? 0;
+}
+
+/**
+ * Run N sampled failure scenarios and summarize their metrics
+ * Every node and link fails independently with its probability (failed nodes through
+ * applyFailure 'node', then failed links through 'edge'); the same seed always samples
+ * the same scenarios. Stranded pairs count at the disconnection penalty.
+ * Yields to the browser before every run so progress can paint.
+ * @param {Graph} graph - Graph from buildGraph (intact network)
+ * @param {Array} odPairs - OD pairs to evaluate
+ * @param {Object} probabilities - {layers, types, links, elements} (see DEFAULT_FAILURE_PROBABILITIES)
+ * @param {Object} options - Overrides of DEFAULT_MONTE_CARLO_OPTIONS plus metricsOptions for computeMetrics
+ * @param {Function} progressCallback - Called with {run, runs}
+ * @returns {Promise<Object>} - {runs: [{run, failedNodes, failedLinks, avgTime, avgPenalizedTime, disconnected, disconnectedTrips}],
+ *   summary: {avgPenalizedTime, avgTime, disconnected, failedNodes, failedLinks, expectedFailures,
+ *   expectedLinkFailures}, histograms, worstPairs, baseline, options}
+ */
+export async function runMonteCarlo(graph, odPairs, probabilities = DEFAULT_FAILURE_PROBABILITIES, options = {}, progressCallback = null) {
+  const { metricsOptions = {}, ...rest } = options;
+  const settings = { ...DEFAULT_MONTE_CARLO_OPTIONS, ...rest };
+  // At least one whole run, so every summary has a sample to describe
+  settings.runs = Math.max(1, Math.floor(settings.runs) || 0);
+  const startTime = Date.now();
+  const random = createSeededRandom(settings.seed);
+  
+  const baseline = computeMetrics(graph, odPairs, settings.objective, metricsOptions);
+  const scenarioOptions = { ...metricsOptions, disconnection: { ...(metricsOptions.disconnection || {}), baseline } };
+  
+  // Probabilities resolved once; graph order is fixed, so sampling is reproducible
+  const candidates = graph
+    .mapNodes((node, attrs) => ({ node, p: nodeFailureProbability(attrs, node, probabilities) }))
+    .filter(c => c.p > 0);
+  const expectedFailures = candidates.reduce((sum, c) => sum + c.p, 0);
+  const linkCandidates = graph
+    .mapEdges((edge, attrs, source, target) => ({ edge, p: linkFailureProbability(attrs, edge, source, target, probabilities) }))
+    .filter(c => c.p > 0);
+  const expectedLinkFailures = linkCandidates.reduce((sum, c) => sum + c.p, 0);
+  
+  const pairStats = baseline.results.map(r => ({ sumDelay: 0, sumSquares: 0, disconnected: 0, result: r }));
+  const runs = [];
+  
+  for (let run = 0; run < settings.runs; run++) {
+    const failedNodes = candidates.filter(c => random() < c.p).map(c => c.node);
+    const failedLinks = linkCandidates.filter(c => random() < c.p).map(c => c.edge);
+    await nextTask();
+    // Links of a failed node are gone already; applyFailure skips them
+    const failed = applyFailure(applyFailure(graph, 'node', failedNodes), 'edge', failedLinks);
+    const metrics = computeMetrics(failed, odPairs, settings.objective, scenarioOptions);
+    
+    metrics.results.forEach((r, i) => {
+      const delay = r.penalizedTime - baseline.results[i].penalizedTime;
+      pairStats[i].sumDelay += delay;
+      pairStats[i].sumSquares += delay * delay;
+      if (!r.reachable) pairStats[i].disconnected++;
+    });
+    
+    runs.push({
+      run,
+      failedNodes,
+      failedLinks,
+      avgTime: metrics.avgTime,
+      avgPenalizedTime: metrics.avgPenalizedTime,
+      disconnected: metrics.disconnected,
+      disconnectedTrips: metrics.disconnectedTrips
+    });
+    if (progressCallback) progressCallback({ run, runs: settings.runs });
+  }
+  
+  // Worst-affected pairs by mean delay, with a 95% confidence interval
+  const n = settings.runs;
+  const worstPairs = pairStats
+    .map(({ sumDelay, sumSquares, disconnected, result }) => {
+      const mean = sumDelay / n;
+      const variance = n > 1 ? Math.max(0, (sumSquares - n * mean * mean) / (n - 1)) : 0;
+      const half = 1.96 * Math.sqrt(variance / n);
+      return {
+        source: result.source,
+        target: result.target,
+        sourceName: result.sourceName,
+        targetName: result.targetName,
+        baselineTime: result.penalizedTime,
+        meanDelay: mean,
+        lower: mean - half,
+        upper: mean + half,
+        disconnectionProbability: disconnected / n
+      };
+    })
+    .sort((a, b) => b.meanDelay - a.meanDelay)
+    .slice(0, settings.worstPairs);
+  
+  const series = key => runs.map(r => r[key]);
+  const summary = {
+    avgPenalizedTime: describeSamples(series('avgPenalizedTime')),
+    avgTime: describeSamples(series('avgTime')),
+    disconnected: describeSamples(series('disconnected')),
+    failedNodes: describeSamples(runs.map(r => r.failedNodes.length)),
+    failedLinks: describeSamples(runs.map(r => r.failedLinks.length)),
+    expectedFailures,
+    expectedLinkFailures
+  };
+  
+  console.log(`🎲 MONTE CARLO: ${n} runs (seed ${settings.seed}), avg time ${summary.avgPenalizedTime.mean.toFixed(2)} min [${summary.avgPenalizedTime.lower.toFixed(2)}, ${summary.avgPenalizedTime.upper.toFixed(2)}] (${Date.now() - startTime} ms)`);
+  
+  return {
+    runs,
+    summary,
+    histograms: {
+      avgPenalizedTime: histogram(series('avgPenalizedTime')),
+      disconnected: histogram(series('disconnected'))
+    },
+    worstPairs,
+    baseline: { avgPenalizedTime: baseline.avgPenalizedTime, avgTime: baseline.avgTime, disconnected: baseline.disconnected },
+    options: settings,
+    runtimeMs: Date.now() - startTime
+  };
+}
@@ -0,0 +1,78 @@
+import { buildGraph } from './graphAlgorithms';
+import { runMonteCarlo } from './monteCarlo';
+
+// A row of bus stops A–E, 20 minutes apart, with a slow direct A–E service
+const NODES = ['A', 'B', 'C', 'D', 'E'].map((id, i) => ({
+  node_id: id,
+  name: `Stop ${id}`,
+  lat: 17.40,
+  lon: 78.40 + i * 0.02,
+  layer: 'bus',
+  type: 'stand',
+  region: 'R1',
+  Df: 1,
+  Hf: 1,
+  Cf: 1
+}));
+const LINKS = { 'A-B': 20, 'B-C': 20, 'C-D': 20, 'D-E': 20, 'A-E': 150 };
+const EDGES = Object.entries(LINKS).map(([key, time]) => {
+  const [from, to] = key.split('-');
+  return {
+    from_id: from,
+    to_id: to,
+    mode: 'bus',
+    intra_or_inter: 'intra',
+    reason: 'Bus_Route',
+    distance_km: 2,
+    time_base_min: time,
+    time_min: time,
+    cost_base_rs: 10,
+    cost_rs: 10,
+    region_from: 'R1',
+    region_to: 'R1'
+  };
+});
+const OD_PAIRS = [['A', 'E'], ['A', 'C'], ['B', 'D']].map(([source, target]) => ({ source, target }));
+// Inner stops and every bus link fail often enough that runs differ
+const PROBABILITIES = { layers: {}, types: {}, links: { bus: 0.3 }, elements: { B: 0.4, C: 0.4, D: 0.4 } };
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('runMonteCarlo', () => {
+  test('the same seed samples the same scenarios and results', async () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const first = await runMonteCarlo(graph, OD_PAIRS, PROBABILITIES, { runs: 20, seed: 42 });
+    const second = await runMonteCarlo(graph, OD_PAIRS, PROBABILITIES, { runs: 20, seed: 42 });
+    
+    expect(second.runs).toEqual(first.runs);
+    expect(second.summary).toEqual(first.summary);
+    expect(second.worstPairs).toEqual(first.worstPairs);
+  });
+  
+  test('another seed samples other scenarios', async () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const first = await runMonteCarlo(graph, OD_PAIRS, PROBABILITIES, { runs: 20, seed: 42 });
+    const other = await runMonteCarlo(graph, OD_PAIRS, PROBABILITIES, { runs: 20, seed: 43 });
+    const scenarios = result => result.runs.map(run => [run.failedNodes, run.failedLinks]);
+    
+    expect(scenarios(other)).not.toEqual(scenarios(first));
+    expect(first.summary.failedNodes.mean).toBeGreaterThan(0);
+    expect(first.summary.failedLinks.mean).toBeGreaterThan(0);
+  });
+  
+  test('element probabilities win over layers and modes', async () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const probabilities = { layers: { bus: 1 }, types: {}, links: { bus: 1 }, elements: { A: 0, B: 0, C: 0, D: 0, E: 0, A_B: 0, B_C: 0, C_D: 0, D_E: 0, E_A: 0 } };
+    const result = await runMonteCarlo(graph, OD_PAIRS, probabilities, { runs: 5 });
+    
+    expect(result.summary.failedNodes.max).toBe(0);
+    expect(result.summary.failedLinks.max).toBe(0);
+    expect(result.summary.avgPenalizedTime.mean).toBeCloseTo(result.baseline.avgPenalizedTime);
+  });
+});
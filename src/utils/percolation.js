@@ -0,0 +1,315 @@
+/**
+ * Percolation Robustness Experiments
+ * Removes nodes one at a time (randomly or by a targeted attack order) and records how
+ * the network falls apart: giant component, global efficiency and OD travel time
+ */
+
+import { computeMetrics, computeCentrality, computeDegreeDistribution, computeTravelTimes } from './graphAlgorithms';
+import { createSeededRandom } from './random';
+import { nextTask } from './tasks';
+
+// Attack strategies. `order` ranks the remaining nodes, most attractive target first;
+// `adaptive` strategies re-rank after every single removal, the others rank once on the intact network.
+export const ATTACK_STRATEGIES = {
+  random: {
+    label: 'Random Failure',
+    adaptive: false,
+    order: (graph, random) => {
+      const ids = graph.nodes();
+      // Fisher–Yates shuffle
+      for (let i = ids.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [ids[i], ids[j]] = [ids[j], ids[i]];
+      }
+      return ids;
+    }
+  },
+  degree: {
+    label: 'Degree Attack',
+    adaptive: false,
+    order: graph => {
+      const { degree } = computeDegreeDistribution(graph);
+      return graph.nodes().sort((a, b) => degree[b] - degree[a]);
+    }
+  },
+  betweenness: {
+    label: 'Betweenness Attack',
+    adaptive: false,
+    order: graph => {
+      const { betweenness } = computeCentrality(graph);
+      return graph.nodes().sort((a, b) => betweenness[b] - betweenness[a]);
+    }
+  },
+  recalculatedBetweenness: {
+    label: 'Recalculated Betweenness',
+    adaptive: true,
+    order: graph => {
+      const { betweenness } = computeCentrality(graph);
+      return graph.nodes().sort((a, b) => betweenness[b] - betweenness[a]);
+    }
+  }
+};
+
+export const DEFAULT_PERCOLATION_OPTIONS = {
+  stepSize: 1,            // nodes removed between measurements (adaptive attacks still re-rank after each)
+  maxFraction: 0.5,       // measure efficiency and travel times until this share is gone
+  randomRuns: 10,         // repetitions of the random strategy (for confidence bands)
+  seed: 1,
+  efficiencySources: 60   // sampled origins for global efficiency (all nodes when >= N)
+};
+
+/**
+ * Size of the largest connected component
+ * @param {Graph} graph - Graph instance
+ * @returns {Number} - Node count of the giant component
+ */
+export function giantComponentSize(graph) {
+  const seen = new Set();
+  let largest = 0;
+  
+  graph.forEachNode(start => {
+    if (seen.has(start)) return;
+    seen.add(start);
+    const stack = [start];
+    let size = 0;
+    while (stack.length > 0) {
+      const node = stack.pop();
+      size++;
+      graph.forEachNeighbor(node, neighbor => {
+        if (!seen.has(neighbor)) {
+          seen.add(neighbor);
+          stack.push(neighbor);
+        }
+      });
+    }
+    largest = Math.max(largest, size);
+  });
+  
+  return largest;
+}
+
+/**
+ * Global efficiency: mean of 1 / travel time over ordered node pairs (0 when unreachable)
+ * Removed nodes still count in the denominator, so losing nodes lowers efficiency
+ * @param {Graph} graph - Graph instance
+ * @param {Array} sources - Origins to average over (a sample of the original nodes)
+ * @param {Number} totalNodes - Node count of the intact network
+ * @returns {Number} - Efficiency in 1/min
+ */
+export function globalEfficiency(graph, sources, totalNodes) {
+  if (sources.length === 0 || totalNodes < 2) return 0;
+  
+  let total = 0;
+  sources.forEach(source => {
+    computeTravelTimes(graph, source).forEach((time, node) => {
+      if (node !== source && time > 0) total += 1 / time;
+    });
+  });
+  return total / (sources.length * (totalNodes - 1));
+}
+
+/**
+ * Robustness index R of Schneider et al.: R = 1/N Σ s(Q) for Q = 1..N, where s(Q) is the
+ * giant component share after Q removals. Needs the whole sequence down to no nodes (R < 0.5).
+ * @param {Array} gccShares - Giant component share after 0, 1, …, N removals
+ * @returns {Number} - R
+ */
+export function robustnessIndex(gccShares) {
+  const total = gccShares.length - 1;
+  if (total < 1) return 0;
+  return gccShares.slice(1).reduce((sum, share) => sum + share, 0) / total;
+}
+
+/**
+ * Area under a curve over the removed fraction (trapezoid rule), for curves measured on
+ * part of the removal sequence only: not comparable with R unless it reaches full removal
+ * @param {Array} fractions - Removed fractions, ascending
+ * @param {Array} values - Curve values at those fractions (relative to the intact network)
+ * @returns {Number} - Area under the curve
+ */
+export function curveArea(fractions, values) {
+  let area = 0;
+  for (let i = 1; i < fractions.length; i++) {
+    area += (fractions[i] - fractions[i - 1]) * (values[i] + values[i - 1]) / 2;
+  }
+  return area;
+}
+
+/**
+ * Yield to the browser once a slice of work has run
+ * Single removals cost one giant component pass (a few ms), so yielding after each would
+ * mostly wait on timers; re-rankings and measurements outlast a slice and yield every time.
+ * @param {Number} sliceMs - Work between yields
+ * @returns {Function} - async () => resolves on the next macrotask when the slice is used up
+ */
+function createSlicer(sliceMs = 50) {
+  let sliceStart = Date.now();
+  return async () => {
+    if (Date.now() - sliceStart < sliceMs) return;
+    await nextTask();
+    sliceStart = Date.now();
+  };
+}
+
+/**
+ * Mean and 95% confidence interval of the mean
+ * @param {Array} values - Samples
+ * @returns {Object} - {mean, lower, upper}
+ */
+function summarize(values) {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  if (n < 2) return { mean, lower: mean, upper: mean };
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1);
+  const half = 1.96 * Math.sqrt(variance / n);
+  return { mean, lower: mean - half, upper: mean + half };
+}
+
+/**
+ * One removal sequence: drop nodes one at a time and measure the network after each step,
+ * then keep removing until no node is left, recording only the giant component (for R)
+ * @param {Graph} graph - Intact graph
+ * @param {Object} strategy - Entry of ATTACK_STRATEGIES
+ * @param {Object} context - {odPairs, sources, stepSize, steps, random, baseline, pause, onRemoval}
+ * @returns {Promise<Object>} - {curve: per step {removed, fraction, gcc, efficiency, avgTime, avgPenalizedTime},
+ *   gccShares: giant component share after every removal, 0..N}
+ */
+async function runRemovalSequence(graph, strategy, context) {
+  const { odPairs, sources, stepSize, steps, random, baseline, pause, onRemoval } = context;
+  const working = graph.copy();
+  const total = graph.order;
+  let order = strategy.order(working, random);
+  let removed = 0;
+  const curve = [];
+  const gccShares = [giantComponentSize(working) / total];
+  const removeNext = async () => {
+    await pause();
+    // Adaptive attacks target the top node of the network as it is now; without links
+    // left every ranking is a tie, so the last one stands
+    if (strategy.adaptive && working.size > 0) order = strategy.order(working, random);
+    working.dropNode(order.find(node => working.hasNode(node)));
+    removed++;
+    gccShares.push(giantComponentSize(working) / total);
+    if (onRemoval) onRemoval(removed);
+  };
+  
+  for (let step = 0; step <= steps; step++) {
+    for (let k = 0; step > 0 && k < stepSize; k++) {
+      await removeNext();
+    }
+    
+    await pause();
+    const metrics = odPairs.length > 0
+      ? computeMetrics(working, odPairs, 'time', { disconnection: { baseline } })
+      : null;
+    curve.push({
+      removed,
+      fraction: removed / total,
+      gcc: gccShares[removed],
+      efficiency: globalEfficiency(working, sources, total),
+      avgTime: metrics ? metrics.avgTime : null,
+      avgPenalizedTime: metrics ? metrics.avgPenalizedTime : null
+    });
+  }
+  
+  while (working.order > 0) {
+    await removeNext();
+  }
+  
+  return { curve, gccShares };
+}
+
+/**
+ * Percolation experiment: robustness curves for each attack strategy
+ * Efficiency is reported relative to the intact network; avgPenalizedTime counts stranded
+ * OD pairs at the disconnection penalty (avgTime alone would fall as long trips are cut).
+ * Curves are measured up to maxFraction; R follows the giant component to full removal,
+ * efficiencyArea is the area under the efficiency curve up to maxFraction only.
+ * Yields to the browser between removals and measurements so progress can paint.
+ * @param {Graph} graph - Graph from buildGraph (intact network)
+ * @param {Array} odPairs - OD pairs for the computeMetrics travel times (may be empty)
+ * @param {Array} strategies - Keys of ATTACK_STRATEGIES to run
+ * @param {Object} options - Overrides of DEFAULT_PERCOLATION_OPTIONS
+ * @param {Function} progressCallback - Called after every removal with {strategy, index, count, run, runs,
+ *   removed, total} (index of the strategy among the count run)
+ * @returns {Promise<Object>} - {strategies: {key: {label, runs, steps: [{fraction, gcc, efficiency,
+ *   avgTime, avgPenalizedTime}] as {mean, lower, upper}, gccCurve: [{fraction, gcc}] over every
+ *   removal, R, efficiencyArea}}, options}
+ */
+export async function runPercolationExperiment(graph, odPairs, strategies = Object.keys(ATTACK_STRATEGIES), options = {}, progressCallback = null) {
+  const settings = { ...DEFAULT_PERCOLATION_OPTIONS, ...options };
+  const startTime = Date.now();
+  const total = graph.order;
+  const stepSize = Math.max(1, Math.round(settings.stepSize));
+  const steps = Math.min(Math.ceil((total * settings.maxFraction) / stepSize), Math.floor((total - 1) / stepSize));
+  
+  // Efficiency origins are sampled once, so every strategy is measured on the same sources
+  const sampler = createSeededRandom(`${settings.seed}-efficiency`);
+  const sources = graph.nodes();
+  for (let i = sources.length - 1; i > 0; i--) {
+    const j = Math.floor(sampler() * (i + 1));
+    [sources[i], sources[j]] = [sources[j], sources[i]];
+  }
+  sources.length = Math.min(sources.length, settings.efficiencySources);
+  
+  const baseline = odPairs.length > 0 ? computeMetrics(graph, odPairs, 'time') : null;
+  const intactEfficiency = globalEfficiency(graph, sources, total);
+  
+  const pause = createSlicer();
+  const results = {};
+  for (const [index, key] of strategies.entries()) {
+    const strategy = ATTACK_STRATEGIES[key];
+    if (!strategy) continue;
+    
+    const runs = key === 'random' ? Math.max(1, settings.randomRuns) : 1;
+    const curves = [];
+    const shares = [];
+    for (let run = 0; run < runs; run++) {
+      const { curve, gccShares } = await runRemovalSequence(graph, strategy, {
+        odPairs,
+        sources,
+        stepSize,
+        steps,
+        random: createSeededRandom(`${settings.seed}-${key}-${run}`),
+        baseline,
+        pause,
+        onRemoval: removed => progressCallback && progressCallback({ strategy: key, index, count: strategies.length, run, runs, removed, total })
+      });
+      curve.forEach(point => {
+        point.efficiency = intactEfficiency > 0 ? point.efficiency / intactEfficiency : 0;
+      });
+      curves.push(curve);
+      shares.push(gccShares);
+    }
+    
+    const fractions = curves[0].map(point => point.fraction);
+    const field = (name, index) => summarize(curves.map(curve => curve[index][name]));
+    results[key] = {
+      label: strategy.label,
+      runs,
+      steps: fractions.map((fraction, index) => ({
+        fraction,
+        removed: curves[0][index].removed,
+        gcc: field('gcc', index),
+        efficiency: field('efficiency', index),
+        avgTime: baseline ? field('avgTime', index) : null,
+        avgPenalizedTime: baseline ? field('avgPenalizedTime', index) : null
+      })),
+      gccCurve: shares[0].map((_, removed) => ({
+        fraction: removed / total,
+        gcc: summarize(shares.map(gccShares => gccShares[removed]))
+      })),
+      R: summarize(shares.map(robustnessIndex)),
+      efficiencyArea: summarize(curves.map(curve => curveArea(fractions, curve.map(point => point.efficiency))))
+    };
+  }
+  
+  console.log(`🧪 PERCOLATION: ${strategies.length} strategies, ${steps} steps of ${stepSize} nodes (${Date.now() - startTime} ms)`,
+    Object.fromEntries(Object.entries(results).map(([key, r]) => [key, r.R.mean.toFixed(3)])));
+  
+  return {
+    strategies: results,
+    options: { ...settings, stepSize, steps, totalNodes: total, intactEfficiency },
+    runtimeMs: Date.now() - startTime
+  };
+}
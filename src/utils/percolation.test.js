@@ -0,0 +1,67 @@
+import Graph from 'graphology';
+import { runPercolationExperiment, robustnessIndex, giantComponentSize } from './percolation';
+
+// Undirected graph from [source, target] links, 10 minutes each
+const toyGraph = links => {
+  const graph = new Graph({ type: 'undirected' });
+  links.forEach(([source, target]) => graph.mergeEdge(source, target, { time: 10 }));
+  return graph;
+};
+const STAR = toyGraph([['H', 'A'], ['H', 'B'], ['H', 'C'], ['H', 'D']]);
+const PATH = toyGraph([['A', 'B'], ['B', 'C'], ['C', 'D'], ['D', 'E']]);
+
+const gccMeans = result => result.gccCurve.map(point => point.gcc.mean);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('robustnessIndex', () => {
+  test('averages the giant component share over removals 1..N', () => {
+    expect(robustnessIndex([1, 0.2, 0.2, 0.2, 0.2, 0])).toBeCloseTo(0.16);
+    expect(robustnessIndex([1])).toBe(0);
+  });
+});
+
+describe('runPercolationExperiment', () => {
+  test('a degree attack takes the hub of a star first and shatters it', async () => {
+    const { strategies } = await runPercolationExperiment(STAR, [], ['degree']);
+    
+    expect(giantComponentSize(STAR)).toBe(5);
+    expect(gccMeans(strategies.degree)).toEqual([1, 0.2, 0.2, 0.2, 0.2, 0]);
+    expect(strategies.degree.R.mean).toBeCloseTo(0.16);
+  });
+  
+  test('recalculated betweenness cuts a path in the middle, degree at the first inner node', async () => {
+    const { strategies } = await runPercolationExperiment(PATH, [], ['degree', 'recalculatedBetweenness']);
+    
+    expect(gccMeans(strategies.recalculatedBetweenness).slice(0, 2)).toEqual([1, 0.4]);
+    expect(gccMeans(strategies.degree).slice(0, 2)).toEqual([1, 0.6]);
+  });
+  
+  test('R follows the giant component to full removal however few steps are measured', async () => {
+    const full = await runPercolationExperiment(PATH, [], ['degree'], { maxFraction: 1 });
+    const partial = await runPercolationExperiment(PATH, [], ['degree'], { maxFraction: 0.2 });
+    
+    expect(partial.strategies.degree.steps).toHaveLength(2);
+    expect(partial.strategies.degree.gccCurve).toHaveLength(6);
+    expect(partial.strategies.degree.R.mean).toBeCloseTo(full.strategies.degree.R.mean);
+    // The efficiency area only covers the measured steps
+    expect(partial.strategies.degree.efficiencyArea.mean).toBeLessThan(full.strategies.degree.efficiencyArea.mean);
+  });
+  
+  test('random runs are reproducible from the seed and reported with a confidence band', async () => {
+    const options = { randomRuns: 5, seed: 7 };
+    const first = await runPercolationExperiment(PATH, [], ['random'], options);
+    const second = await runPercolationExperiment(PATH, [], ['random'], options);
+    
+    expect(second.strategies.random).toEqual(first.strategies.random);
+    expect(first.strategies.random.runs).toBe(5);
+    expect(first.strategies.random.R.lower).toBeLessThanOrEqual(first.strategies.random.R.mean);
+    expect(first.strategies.random.R.upper).toBeGreaterThanOrEqual(first.strategies.random.R.mean);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Seeded Random Numbers
+ * Reproducible sampling: the same seed always gives the same sequence
+ */
+
+/**
+ * Turn a numeric or text seed into a 32-bit integer
+ * @param {Number|String} seed - Seed entered by the analyst
+ * @returns {Number} - Unsigned 32-bit seed
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+  
+  // FNV-1a hash so text seeds like "peak-2024" work too
+  let hash = 2166136261;
+  String(seed).split('').forEach(ch => {
+    hash ^= ch.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  });
+  return hash >>> 0;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32), a drop-in for Math.random
+ * @param {Number|String} seed - Seed value
+ * @returns {Function} - () => Number in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a random element of an array
+ * @param {Array} items - Items to choose from
+ * @param {Function} random - Random generator returning [0, 1)
+ * @returns {*} - One element, or undefined for an empty array
+ */
+export function pickRandom(items, random = Math.random) {
+  return items[Math.floor(random() * items.length)];
+}
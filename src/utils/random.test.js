@@ -0,0 +1,30 @@
+import { createSeededRandom, pickRandom } from './random';
+
+const draw = (random, count) => [...Array(count)].map(() => random());
+
+describe('createSeededRandom', () => {
+  test('the same seed gives the same sequence', () => {
+    expect(draw(createSeededRandom(42), 20)).toEqual(draw(createSeededRandom(42), 20));
+    expect(draw(createSeededRandom('peak-2024'), 20)).toEqual(draw(createSeededRandom('peak-2024'), 20));
+  });
+  
+  test('different seeds give different sequences', () => {
+    expect(draw(createSeededRandom(1), 5)).not.toEqual(draw(createSeededRandom(2), 5));
+  });
+  
+  test('values lie in [0, 1)', () => {
+    draw(createSeededRandom(7), 1000).forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+  
+  test('pickRandom follows the seeded sequence', () => {
+    const items = ['a', 'b', 'c', 'd'];
+    const picks = seed => {
+      const random = createSeededRandom(seed);
+      return [...Array(10)].map(() => pickRandom(items, random));
+    };
+    expect(picks(3)).toEqual(picks(3));
+  });
+});
@@ -0,0 +1,92 @@
+import { buildGraph, applyFailure, computeMetrics } from './graphAlgorithms';
+import { optimizeRepairSequence } from './repairSequencing';
+
+// A row of bus stops A–E with a branch C–F and a slow direct A–E service
+const NODES = ['A', 'B', 'C', 'D', 'E', 'F'].map((id, i) => ({
+  node_id: id,
+  name: `Stop ${id}`,
+  lat: 17.40 + (id === 'F' ? 0.02 : 0),
+  lon: 78.40 + Math.min(i, 4) * 0.02,
+  layer: 'bus',
+  type: 'stand',
+  region: 'R1',
+  Df: 1,
+  Hf: 1,
+  Cf: 1
+}));
+const LINKS = { 'A-B': 20, 'B-C': 20, 'C-D': 20, 'D-E': 20, 'C-F': 10, 'A-E': 150 };
+const EDGES = Object.entries(LINKS).map(([key, time]) => {
+  const [from, to] = key.split('-');
+  return {
+    from_id: from,
+    to_id: to,
+    mode: 'bus',
+    intra_or_inter: 'intra',
+    reason: 'Bus_Route',
+    distance_km: 2,
+    time_base_min: time,
+    time_min: time,
+    cost_base_rs: 10,
+    cost_rs: 10,
+    region_from: 'R1',
+    region_to: 'R1'
+  };
+});
+const OD_PAIRS = [['A', 'E'], ['A', 'F'], ['B', 'F'], ['E', 'F'], ['D', 'E']].map(([source, target]) => ({ source, target }));
+const FAILED_NODES = ['B', 'C', 'D'];
+
+const permutations = items => (items.length <= 1
+  ? [items]
+  : items.flatMap((item, i) => permutations(items.filter((_, j) => j !== i)).map(rest => [item, ...rest])));
+
+// Loss of every repair order, evaluated directly with applyFailure
+const bruteForceLosses = (graph, crews) => {
+  const baseline = computeMetrics(graph, OD_PAIRS, 'time');
+  const options = { disconnection: { baseline } };
+  return permutations(FAILED_NODES).map(order => {
+    let loss = 0;
+    for (let start = 0; start < order.length; start += crews) {
+      const down = order.slice(start);
+      const state = computeMetrics(applyFailure(graph, 'node', down), OD_PAIRS, 'time', options);
+      loss += state.avgPenalizedTime - baseline.avgPenalizedTime;
+    }
+    return loss;
+  });
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('optimizeRepairSequence', () => {
+  test.each([1, 2])('the exact schedule matches brute force over every repair order (%i crew(s))', async crews => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const failed = applyFailure(graph, 'node', FAILED_NODES);
+    const progress = [];
+    const result = await optimizeRepairSequence(graph, failed, OD_PAIRS, { method: 'exact', crews }, p => progress.push(p));
+    const losses = bruteForceLosses(graph, crews);
+    
+    // The order must matter, or any schedule would pass
+    expect(Math.max(...losses)).toBeGreaterThan(Math.min(...losses) + 1);
+    expect(result.method).toBe('exact');
+    expect(result.totalLoss).toBeCloseTo(Math.min(...losses), 6);
+    expect(result.schedule.flatMap(step => step.repaired.map(e => e.id)).sort()).toEqual(FAILED_NODES);
+    expect(result.schedule.every(step => step.repaired.length <= crews)).toBe(true);
+    // Every state down after whole steps is evaluated once: 1 + 3 + 3 with one crew, 1 + 3 with two
+    expect(progress).toHaveLength(result.evaluations);
+    expect(result.evaluations).toBe(progress[0].expected);
+  });
+  
+  test('greedy with local search never beats the exact schedule', async () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const failed = applyFailure(graph, 'node', FAILED_NODES);
+    const exact = await optimizeRepairSequence(graph, failed, OD_PAIRS, { method: 'exact' });
+    const greedy = await optimizeRepairSequence(graph, failed, OD_PAIRS, { method: 'greedy' });
+    
+    expect(greedy.totalLoss).toBeGreaterThanOrEqual(exact.totalLoss - 1e-9);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Robust Link Recommendations
+ * Chooses one portfolio of new links for a set of failure scenarios (e.g. hub failures,
+ * a layer outage, a region flood) by the expected or worst-case degradation across them,
+ * instead of tuning it to a single failure configuration
+ */
+
+import {
+  applyFailure,
+  computeMetrics,
+  objectiveValue,
+  generateCandidates,
+  withCandidateLinks,
+  linkConstructionCost,
+  LINK_UNIT_COSTS
+} from './graphAlgorithms';
+import { nextTask } from './tasks';
+
+export const ROBUST_CRITERIA = {
+  expected: 'Expected degradation',
+  worst: 'Worst-case degradation'
+};
+
+export const DEFAULT_ROBUST_OPTIONS = {
+  criterion: 'expected',
+  objective: 'time'
+};
+
+/**
+ * Scenario weights: the given probabilities normalized to sum 1, equal weights when none are given
+ * Scenarios without a probability share what the others leave (at least nothing).
+ * @param {Array} scenarios - [{probability?}]
+ * @returns {Array} - Weight per scenario
+ */
+export function scenarioWeights(scenarios) {
+  const given = scenarios.filter(s => s.probability != null);
+  if (given.length === 0) return scenarios.map(() => 1 / scenarios.length);
+  
+  const givenTotal = given.reduce((sum, s) => sum + s.probability, 0);
+  const rest = scenarios.length - given.length;
+  const share = rest > 0 ? Math.max(0, 1 - givenTotal) / rest : 0;
+  const raw = scenarios.map(s => s.probability ?? share);
+  const total = raw.reduce((sum, w) => sum + w, 0);
+  return raw.map(w => (total > 0 ? w / total : 1 / scenarios.length));
+}
+
+/**
+ * Aggregate of the per-scenario degradations under a criterion
+ * @param {Array} degradations - Objective value minus the intact value, per scenario
+ * @param {Array} weights - From scenarioWeights
+ * @param {String} criterion - 'expected' or 'worst'
+ * @returns {Number} - Aggregate degradation (lower is better)
+ */
+function aggregate(degradations, weights, criterion) {
+  if (criterion === 'worst') return Math.max(...degradations);
+  return degradations.reduce((sum, d, i) => sum + weights[i] * d, 0);
+}
+
+/**
+ * Greedy robust recommendation over the candidates of all scenarios
+ * Each iteration adds the link that lowers the aggregate degradation most (per ₹ with a
+ * ₹ budget, as greedyRecommendation). Degradation = objective value − intact value.
+ * Yields to the browser before every scenario evaluation so progress can paint.
+ * @param {Graph} graph - Graph from buildGraph (intact network)
+ * @param {Array} nodes - All nodes (for generateCandidates)
+ * @param {Array} scenarios - [{name, failureType, targets, probability?}] (as applyFailure)
+ * @param {Array} odPairs - OD pairs for evaluation
+ * @param {Number|Object} budget - Link count, or {amount, unitCosts} in ₹
+ * @param {Object} options - Overrides of DEFAULT_ROBUST_OPTIONS plus timeOfDayCoefficients and metricsOptions
+ * @param {Function} progressCallback - Called with {iteration, candidateIndex, totalCandidates}
+ * @returns {Promise<Object>} - {selectedLinks: [{..., improvement, scenarioImprovements}], scenarios: [{name, weight,
+ *   intactValue, failedValue, finalValue, improvement, recovery}], before, after, totalCost, criterion}
+ */
+export async function robustRecommendation(graph, nodes, scenarios, odPairs, budget, options = {}, progressCallback = null) {
+  const { metricsOptions = {}, timeOfDayCoefficients = null, ...rest } = options;
+  const settings = { ...DEFAULT_ROBUST_OPTIONS, ...rest };
+  const startTime = Date.now();
+  
+  const costBudget = typeof budget === 'object' && budget !== null;
+  const unitCosts = costBudget ? { ...LINK_UNIT_COSTS, ...budget.unitCosts } : LINK_UNIT_COSTS;
+  const maxLinks = costBudget ? Infinity : budget;
+  let remainingBudget = costBudget ? budget.amount : Infinity;
+  
+  const baseline = computeMetrics(graph, odPairs, settings.objective, metricsOptions);
+  const intactValue = objectiveValue(baseline, settings.objective);
+  const scenarioOptions = { ...metricsOptions, disconnection: { ...(metricsOptions.disconnection || {}), baseline } };
+  const valueOf = g => objectiveValue(computeMetrics(g, odPairs, settings.objective, scenarioOptions), settings.objective);
+  const weights = scenarioWeights(scenarios);
+  
+  // Failed network of each scenario, and the union of their candidate pools
+  const pool = new Map();
+  const addToPool = candidate => {
+    const key = [candidate.from, candidate.to].sort().join('|');
+    if (!pool.has(key)) pool.set(key, { ...candidate, constructionCost: linkConstructionCost(candidate, unitCosts) });
+  };
+  const states = [];
+  for (const scenario of scenarios) {
+    await nextTask();
+    const failed = applyFailure(graph, scenario.failureType, scenario.targets);
+    const metrics = computeMetrics(failed, odPairs, settings.objective, scenarioOptions);
+    generateCandidates(nodes, graph, failed, metrics.results).forEach(addToPool);
+    const failedValue = objectiveValue(metrics, settings.objective);
+    states.push({ failed, failedValue, value: failedValue });
+  }
+  
+  // A link touching a node failed in some scenario still counts in the others
+  let remaining = [...pool.values()];
+  const selectedLinks = [];
+  let current = aggregate(states.map(s => s.value - intactValue), weights, settings.criterion);
+  const before = current;
+  
+  for (let iteration = 0; iteration < maxLinks && remaining.length > 0; iteration++) {
+    const affordable = remainingBudget;
+    remaining = remaining.filter(c => c.constructionCost <= affordable);
+    
+    let best = null;
+    for (let candidateIndex = 0; candidateIndex < remaining.length; candidateIndex++) {
+      const candidate = remaining[candidateIndex];
+      if (progressCallback) progressCallback({ iteration, candidateIndex, totalCandidates: remaining.length });
+      const links = [...selectedLinks, candidate];
+      const values = [];
+      for (const state of states) {
+        await nextTask();
+        values.push(valueOf(withCandidateLinks(state.failed, links, settings.objective, timeOfDayCoefficients)));
+      }
+      const value = aggregate(values.map(v => v - intactValue), weights, settings.criterion);
+      const improvement = current - value;
+      const score = costBudget ? improvement / Math.max(candidate.constructionCost, 1) : improvement;
+      if (improvement > 1e-9 && (!best || score > best.score)) {
+        best = { candidate, values, value, improvement, score };
+      }
+    }
+    if (!best) break;
+    
+    selectedLinks.push({
+      ...best.candidate,
+      improvement: best.improvement,
+      // What this link added in each scenario, given the links chosen before it
+      scenarioImprovements: states.map((s, i) => s.value - best.values[i])
+    });
+    states.forEach((s, i) => { s.value = best.values[i]; });
+    current = best.value;
+    remainingBudget -= best.candidate.constructionCost;
+    remaining = remaining.filter(c => c !== best.candidate);
+  }
+  
+  const totalCost = selectedLinks.reduce((sum, link) => sum + link.constructionCost, 0);
+  
+  console.log(`🛡️ ROBUST: ${scenarios.length} scenario(s), ${pool.size} candidates, ${selectedLinks.length} link(s) chosen, ${settings.criterion} degradation ${before.toFixed(2)} → ${current.toFixed(2)} (${Date.now() - startTime} ms)`);
+  
+  return {
+    selectedLinks,
+    scenarios: scenarios.map((scenario, i) => {
+      const { failedValue, value } = states[i];
+      return {
+        name: scenario.name,
+        weight: weights[i],
+        intactValue,
+        failedValue,
+        finalValue: value,
+        improvement: failedValue - value,
+        // Share of the scenario's degradation the portfolio wins back
+        recovery: failedValue - intactValue > 1e-9 ? (failedValue - value) / (failedValue - intactValue) : null
+      };
+    }),
+    before,
+    after: current,
+    totalCost,
+    candidates: pool.size,
+    criterion: settings.criterion,
+    runtimeMs: Date.now() - startTime
+  };
+}
@@ -0,0 +1,13 @@
+/**
+ * Cooperative Scheduling
+ * Long analyses run many full computeMetrics passes; awaiting nextTask between them lets
+ * the browser repaint progress and handle input instead of freezing the tab
+ */
+
+/**
+ * Let the browser repaint and handle input before the next evaluation
+ * @returns {Promise} - Resolves on the next macrotask
+ */
+export function nextTask() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
@@ -0,0 +1,76 @@
+import { buildGraph } from './graphAlgorithms';
+import { runTimeline, staggeredRepairEvents } from './timeline';
+
+// Bus stops A–B–C, 20 minutes apart, and a direct A–C service taking 80 minutes:
+// with B down the A–C trip doubles, so performance drops to 50%
+const NODES = ['A', 'B', 'C'].map((id, i) => ({
+  node_id: id,
+  name: `Stop ${id}`,
+  lat: 17.40,
+  lon: 78.40 + i * 0.02,
+  layer: 'bus',
+  type: 'stand',
+  region: 'R1',
+  Df: 1,
+  Hf: 1,
+  Cf: 1
+}));
+const LINKS = { 'A-B': 20, 'B-C': 20, 'A-C': 80 };
+const EDGES = Object.entries(LINKS).map(([key, time]) => {
+  const [from, to] = key.split('-');
+  return {
+    from_id: from,
+    to_id: to,
+    mode: 'bus',
+    intra_or_inter: 'intra',
+    reason: 'Bus_Route',
+    distance_km: 2,
+    time_base_min: time,
+    time_min: time,
+    cost_base_rs: 10,
+    cost_rs: 10,
+    region_from: 'R1',
+    region_to: 'R1'
+  };
+});
+const OD_PAIRS = [{ source: 'A', target: 'C' }];
+const B_DOWN = { label: 'Stop B', failureType: 'node', targets: ['B'], start: 2, end: 6 };
+
+describe('runTimeline', () => {
+  test('the resilience loss is the area above the performance curve', () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const result = runTimeline(graph, OD_PAIRS, [B_DOWN], { horizon: 10, stepSize: 1 });
+    
+    expect(result.steps.map(step => step.performance)).toEqual([100, 100, 50, 50, 50, 50, 100, 100, 100, 100, 100]);
+    // 50% lost for the 4 hours from t = 2 to t = 6
+    expect(result.resilienceLoss).toBeCloseTo(200);
+    expect(result.resilienceIndex).toBeCloseTo(0.8);
+    expect(result.extraTravelTime).toBeCloseTo(4 * 40);
+    expect(result).toMatchObject({ minPerformance: 50, recoveryTime: 6, evaluations: 1 });
+  });
+  
+  test('a finer step gives the same loss when events fall on the grid', () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const hourly = runTimeline(graph, OD_PAIRS, [B_DOWN], { horizon: 10, stepSize: 1 });
+    const halfHourly = runTimeline(graph, OD_PAIRS, [B_DOWN], { horizon: 10, stepSize: 0.5 });
+    
+    expect(halfHourly.steps).toHaveLength(21);
+    expect(halfHourly.resilienceLoss).toBeCloseTo(hourly.resilienceLoss);
+  });
+  
+  test('a failure never repaired loses performance to the horizon', () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    const events = staggeredRepairEvents('node', ['B'], { start: 2 });
+    const result = runTimeline(graph, OD_PAIRS, events, { horizon: 10, stepSize: 1 });
+    
+    expect(events[0].end).toBeNull();
+    expect(result.resilienceLoss).toBeCloseTo(8 * 50);
+    expect(result.recoveryTime).toBeNull();
+  });
+  
+  test('rejects a step that would never reach the horizon', () => {
+    const graph = buildGraph(NODES, EDGES, 'time');
+    
+    expect(() => runTimeline(graph, OD_PAIRS, [B_DOWN], { stepSize: 0 })).toThrow(/must be positive/);
+  });
+});